@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import * as XLSX from "xlsx/xlsx.mjs";
+import { applyConfig, parseConfig } from "../src/config.js";
+import { defaultWorkspace } from "../src/storage.js";
+import { DEFAULT_PROXY_URL, proxiedChain } from "../src/chains.js";
+import { fetchBalances } from "../src/fetcher.js";
+import { balanceHeader, balanceRecord, exact, exact2, toCsv } from "../src/exporters.js";
+import { buildReport, writeReport } from "../src/report.js";
+import { portfolioTotals, rowPrice, rowValue } from "../src/prices.js";
+import { assetIndex, consolidate } from "../src/assets.js";
+import { evaluateAlerts } from "../src/alerts.js";
+import { pointInTimeLabel } from "../src/blocks.js";
+import { applyWalletImport, guessMapping, planWalletImport, sheetTable } from "../src/importer.js";
+import { walletAddress, walletKey } from "../src/wallets.js";
+
+/*
+Headless balance snapshot untuk cron / CI (tanpa browser, Node 18+)
+- baca config JSON yang sama dengan "Export config" di app, fetch lewat src/fetcher.js
+- tulis CSV / XLSX (Excel report) / JSON sesuai extension --out
+- exit code: 0 ok, 1 usage/config error, 2 ada row error, 3 alert rule (threshold) terpicu
+- node cli/snapshot.js --config evm-tracker-config.json --out balances.csv --out report.xlsx
+*/
+
+export const EXIT = { ok: 0, usage: 1, rowErrors: 2, alerts: 3 };
+export const SNAPSHOT_KIND = "evm-tracker-snapshot";
+
+const USAGE = `usage: node cli/snapshot.js --config <file.json> [options]
+  --config <file>        config exported from the app (evm-tracker-config)
+  --out <file>           .csv (balances), .xlsx (Excel report) or .json (snapshot); repeatable
+  --wallets <file>       CSV/XLSX with wallets, merged into the config's wallets
+  --rpc <chain>=<url>    read a chain from this RPC only (e.g. local=http://127.0.0.1:8545); repeatable
+  --block <n>            balances at a block (point-in-time)
+  --time <utc>           balances at a time, e.g. 2024-06-30T23:59:59
+  --previous <file>      earlier .json snapshot, enables changePct / appeared / disappeared rules
+  --allow-errors         row errors do not change the exit code
+  --quiet                no summary on stdout`;
+
+export class UsageError extends Error {}
+
+export function parseArgs(argv) {
+  const args = { config: "", out: [], wallets: "", rpc: [], block: "", time: "", previous: "", allowErrors: false, quiet: false };
+  const many = { "--out": "out", "--rpc": "rpc" };
+  const one = { "--config": "config", "--wallets": "wallets", "--block": "block", "--time": "time", "--previous": "previous" };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--allow-errors") args.allowErrors = true;
+    else if (a === "--quiet") args.quiet = true;
+    else if (a === "--help" || a === "-h") args.help = true;
+    else if (many[a] || one[a]) {
+      const v = argv[++i];
+      if (v === undefined || v.startsWith("--")) throw new UsageError(`${a} needs a value`);
+      if (many[a]) args[many[a]].push(v);
+      else args[one[a]] = v;
+    } else if (!a.startsWith("-") && !args.config) args.config = a;
+    else throw new UsageError(`unknown option ${a}`);
+  }
+  if (args.block && args.time) throw new UsageError("use --block or --time, not both");
+  for (const f of args.out) {
+    if (!/\.(csv|xlsx|json)$/i.test(f)) throw new UsageError(`--out ${f}: extension must be .csv, .xlsx or .json`);
+  }
+  return args;
+}
+
+function readFile(file) {
+  try {
+    return fs.readFileSync(file);
+  } catch (e) {
+    throw new UsageError(`${file}: ${e.code === "ENOENT" ? "file not found" : e.message}`);
+  }
+}
+function readJson(file) {
+  const text = readFile(file).toString("utf8");
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new UsageError(`${file}: ${e.message}`);
+  }
+}
+
+/*
+Config file + CLI overrides -> workspace data, as the app would hold it after "Import config" (replace).
+returns { ws, warnings: [text] }
+*/
+export function loadWorkspace(args) {
+  const warnings = [];
+  const { config, errors } = parseConfig(readJson(args.config));
+  for (const e of errors) warnings.push(`config ${e.path}: ${e.message}`);
+  if (!config) throw new UsageError(`${args.config}: ${errors.map((e) => e.message).join("; ")}`);
+  // no placeholder wallet: an empty wallet list is an error below
+  let ws = applyConfig(null, config, "replace", { ...defaultWorkspace(), wallets: [] });
+
+  if (args.wallets) {
+    const wb = XLSX.read(readFile(args.wallets), { type: "buffer" });
+    const table = sheetTable(wb.Sheets[wb.SheetNames[0]]);
+    const plan = planWalletImport(table, guessMapping(table, "wallets"), ws.wallets);
+    for (const bad of plan.summary.invalid) warnings.push(`${args.wallets} ${bad.ref}: ${bad.reason} (${bad.value})`);
+    ws = { ...ws, wallets: applyWalletImport(ws.wallets, plan) };
+  }
+  if (!ws.wallets.length) throw new UsageError("no wallets: add them to the config or pass --wallets");
+
+  for (const spec of args.rpc) {
+    const i = spec.indexOf("=");
+    const id = spec.slice(0, i);
+    const url = spec.slice(i + 1).trim();
+    if (i <= 0 || !url) throw new UsageError(`--rpc ${spec}: expected <chain>=<url>`);
+    if (!ws.chains.some((c) => c.id === id)) throw new UsageError(`--rpc ${spec}: no chain "${id}" in the config`);
+    ws = { ...ws, chains: ws.chains.map((c) => (c.id === id ? { ...c, rpc: url, rpcs: [], useProxy: false } : c)) };
+  }
+  ws = { ...ws, chains: ws.chains.map((c) => (c.useProxy ? proxiedChain(c, ws.proxyUrl || DEFAULT_PROXY_URL) : c)) };
+
+  if (args.block) ws = { ...ws, pointInTime: { mode: "block", block: args.block, time: "" } };
+  if (args.time) ws = { ...ws, pointInTime: { mode: "time", block: "", time: args.time } };
+  const pit = ws.pointInTime?.mode && ws.pointInTime.mode !== "latest" ? ws.pointInTime : null;
+  if (pit && !pointInTimeLabel(pit)) {
+    throw new UsageError(pit.mode === "block" ? "point-in-time: invalid block number" : "point-in-time: invalid UTC time");
+  }
+  return { ws: { ...ws, pointInTime: pit }, warnings };
+}
+
+/*
+Valuation, totals, consolidated view and alert events for one fetch result.
+previousRows: rows of an earlier snapshot or null (then only above / below rules are checked)
+*/
+export function evaluate(ws, rows, prices, previousRows) {
+  const walletInfo = new Map(ws.wallets.map((w) => [walletKey(walletAddress(w) || w.address), w]));
+  const infoOf = (r) => walletInfo.get(walletKey(r.wallet)) || { label: "", tags: [], group: "" };
+  const priceFor = (r) => rowPrice(r, ws.priceSources, prices);
+  const valueOf = (r) => rowValue(r, priceFor(r));
+  const totals = portfolioTotals(rows, valueOf);
+  const walletTotal = new Map(totals.byWallet.map((t) => [t.key, t.value]));
+  const consolidated = consolidate(rows, assetIndex(ws.assetMap, ws.chains, ws.builtinAssets), valueOf);
+  // comparison rules need a previous run; historical reads are not compared at all (same as the app)
+  const rules = ws.pointInTime
+    ? []
+    : (ws.alertRules || []).filter((r) => previousRows || r.kind === "above" || r.kind === "below");
+  const { events, baseline } = evaluateAlerts(rules, previousRows || [], rows, infoOf);
+  return { infoOf, priceFor, valueOf, totals, walletTotal, consolidated, events, baseline };
+}
+
+export function snapshotJson(ws, result, ev, generatedAt) {
+  const totalsList = (list) => list.map((t) => ({ key: t.key, value: exact2(t.value) }));
+  return {
+    kind: SNAPSHOT_KIND,
+    generatedAt,
+    pointInTime: ws.pointInTime ? pointInTimeLabel(ws.pointInTime) : "latest",
+    currency: ws.currency,
+    rows: result.rows,
+    prices: result.prices,
+    totals: {
+      overall: exact2(ev.totals.overall),
+      byChain: totalsList(ev.totals.byChain),
+      byAsset: totalsList(ev.totals.byAsset),
+      byWallet: totalsList(ev.totals.byWallet),
+    },
+    consolidated: ev.consolidated.map((g) => ({
+      wallet: g.wallet,
+      asset: g.asset,
+      mapped: g.mapped,
+      chains: Array.from(new Set(g.parts.map((r) => r.chain))),
+      balance: exact(g.balance),
+      value: exact2(g.value),
+    })),
+    alerts: ev.events.map((e) => ({
+      rule: e.rule.id,
+      kind: e.rule.kind,
+      chain: e.row.chain,
+      wallet: e.row.wallet,
+      asset: e.row.asset,
+      contract: e.row.contract,
+      message: e.message,
+    })),
+    errors: result.rows.filter((r) => r.error).length,
+    // rows for the next --previous: error / failed-chain rows keep the last known balance
+    alertBaseline: ev.baseline,
+  };
+}
+
+function writeOutputs(files, ws, result, ev, generatedAt) {
+  for (const file of files) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const ext = path.extname(file).toLowerCase();
+    if (ext === ".csv") {
+      fs.writeFileSync(file, toCsv(balanceHeader(ws.currency), result.rows.map((r) => balanceRecord(r, ev))));
+    } else if (ext === ".xlsx") {
+      const wb = buildReport({
+        ...ev,
+        rows: result.rows,
+        currency: ws.currency,
+        chains: ws.chains,
+        wallets: ws.wallets,
+        tokens: ws.tokens,
+        collections: ws.collections,
+        positions: ws.positions,
+        workspace: "cli",
+        lastUpdated: generatedAt,
+        pointInTime: ws.pointInTime,
+      });
+      fs.writeFileSync(file, writeReport(wb));
+    } else {
+      fs.writeFileSync(file, JSON.stringify(snapshotJson(ws, result, ev, generatedAt), null, 2) + "\n");
+    }
+  }
+}
+
+export async function main(argv) {
+  const args = parseArgs(argv);
+  if (args.help || !args.config) {
+    console.log(USAGE);
+    return args.help ? EXIT.ok : EXIT.usage;
+  }
+  const { ws, warnings } = loadWorkspace(args);
+  warnings.forEach((w) => console.error(`warning: ${w}`));
+  let previousRows = null;
+  if (args.previous) {
+    const prev = readJson(args.previous);
+    if (prev?.kind !== SNAPSHOT_KIND || !Array.isArray(prev.rows)) throw new UsageError(`${args.previous}: not a snapshot .json`);
+    previousRows = Array.isArray(prev.alertBaseline) ? prev.alertBaseline : prev.rows;
+  }
+
+  const result = await fetchBalances(ws, { pointInTime: ws.pointInTime });
+  const generatedAt = new Date().toISOString();
+  const ev = evaluate(ws, result.rows, result.prices, previousRows);
+  writeOutputs(args.out, ws, result, ev, generatedAt);
+
+  const errors = result.rows.filter((r) => r.error);
+  if (!args.quiet) {
+    const ok = result.rows.filter((r) => r.wallet && !r.error).length;
+    const total = ev.totals.overall ? `, total ${exact2(ev.totals.overall)} ${ws.currency}` : "";
+    console.log(`${generatedAt} ${ok} balances, ${errors.length} errors, ${ev.events.length} alerts${total}`);
+    for (const r of errors) console.log(`  error  ${r.chain} ${r.wallet || "-"} ${r.asset || ""}: ${r.error}`);
+    for (const e of ev.events) console.log(`  alert  ${e.row.chain} ${e.row.wallet} ${e.row.asset}: ${e.message}`);
+    for (const f of args.out) console.log(`  wrote  ${f}`);
+  }
+  if (errors.length && !args.allowErrors) return EXIT.rowErrors;
+  if (ev.events.length) return EXIT.alerts;
+  return EXIT.ok;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).then(
+    (code) => process.exit(code),
+    (e) => {
+      console.error(`snapshot: ${e instanceof UsageError ? e.message : e.stack || e.message}`);
+      if (e instanceof UsageError) console.error(USAGE);
+      process.exit(EXIT.usage);
+    }
+  );
+}
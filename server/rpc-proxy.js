@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+import http from "node:http";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+/*
+Read-only JSON-RPC proxy/cache untuk app di browser (RPC yang blok CORS)
+- POST /rpc/<chain> -> upstream chain itu (urutan = prioritas, sisanya fallback)
+- hanya method read (lihat READ_METHODS), method lain ditolak dengan JSON-RPC error
+- cache singkat per block: key = chain + block terbaru + method + params
+- rate limit per IP (jumlah call JSON-RPC per window), batch request dihitung per call
+- tanpa dependency, cukup Node 18+:  node server/rpc-proxy.js [config.json]
+*/
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+
+// the five basic read methods + eth_getCode (Multicall3 check) and eth_getBlockByNumber (point-in-time, activity times),
+// gas price reads (gas check) and the receipt / nonce / trace reads of native flows
+export const READ_METHODS = [
+  "eth_chainId",
+  "eth_blockNumber",
+  "eth_getBalance",
+  "eth_call",
+  "eth_getLogs",
+  "eth_getCode",
+  "eth_getBlockByNumber",
+  "eth_gasPrice",
+  "eth_maxPriorityFeePerGas",
+  "eth_getTransactionCount",
+  "eth_getTransactionReceipt",
+  "trace_block",
+  "debug_traceBlockByNumber",
+];
+
+export const DEFAULTS = {
+  host: "127.0.0.1",
+  port: 8787,
+  allowOrigin: "*",
+  methods: READ_METHODS,
+  headTtlMs: 2000, // how long eth_blockNumber is reused
+  cacheTtlMs: 15000, // upper bound for any cached answer
+  cacheMax: 5000,
+  upstreamTimeoutMs: 10000,
+  maxBodyBytes: 1_000_000,
+  rateLimit: { windowMs: 60000, max: 1200 },
+  upstreams: {}, // chain -> [url]
+};
+
+const rpcError = (id, code, message) => ({ jsonrpc: "2.0", id: id ?? null, error: { code, message } });
+
+export function loadConfig(file) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  const cfg = { ...DEFAULTS, ...raw, rateLimit: { ...DEFAULTS.rateLimit, ...(raw.rateLimit || {}) } };
+  const upstreams = {};
+  for (const [chain, urls] of Object.entries(raw.upstreams || {})) {
+    const list = (Array.isArray(urls) ? urls : [urls]).map((u) => String(u).trim()).filter(Boolean);
+    if (list.length) upstreams[chain] = list;
+  }
+  if (!Object.keys(upstreams).length) throw new Error(`${file}: no upstreams configured`);
+  return { ...cfg, upstreams };
+}
+
+/*
+Proxy state + request handler (exported so it can be mounted in another server).
+returns { handle(req, res), stats() }
+*/
+export function createProxy(cfg) {
+  const allowed = new Set(cfg.methods);
+  const cache = new Map(); // key -> { at, value: Promise<{ result } | { error }> }
+  const heads = new Map(); // chain -> { at, value: Promise<hexBlock> }
+  const chainIds = new Map(); // chain -> Promise<{ result }>
+  const buckets = new Map(); // ip -> { start, count }
+  const counters = { calls: 0, hits: 0, upstream: 0, rejected: 0, limited: 0 };
+
+  // one call, upstreams in order; a JSON-RPC error is a real answer, only transport errors move on
+  async function upstreamCall(chain, method, params) {
+    const failures = [];
+    for (const url of cfg.upstreams[chain]) {
+      counters.upstream++;
+      try {
+        const res = await fetch(url, {
+          method: "POST",
+          headers: { "content-type": "application/json" },
+          body: JSON.stringify({ jsonrpc: "2.0", id: 1, method, params }),
+          signal: AbortSignal.timeout(cfg.upstreamTimeoutMs),
+        });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const body = await res.json();
+        if (body.error) return { error: body.error };
+        return { result: body.result };
+      } catch (e) {
+        failures.push(`${new URL(url).host}: ${e.name === "TimeoutError" ? "timeout" : e.message}`);
+      }
+    }
+    return { error: { code: -32603, message: `all upstreams failed (${failures.join(" | ")})` } };
+  }
+
+  // drop failed answers so the next request asks again
+  function remember(map, key, value) {
+    const entry = { at: Date.now(), value };
+    map.set(key, entry);
+    value.then((r) => r.error && map.get(key) === entry && map.delete(key));
+    return value;
+  }
+
+  function head(chain) {
+    const h = heads.get(chain);
+    if (h && Date.now() - h.at < cfg.headTtlMs) return h.value;
+    return remember(heads, chain, upstreamCall(chain, "eth_blockNumber", []));
+  }
+
+  async function cachedCall(chain, method, params) {
+    if (method === "eth_chainId") {
+      if (!chainIds.has(chain)) remember(chainIds, chain, upstreamCall(chain, method, []));
+      return chainIds.get(chain).value;
+    }
+    if (method === "eth_blockNumber") return head(chain);
+    const h = await head(chain);
+    const key = `${chain}|${h.result ?? "?"}|${method}|${JSON.stringify(params ?? [])}`;
+    const hit = cache.get(key);
+    if (hit && Date.now() - hit.at < cfg.cacheTtlMs) {
+      counters.hits++;
+      return hit.value;
+    }
+    // Map keeps insertion order -> the first key is the oldest
+    while (cache.size >= cfg.cacheMax) cache.delete(cache.keys().next().value);
+    return remember(cache, key, upstreamCall(chain, method, params));
+  }
+
+  async function one(chain, msg) {
+    counters.calls++;
+    if (!msg || typeof msg !== "object" || typeof msg.method !== "string") {
+      return rpcError(msg?.id, -32600, "invalid request");
+    }
+    if (!allowed.has(msg.method)) {
+      counters.rejected++;
+      return rpcError(msg.id, -32601, `method ${msg.method} is not allowed by this read-only proxy`);
+    }
+    const r = await cachedCall(chain, msg.method, msg.params);
+    return { jsonrpc: "2.0", id: msg.id ?? null, ...r };
+  }
+
+  // fixed window per client IP; false = over the limit
+  function take(ip, n) {
+    const now = Date.now();
+    let b = buckets.get(ip);
+    if (!b || now - b.start >= cfg.rateLimit.windowMs) {
+      b = { start: now, count: 0 };
+      buckets.set(ip, b);
+    }
+    b.count += n;
+    return b.count <= cfg.rateLimit.max;
+  }
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [ip, b] of buckets) if (now - b.start >= cfg.rateLimit.windowMs) buckets.delete(ip);
+    for (const [k, e] of cache) if (now - e.at >= cfg.cacheTtlMs) cache.delete(k);
+  }, cfg.rateLimit.windowMs);
+  sweep.unref();
+
+  function send(res, status, body, extra = {}) {
+    res.writeHead(status, {
+      "access-control-allow-origin": cfg.allowOrigin,
+      "access-control-allow-methods": "POST, GET, OPTIONS",
+      "access-control-allow-headers": "content-type",
+      "access-control-max-age": "600",
+      ...(body === undefined ? {} : { "content-type": "application/json" }),
+      ...extra,
+    });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+  }
+
+  function readBody(req) {
+    return new Promise((resolve, reject) => {
+      const parts = [];
+      let size = 0;
+      req.on("data", (c) => {
+        size += c.length;
+        if (size > cfg.maxBodyBytes) {
+          reject(new Error("request body too large"));
+          req.destroy();
+        } else parts.push(c);
+      });
+      req.on("end", () => resolve(Buffer.concat(parts).toString("utf8")));
+      req.on("error", reject);
+    });
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, "http://proxy");
+    if (req.method === "OPTIONS") return send(res, 204);
+    if (req.method === "GET" && url.pathname === "/health") {
+      return send(res, 200, { ok: true, chains: Object.keys(cfg.upstreams), cacheSize: cache.size, ...counters });
+    }
+    const m = url.pathname.match(/^\/rpc\/([^/]+)\/?$/);
+    if (!m) return send(res, 404, { error: "use POST /rpc/<chain>" });
+    const chain = decodeURIComponent(m[1]);
+    if (!cfg.upstreams[chain]) return send(res, 404, { error: `unknown chain "${chain}"` });
+    if (req.method !== "POST") return send(res, 405, { error: "POST only" });
+
+    let payload;
+    try {
+      payload = JSON.parse(await readBody(req));
+    } catch (e) {
+      return send(res, 400, rpcError(null, -32700, e.message));
+    }
+    const batch = Array.isArray(payload);
+    const calls = batch ? payload : [payload];
+    if (!calls.length) return send(res, 400, rpcError(null, -32600, "empty batch"));
+
+    const ip = req.socket.remoteAddress || "?";
+    if (!take(ip, calls.length)) {
+      counters.limited++;
+      const retry = Math.ceil(cfg.rateLimit.windowMs / 1000);
+      return send(res, 429, rpcError(null, -32005, "rate limit exceeded"), { "retry-after": String(retry) });
+    }
+    const out = await Promise.all(calls.map((c) => one(chain, c)));
+    return send(res, 200, batch ? out : out[0]);
+  }
+
+  return { handle, stats: () => ({ cacheSize: cache.size, ...counters }) };
+}
+
+// ----- CLI -----
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const file = path.resolve(process.argv[2] || path.join(HERE, "proxy.config.json"));
+  let cfg;
+  try {
+    cfg = loadConfig(file);
+  } catch (e) {
+    console.error(`rpc-proxy: ${e.code === "ENOENT" ? `config not found: ${file}` : e.message}`);
+    console.error("copy server/proxy.config.example.json to server/proxy.config.json and edit the upstreams");
+    process.exit(1);
+  }
+  if (process.env.PROXY_PORT) cfg.port = Number(process.env.PROXY_PORT);
+  const proxy = createProxy(cfg);
+  const server = http.createServer((req, res) =>
+    proxy.handle(req, res).catch((e) => {
+      if (!res.headersSent) res.writeHead(500, { "content-type": "application/json" });
+      res.end(JSON.stringify(rpcError(null, -32603, e.message)));
+    })
+  );
+  server.listen(cfg.port, cfg.host, () => {
+    console.log(`rpc-proxy listening on http://${cfg.host}:${cfg.port}`);
+    for (const [chain, urls] of Object.entries(cfg.upstreams)) {
+      console.log(`  /rpc/${chain} -> ${urls.join(", ")}`);
+    }
+  });
+  const stop = () => server.close(() => process.exit(0));
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+}
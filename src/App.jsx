@@ -2,19 +2,172 @@ import React, { useEffect, useMemo, useRef, useState } from "react";
 import { ethers } from "ethers";
 import { saveAs } from "file-saver";
 import * as XLSX from "xlsx";
+import {
+  CHAIN_REGISTRY,
+  DEFAULT_PROXY_URL,
+  chainFromRegistry,
+  chainRpcs,
+  explorerLink,
+  markRpc,
+  providersFor,
+  proxiedChain,
+  rpcHost,
+  verifyRpc,
+} from "./chains.js";
+import { NFT_STANDARDS, parseTokenIds } from "./nfts.js";
+import { buildReport, writeReport } from "./report.js";
+import { balanceHeader, balanceRecord, exact, exact2, fileStamp, toCsv } from "./exporters.js";
+import { errText, fetchChain, fetchPairs, resolveEnsWallets, stampGas, walletTargets } from "./fetcher.js";
+import { BUILTIN_ASSETS, assetIndex, builtinCopy, consolidate, parseMembers } from "./assets.js";
+import { DEFAULT_ACTIVITY_BLOCKS, activityKey, cachedActivity, scanActivity } from "./activity.js";
+import {
+  DEFAULT_NATIVE_FLOW_BLOCKS,
+  NATIVE_FLOW_METHODS,
+  cachedNativeFlow,
+  nativeFlowKey,
+  nativeLedger,
+  scanNativeFlow,
+} from "./nativeflow.js";
+import { PRECISION_MODES, add, dec, formatAmount, sign, sub, toExact } from "./amounts.js";
+import { POINT_IN_TIME_MODES, isArchiveError, pointInTimeLabel } from "./blocks.js";
+import {
+  IMPORT_FIELDS,
+  applyTokenImport,
+  applyWalletImport,
+  columnName,
+  guessMapping,
+  planTokenImport,
+  planWalletImport,
+  sheetTable,
+} from "./importer.js";
+import { getAdapter, listAdapters } from "./positions.js";
+import {
+  ASSET_TYPES,
+  DEFAULT_VIEW,
+  ROW_HEIGHT,
+  VIRTUAL_MIN_ROWS,
+  assetType,
+  filterRows,
+  pivotRows,
+  sortRows,
+} from "./table.js";
+import { applyConfig, configFromLocation, exportConfig, parseConfig, shareLink } from "./config.js";
+import { ALERT_KINDS, evaluateAlerts, newRule, notifyBrowser, postWebhook } from "./alerts.js";
+import { ensProvider, isEnsName, resolveEns, reverseNames } from "./ens.js";
+import {
+  DEFAULT_RETENTION,
+  balanceMap,
+  clearSnapshots,
+  loadSeries,
+  loadSnapshot,
+  loadSnapshotMeta,
+  loadSnapshots,
+  rowKey,
+  saveSnapshot,
+  snapshotAt,
+} from "./history.js";
+import { DEFAULT_DISCOVER_BLOCKS, DEFAULT_LOG_CHUNK, scanReceivedTokens, tokenMetadata } from "./logs.js";
+import { PRICE_SOURCE_TYPES, portfolioTotals, priceKey, rowPrice, rowValue } from "./prices.js";
+import { normalizeWallet, parseTags, walletAddress, walletKey } from "./wallets.js";
+import {
+  AbortedError,
+  DEFAULT_CONCURRENCY,
+  DEFAULT_RETRIES,
+  DEFAULT_TIMEOUT_SEC,
+  createLimiter,
+  request,
+  throwIfAborted,
+} from "./engine.js";
+import {
+  LIVE_DEBOUNCE_MS,
+  LIVE_NATIVE_MAX_BLOCKS,
+  LIVE_NATIVE_MS,
+  affectedPairs,
+  isWsUrl,
+  openLive,
+  touchedWallets,
+} from "./live.js";
+import { DEFAULT_GAS_UNITS, DEFAULT_MIN_TXS, GAS_STATUSES, gasSummary } from "./gas.js";
+import { DEFAULT_BATCH_SIZE, parseBatchSize } from "./multicall.js";
+import {
+  defaultWorkspace,
+  deleteWorkspace,
+  loadIndex,
+  loadWorkspace,
+  newWorkspaceId,
+  saveIndex,
+  saveWorkspace,
+} from "./storage.js";
 
 /*
 EVM Multi Wallet Tracker — Dark UI + CSV/XLSX Export & Import
-- Fixed 4 decimals (tidak ada scientific notation)
+- Balance exact (BigInt): raw uint256 + string desimal, tampilan fixed N / full / compact
 - RPC publik (Chainlist)
-- IMPORT wallet address dari CSV/XLSX (otomatis deteksi kolom)
+- IMPORT wallet / token dari CSV/XLSX: pilih sheet, mapping kolom, preview + dry run
+- Balance dibaca lewat Multicall3 (aggregate3), fallback per-call kalau tidak ada
+- Config + hasil terakhir disimpan per workspace di localStorage
+- Registry chain (chainId, explorer, beberapa RPC) + rotasi RPC kalau gagal/timeout
+- Snapshot tiap refresh (IndexedDB) -> kolom delta + chart history
+- Harga per asset (manual / Chainlink / Uniswap / HTTP) -> value + total portfolio
+- Discover token dari log Transfer ke wallet yang di-track
+- Wallet punya label, tags, group (ikut di import/export + filter tabel)
+- Alert rules (threshold / % change / token muncul-hilang) -> notifikasi + webhook
+- Nama ENS sebagai wallet + primary name (reverse lookup) di list & tabel
+- Tabel balance: sort, search, filter, virtualized, pivot wallet x asset (+ export view)
+- Fetch paralel per chain (limit concurrency, timeout, retry), bisa di-cancel + progress
+- Point-in-time: balance pada block tertentu / waktu UTC (block dicari per chain)
+- Activity: transfer ERC-20 masuk/keluar per wallet + chain (eth_getLogs, paging mundur)
+- Config JSON (versioned) export/import merge|replace + link share read-only (#config=...)
+- "use proxy" per chain -> server/rpc-proxy.js (read-only, cache per block, CORS)
+- NFT collections per chain: ERC-721 (balanceOf + ID kalau enumerable), ERC-1155 (balanceOfBatch)
+- Posisi DeFi (Uniswap V2 LP, ERC-4626, staking) lewat adapter -> row posisi + row underlying
+- Gas readiness: native balance vs getFeeData() x gas units -> OK / low / empty + top-up CSV
+- Live mode: WebSocket newHeads + Transfer logs -> re-read wallet/asset yang berubah, reconnect backoff, fallback polling
+- Native flows: trace_block / debug_traceBlockByNumber atau balance diff -> ledger in/out per wallet
+- Asset map (USDC/ETH/... lintas chain, built-in + editable) -> view konsolidasi per wallet + sheet XLSX
+- Excel report: summary / balances / errors / config, angka numerik + number format, header freeze, autofilter
+- Fetch + export di modul bersama (fetcher.js, exporters.js, report.js) -> CLI headless cli/snapshot.js untuk cron/CI
 */
 
-const ERC20_ABI = [
-  "function decimals() view returns (uint8)",
-  "function symbol() view returns (string)",
-  "function balanceOf(address) view returns (uint256)",
-];
+const AUTOSAVE_MS = 1000; // workspace autosave debounce
+
+// balanceMap of one stored snapshot, read when the id changes (empty map while loading or for none)
+function useSnapshotBalances(id) {
+  const [balances, setBalances] = useState(() => new Map());
+  useEffect(() => {
+    if (id == null) {
+      setBalances(new Map());
+      return;
+    }
+    let cancelled = false;
+    loadSnapshot(id)
+      .then((snap) => !cancelled && setBalances(balanceMap(snap)))
+      .catch(() => !cancelled && setBalances(new Map()));
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+  return balances;
+}
+
+// live mode bookkeeping of one live session (reset when the session ends)
+// conn: { chainId: Promise<{ url, provider }> }, lastNative: { chainId: { at, block } }, ctrl: aborts its reads
+function newLiveState() {
+  return { state: {}, pending: new Map(), timers: {}, lastNative: {}, conn: {}, ctrl: null };
+}
+
+// live view while a fetch runs: previous rows, replaced by fresh ones as they arrive
+function mergeRows(prevRows, fresh) {
+  const seen = new Set();
+  const merged = prevRows.map((r) => {
+    const k = rowKey(r);
+    if (!fresh.has(k)) return r;
+    seen.add(k);
+    return fresh.get(k);
+  });
+  for (const [k, r] of fresh) if (!seen.has(k)) merged.push(r);
+  return merged;
+}
 
 export default function App() {
   // ----- Theme (Dark/Light) -----
@@ -51,6 +204,7 @@ export default function App() {
             accent: "#3b82f6",
             accentText: "#ffffff",
             success: "#22c55e",
+            warning: "#f59e0b",
             danger: "#ef4444",
             tableHeader: "#0f1627",
             shadow: "0 8px 24px rgba(0,0,0,0.35)",
@@ -66,6 +220,7 @@ export default function App() {
             accent: "#2563eb",
             accentText: "#ffffff",
             success: "#16a34a",
+            warning: "#d97706",
             danger: "#dc2626",
             tableHeader: "#f8fafc",
             shadow: "0 8px 24px rgba(2, 6, 23, 0.08)",
@@ -74,22 +229,138 @@ export default function App() {
   );
 
   // ----- State -----
-  const [chains, setChains] = useState([
-    { id: "ethereum", rpc: "https://ethereum-rpc.publicnode.com", symbol: "ETH" },
-    { id: "polygon", rpc: "https://polygon-bor-rpc.publicnode.com", symbol: "MATIC" },
-  ]);
-  const [wallets, setWallets] = useState([
-    "0x0000000000000000000000000000000000000000",
-  ]);
-  const [tokens, setTokens] = useState({}); // { chainId: [{address, symbol, decimals}] }
-  const [intervalSec, setIntervalSec] = useState(0);
+  const [wsIndex, setWsIndex] = useState(loadIndex); // { active, list: [{id, name}] }
+  const activeWsRef = useRef(wsIndex.active); // for async work that must not land in another workspace
+  activeWsRef.current = wsIndex.active;
+  const [initialWs] = useState(() => loadWorkspace(wsIndex.active) ?? defaultWorkspace());
+  const [chains, setChains] = useState(initialWs.chains);
+  const [wallets, setWallets] = useState(initialWs.wallets); // [{ address, label, tags, group }]
+  const [tokens, setTokens] = useState(initialWs.tokens); // { chainId: [{address, symbol, decimals}] }
+  const [collections, setCollections] = useState(initialWs.collections); // NFT collections per chain
+  const [positions, setPositions] = useState(initialWs.positions); // DeFi positions per chain (positions.js adapters)
+  const [intervalSec, setIntervalSec] = useState(initialWs.intervalSec);
+  const [fetchTimeoutSec, setFetchTimeoutSec] = useState(initialWs.fetchTimeoutSec);
+  const [fetchRetries, setFetchRetries] = useState(initialWs.fetchRetries);
+  const [progress, setProgress] = useState(null); // { chains, wallets, reads: [done, total] } while fetching
   const [running, setRunning] = useState(false);
-  const [lastUpdated, setLastUpdated] = useState(null);
-  const [rows, setRows] = useState([]);
+  const [liveMode, setLiveMode] = useState(false); // WebSocket subscriptions while running (see live.js)
+  const [liveStatus, setLiveStatus] = useState({}); // { chainId: { state, info, head } }
+  const liveRef = useRef(newLiveState());
+  const [lastUpdated, setLastUpdated] = useState(initialWs.lastUpdated);
+  const [rows, setRows] = useState(initialWs.rows);
+  const [currency, setCurrency] = useState(initialWs.currency);
+  const [priceSources, setPriceSources] = useState(initialWs.priceSources);
+  const [prices, setPrices] = useState(initialWs.prices);
+  const [ignoredTokens, setIgnoredTokens] = useState(initialWs.ignoredTokens);
+  const [candidates, setCandidates] = useState({}); // { chainId: [{address, symbol, decimals}] }
+  const [discoverStatus, setDiscoverStatus] = useState({}); // { chainId: text }
+  const [discoverBusy, setDiscoverBusy] = useState({}); // { chainId: true } while a discovery runs
+  const [alertRules, setAlertRules] = useState(initialWs.alertRules);
+  const [alertWebhook, setAlertWebhook] = useState(initialWs.alertWebhook);
+  const [alertLog, setAlertLog] = useState(initialWs.alertLog);
+  const [ensNames, setEnsNames] = useState(initialWs.ensNames);
+  const [displayPrecision, setDisplayPrecision] = useState(initialWs.displayPrecision);
+  const [pointInTime, setPointInTime] = useState(initialWs.pointInTime);
+  const [proxyUrl, setProxyUrl] = useState(initialWs.proxyUrl);
+  const [gasCheck, setGasCheck] = useState(initialWs.gasCheck); // { enabled, minTxs }
+  const [historyRetention, setHistoryRetention] = useState(initialWs.historyRetention); // { maxCount, maxDays }, see history.js
+  const [assetMap, setAssetMap] = useState(initialWs.assetMap); // user logical assets, see assets.js
+  const [builtinAssets, setBuiltinAssets] = useState(initialWs.builtinAssets);
+  const [openAssets, setOpenAssets] = useState({}); // consolidated view: wallet|asset -> expanded
+  const alertStateRef = useRef({ prevRows: initialWs.rows, lastFired: {}, pending: false });
+  const [walletFilter, setWalletFilter] = useState(""); // "" | "tag:x" | "group:y"
+  const [groupBy, setGroupBy] = useState(""); // "" | "group" | "tag"
+  const [tableView, setTableView] = useState(DEFAULT_VIEW); // search / filters / sort / pivot, see table.js
+  const [tableScroll, setTableScroll] = useState(0); // scrollTop of the balances table (virtualized rendering)
+  const [exportView, setExportView] = useState(false); // exports = current table view instead of all rows
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [rpcStatus, setRpcStatus] = useState({}); // { url: { ok, chainId, ms, error } }
+  const [snapshots, setSnapshots] = useState([]); // [{ id, ts }] oldest first; rows stay in IndexedDB
+  const [historySeries, setHistorySeries] = useState([]); // chart of historyKey
+  const [deltaDate, setDeltaDate] = useState(""); // datetime-local value
+  const [historyKey, setHistoryKey] = useState(""); // rowKey for the chart
+  const [activitySel, setActivitySel] = useState({ chain: "", wallet: "", blocks: DEFAULT_ACTIVITY_BLOCKS });
+  const [activityStatus, setActivityStatus] = useState("");
+  const [activityBusy, setActivityBusy] = useState(false);
+  const [nativeSel, setNativeSel] = useState({ chain: "", method: "auto", blocks: DEFAULT_NATIVE_FLOW_BLOCKS });
+  const [nativeStatus, setNativeStatus] = useState("");
+  const [nativeBusy, setNativeBusy] = useState(false);
   const timerRef = useRef(null);
+  const runRef = useRef(null); // AbortController of the fetch in progress; a run whose ctrl is no longer here is stale
+  const discoverRef = useRef({}); // { chainId: AbortController } of token discoveries in progress
   const fileInputRef = useRef(null);
+  const configInputRef = useRef(null);
+  const [importDlg, setImportDlg] = useState(null); // { fileName, wb, sheetName, kind, table, hasHeader, mapping, defaultChain }
+  const [configImport, setConfigImport] = useState(null); // { name, config, errors } waiting for merge/replace
+  const [shared, setShared] = useState(null); // { source, errors } while viewing a config link (nothing is saved)
+  const [saveIssue, setSaveIssue] = useState(null); // null | "rowsDropped" | "failed" (last autosave, see storage.js)
+  const stableRowsRef = useRef(initialWs.rows); // rows of the last finished run: what autosave writes during a run
+  const pendingSaveRef = useRef(null); // debounced autosave not written yet
+
+  // ----- Persistence: autosave active workspace -----
+  useEffect(() => {
+    saveIndex(wsIndex);
+  }, [wsIndex]);
+  // debounced: a fetch updates rows every 250 ms; rows of a run in progress are not saved (last finished ones are)
+  useEffect(() => {
+    if (shared) return; // a shared link is read-only
+    if (!loading) stableRowsRef.current = rows;
+    const id = wsIndex.active;
+    const data = currentWorkspace();
+    const save = () => {
+      pendingSaveRef.current = null;
+      persistWorkspace(id, data);
+    };
+    pendingSaveRef.current = save;
+    const t = setTimeout(save, AUTOSAVE_MS);
+    return () => {
+      clearTimeout(t);
+      pendingSaveRef.current = null;
+    };
+    // deps are the saved fields; currentWorkspace() reads the same state
+  }, [loading, shared, wsIndex.active, chains, wallets, tokens, collections, positions, intervalSec, fetchTimeoutSec, fetchRetries, rows, lastUpdated, currency, priceSources, prices, ignoredTokens, alertRules, alertWebhook, alertLog, ensNames, displayPrecision, pointInTime, proxyUrl, gasCheck, historyRetention, assetMap, builtinAssets]);
+
+  // closing the tab inside the debounce window still saves
+  useEffect(() => {
+    const flush = () => pendingSaveRef.current?.();
+    window.addEventListener("beforeunload", flush);
+    return () => window.removeEventListener("beforeunload", flush);
+  }, []);
+
+  // ----- History: snapshots of the active workspace -----
+  useEffect(() => {
+    let cancelled = false;
+    loadSnapshotMeta(wsIndex.active)
+      .then((s) => !cancelled && setSnapshots(s))
+      .catch(() => !cancelled && setSnapshots([]));
+    return () => {
+      cancelled = true;
+    };
+  }, [wsIndex.active]);
+
+  // delta bases: only these two snapshots are read with their rows
+  const deltaLast = useSnapshotBalances(
+    (lastUpdated ? snapshots.filter((s) => s.ts < lastUpdated).pop() : null)?.id ?? null
+  );
+  const deltaSince = useSnapshotBalances(
+    (deltaDate ? snapshotAt(snapshots, new Date(deltaDate).toISOString()) : null)?.id ?? null
+  );
+  const historyOptions = useMemo(() => {
+    const m = new Map();
+    for (const r of rows) if (r.wallet && !r.error) m.set(rowKey(r), `${r.chain} · ${r.asset} · ${r.wallet}`);
+    return Array.from(m, ([key, text]) => ({ key, text }));
+  }, [rows]);
+  useEffect(() => {
+    if (!historyKey) return;
+    let cancelled = false;
+    loadSeries(wsIndex.active, historyKey)
+      .then((s) => !cancelled && setHistorySeries(s))
+      .catch(() => !cancelled && setHistorySeries([]));
+    return () => {
+      cancelled = true;
+    };
+  }, [wsIndex.active, historyKey, snapshots]);
 
   // ----- UI helpers -----
   const card = (extra = {}) => ({
@@ -119,19 +390,433 @@ export default function App() {
   };
   const label = { fontSize: 12, color: theme.subtext };
 
-  // number formatter: fixed 4 decimals
-  const fmt = (v, digits = 4) => {
-    if (v === null || v === undefined || Number.isNaN(v)) return "-";
-    const n = typeof v === "number" ? v : Number(v);
-    return n.toLocaleString(undefined, {
-      minimumFractionDigits: digits,
-      maximumFractionDigits: digits,
-    });
+  // number formatter: fixed decimals (prices, values); balances follow displayPrecision
+  const fmt = (v, digits = 4) => formatAmount(v, { digits });
+  const fmtBalance = (v) => formatAmount(v, displayPrecision);
+  // delta vs a baseline map (exact); null when there is nothing to compare
+  const deltaOf = (r, base) => {
+    if (!r.wallet || r.error || r.balance == null || !base.has(rowKey(r))) return null;
+    return sub(dec(r.balance), base.get(rowKey(r)));
   };
+  const deltaCell = (d) => {
+    if (d === null) return <span style={{ color: theme.subtext }}>-</span>;
+    const sg = sign(d);
+    const color = sg > 0 ? theme.success : sg < 0 ? theme.danger : theme.subtext;
+    return <span style={{ color }}>{(sg > 0 ? "+" : "") + fmtBalance(d)}</span>;
+  };
+
+  // ----- Wallet metadata in table/exports -----
+  const walletInfo = useMemo(
+    () => new Map(wallets.map((w) => [walletKey(walletAddress(w) || w.address), w])),
+    [wallets]
+  );
+  const infoOf = (r) => walletInfo.get(walletKey(r.wallet)) || { label: "", tags: [], group: "" };
+  const allTags = useMemo(() => Array.from(new Set(wallets.flatMap((w) => w.tags))).sort(), [wallets]);
+  const allGroups = useMemo(
+    () => Array.from(new Set(wallets.map((w) => w.group).filter(Boolean))).sort(),
+    [wallets]
+  );
+  // sort key -> comparable value (Dec for amounts, so sorting is exact)
+  function sortValue(r, key) {
+    switch (key) {
+      case "label":
+        return infoOf(r).label;
+      case "type":
+        return r.wallet ? assetType(r) : null;
+      case "gas": // empty < low < ok
+        return r.gasStatus ? GAS_STATUSES.length - GAS_STATUSES.findIndex((g) => g.id === r.gasStatus) : null;
+      case "decimals":
+        return r.decimals ?? null;
+      case "balance":
+        return r.error ? null : dec(r.balance);
+      case "price":
+        return priceFor(r);
+      case "value":
+        return valueOf(r);
+      case "deltaLast":
+        return deltaOf(r, deltaLast);
+      case "deltaSince":
+        return deltaOf(r, deltaSince);
+      case "rpc":
+        return rpcHost(r.rpc);
+      default:
+        return r[key] ?? null;
+    }
+  }
+  const viewRows = useMemo(() => {
+    let list = rows;
+    if (walletFilter) {
+      const [kind, val] = [walletFilter.slice(0, walletFilter.indexOf(":")), walletFilter.slice(walletFilter.indexOf(":") + 1)];
+      list = list.filter((r) => {
+        const info = infoOf(r);
+        return kind === "tag" ? info.tags.includes(val) : info.group === val;
+      });
+    }
+    list = filterRows(list, tableView, (r) => {
+      const info = infoOf(r);
+      return `${info.label} ${info.tags.join(" ")} ${info.group} ${ensNames[String(r.wallet).toLowerCase()] || ""}`;
+    });
+    return sortRows(list, tableView.sort, sortValue);
+    // infoOf / sortValue are rebuilt every render: depend on the state they read (walletInfo, deltas, prices)
+  }, [rows, walletFilter, walletInfo, tableView, deltaLast, deltaSince, priceSources, prices, ensNames]);
+  // [{ name, rows }]; a wallet with several tags shows up under each of them
+  const groupedRows = useMemo(() => {
+    if (!groupBy) return [{ name: null, rows: viewRows }];
+    const groups = new Map();
+    for (const r of viewRows) {
+      const info = infoOf(r);
+      const names = groupBy === "tag" ? (info.tags.length ? info.tags : ["(no tag)"]) : [info.group || "(no group)"];
+      for (const n of names) {
+        if (!groups.has(n)) groups.set(n, []);
+        groups.get(n).push(r);
+      }
+    }
+    return Array.from(groups, ([name, list]) => ({ name, rows: list })).sort((a, b) => a.name.localeCompare(b.name));
+    // infoOf is rebuilt every render: walletInfo is what it reads
+  }, [viewRows, groupBy, walletInfo]);
+
+  // flat list for (virtualized) rendering: group header items + row items
+  const tableItems = useMemo(
+    () => groupedRows.flatMap((g) => [...(g.name !== null ? [{ group: g }] : []), ...g.rows.map((r) => ({ row: r, g: g.name }))]),
+    [groupedRows]
+  );
+  const tableChains = useMemo(() => Array.from(new Set(rows.map((r) => r.chain))).sort(), [rows]);
+  const tableAssets = useMemo(
+    () => Array.from(new Set(rows.filter((r) => r.wallet).map((r) => r.asset))).sort(),
+    [rows]
+  );
+  const pivot = useMemo(
+    () => (tableView.pivot ? pivotRows(viewRows, valueOf) : null),
+    // valueOf is rebuilt every render: depend on what it reads
+    [tableView.pivot, viewRows, priceSources, prices]
+  );
+  const setView = (patch) => setTableView((v) => ({ ...v, ...patch }));
+  const toggleSort = (key) =>
+    setTableView((v) => ({
+      ...v,
+      sort: v.sort.key !== key ? { key, dir: 1 } : v.sort.dir === 1 ? { key, dir: -1 } : { key: "", dir: 1 },
+    }));
+
+  // ----- Alerts: evaluated once per finished fetch -----
+  useEffect(() => {
+    const st = alertStateRef.current;
+    if (!st.pending) return;
+    st.pending = false;
+    const { events, lastFired, baseline } = evaluateAlerts(alertRules, st.prevRows, rows, infoOf, st.lastFired);
+    st.prevRows = baseline;
+    st.lastFired = lastFired;
+    if (!events.length) return;
+
+    const entries = events.map((ev) => ({
+      ts: ev.ts,
+      ruleId: ev.rule.id,
+      chain: ev.row.chain,
+      wallet: ev.row.wallet,
+      label: infoOf(ev.row).label,
+      asset: ev.row.asset,
+      contract: ev.row.contract,
+      balance: ev.row.balance ?? null,
+      previous: ev.prev?.balance ?? null,
+      message: ev.message,
+    }));
+    setAlertLog((log) => [...entries.reverse(), ...log].slice(0, 200));
+    for (const en of entries) {
+      notifyBrowser(
+        `${en.label || en.wallet.slice(0, 10)} · ${en.asset} (${en.chain})`,
+        en.message
+      ).catch(() => {});
+      if (alertWebhook) {
+        postWebhook(alertWebhook, en).catch((e) =>
+          setAlertLog((log) => [{ ts: new Date().toISOString(), message: `webhook failed: ${e.message}` }, ...log])
+        );
+      }
+    }
+    // runs once per new rows (st.pending marks a finished fetch); rules, webhook and labels are read as they are then
+  }, [rows]);
+
+  function updateRule(id, patch) {
+    setAlertRules((rs) => rs.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+  }
+
+  // ----- Valuation -----
+  // manual prices apply live, other sources use the last resolved value (prices.js)
+  const priceFor = (r) => rowPrice(r, priceSources, prices);
+  const valueOf = (r) => rowValue(r, priceFor(r));
+  const totals = useMemo(
+    () => portfolioTotals(rows, valueOf),
+    // valueOf is rebuilt every render: depend on what it reads
+    [rows, priceSources, prices]
+  );
+  // position contract -> sum of its underlying values (display only, totals count the underlying rows)
+  const positionValues = useMemo(() => {
+    const m = new Map();
+    for (const r of rows) {
+      const v = r.parent ? valueOf(r) : null;
+      if (!v) continue;
+      const k = `${r.chain}|${r.wallet}|${r.parent.toLowerCase()}`;
+      m.set(k, add(m.get(k), v));
+    }
+    return m;
+    // valueOf is rebuilt every render: depend on what it reads
+  }, [rows, priceSources, prices]);
+  // underlying tokens seen in position rows, per chain (so they can get a price source)
+  const underlyingAssets = useMemo(() => {
+    const m = new Map(); // chainId -> Map(lowercase contract -> { contract, symbol })
+    for (const r of rows) {
+      if (r.assetType !== "underlying") continue;
+      if (!m.has(r.chain)) m.set(r.chain, new Map());
+      const k = String(r.contract).toLowerCase();
+      if (!m.get(r.chain).has(k)) m.get(r.chain).set(k, { contract: r.contract, symbol: r.asset.replace(/ \([^)]*\)$/, "") });
+    }
+    return m;
+  }, [rows]);
+  const positionValue = (r) => positionValues.get(`${r.chain}|${r.wallet}|${String(r.contract).toLowerCase()}`) ?? null;
+  const gasByChain = useMemo(() => gasSummary(rows), [rows]);
+  // wallet x logical asset across chains (assets.js)
+  const consolidated = useMemo(
+    () => consolidate(rows, assetIndex(assetMap, chains, builtinAssets), valueOf),
+    // valueOf is rebuilt every render: priceSources / prices are what it reads
+    [rows, assetMap, chains, builtinAssets, priceSources, prices]
+  );
+  const money = (v) => (v == null ? "-" : `${fmt(v, 2)} ${currency}`);
+  const walletTotal = useMemo(() => new Map(totals.byWallet.map((t) => [t.key, t.value])), [totals]);
+
+  // ----- Asset map -----
+  function updateAsset(i, patch) {
+    setAssetMap((m) => m.map((a, k) => (k === i ? { ...a, ...patch } : a)));
+  }
+  // link an unmapped row's contract to a logical asset (new or existing)
+  function mapToAsset(r) {
+    const id = prompt(`Asset logis untuk ${r.asset} di ${r.chain} (mis. USDC):`, r.asset.replace(/ \([^)]*\)$/, ""));
+    if (!id || !id.trim()) return;
+    const member = `${r.chain}:${r.contract}`;
+    setAssetMap((m) => {
+      const i = m.findIndex((a) => a.id === id.trim());
+      if (i >= 0) return m.map((a, k) => (k === i ? { ...a, members: a.members ? `${a.members}, ${member}` : member } : a));
+      // extending a built-in asset: start from its members so the copy does not drop them
+      const base = builtinAssets ? builtinCopy(id.trim()) : null;
+      return [...m, { id: id.trim(), members: base ? `${base.members}, ${member}` : member }];
+    });
+  }
+
+  function setPriceSource(key, patch) {
+    setPriceSources((ps) => {
+      if (patch === null) {
+        const { [key]: _, ...rest } = ps;
+        return rest;
+      }
+      return { ...ps, [key]: { ...(ps[key] || {}), ...patch } };
+    });
+  }
+
+  // ----- Workspaces -----
+  function applyWorkspace(data) {
+    // drop the run: its rows belong to the old workspace
+    runRef.current?.abort();
+    runRef.current = null;
+    setLoading(false);
+    setProgress(null);
+    Object.values(discoverRef.current).forEach((c) => c.abort());
+    discoverRef.current = {};
+    setDiscoverBusy({});
+    setRunning(false);
+    setShared(null);
+    setChains(data.chains);
+    setWallets(data.wallets);
+    setTokens(data.tokens);
+    setCollections(data.collections);
+    setPositions(data.positions);
+    setIntervalSec(data.intervalSec);
+    setFetchTimeoutSec(data.fetchTimeoutSec);
+    setFetchRetries(data.fetchRetries);
+    setRows(data.rows);
+    stableRowsRef.current = data.rows;
+    setLastUpdated(data.lastUpdated);
+    setCurrency(data.currency);
+    setPriceSources(data.priceSources);
+    setPrices(data.prices);
+    setIgnoredTokens(data.ignoredTokens);
+    setAlertRules(data.alertRules);
+    setAlertWebhook(data.alertWebhook);
+    setAlertLog(data.alertLog);
+    setEnsNames(data.ensNames);
+    setDisplayPrecision(data.displayPrecision);
+    setPointInTime(data.pointInTime);
+    setProxyUrl(data.proxyUrl);
+    setGasCheck(data.gasCheck);
+    setHistoryRetention(data.historyRetention);
+    setAssetMap(data.assetMap);
+    setBuiltinAssets(data.builtinAssets);
+    alertStateRef.current = { prevRows: data.rows, lastFired: {}, pending: false };
+    setCandidates({});
+    setDiscoverStatus({});
+    setError(null);
+  }
+  function persistWorkspace(id, data) {
+    const res = saveWorkspace(id, data);
+    setSaveIssue(res === "saved" ? null : res);
+  }
+  function currentWorkspace() {
+    return {
+      chains,
+      wallets,
+      tokens,
+      collections,
+      positions,
+      intervalSec,
+      fetchTimeoutSec,
+      fetchRetries,
+      rows: loading ? stableRowsRef.current : rows,
+      lastUpdated,
+      currency,
+      priceSources,
+      prices,
+      ignoredTokens,
+      alertRules,
+      alertWebhook,
+      alertLog,
+      ensNames,
+      displayPrecision,
+      pointInTime,
+      proxyUrl,
+      gasCheck,
+      historyRetention,
+      assetMap,
+      builtinAssets,
+    };
+  }
+  function switchWorkspace(id) {
+    if (id === wsIndex.active && !shared) return;
+    if (!shared) persistWorkspace(wsIndex.active, currentWorkspace());
+    closeSharedLink();
+    applyWorkspace(loadWorkspace(id) ?? defaultWorkspace());
+    setWsIndex((idx) => ({ ...idx, active: id }));
+  }
+  function createWorkspace(copyCurrent) {
+    const base = copyCurrent
+      ? `${wsIndex.list.find((w) => w.id === wsIndex.active)?.name || "workspace"} copy`
+      : "";
+    const name = prompt("Nama workspace:", base);
+    if (!name || !name.trim()) return;
+    const id = newWorkspaceId();
+    const data = copyCurrent ? currentWorkspace() : defaultWorkspace();
+    if (!shared) persistWorkspace(wsIndex.active, currentWorkspace());
+    closeSharedLink();
+    persistWorkspace(id, data);
+    applyWorkspace(data);
+    setWsIndex((idx) => ({ active: id, list: [...idx.list, { id, name: name.trim() }] }));
+  }
+  function renameWorkspace() {
+    const cur = wsIndex.list.find((w) => w.id === wsIndex.active);
+    const name = prompt("Rename workspace:", cur?.name || "");
+    if (!name || !name.trim()) return;
+    setWsIndex((idx) => ({
+      ...idx,
+      list: idx.list.map((w) => (w.id === idx.active ? { ...w, name: name.trim() } : w)),
+    }));
+  }
+  function removeWorkspace() {
+    if (wsIndex.list.length <= 1) {
+      alert("Minimal harus ada 1 workspace.");
+      return;
+    }
+    const cur = wsIndex.list.find((w) => w.id === wsIndex.active);
+    if (!confirm(`Hapus workspace "${cur?.name}"?`)) return;
+    const list = wsIndex.list.filter((w) => w.id !== wsIndex.active);
+    deleteWorkspace(wsIndex.active);
+    clearSnapshots(wsIndex.active).catch(() => {});
+    closeSharedLink();
+    applyWorkspace(loadWorkspace(list[0].id) ?? defaultWorkspace());
+    setWsIndex({ active: list[0].id, list });
+  }
+
+  // ----- Config file (JSON) + share link -----
+  function exportConfigFile() {
+    const blob = new Blob([JSON.stringify(exportConfig(currentWorkspace()), null, 2)], {
+      type: "application/json;charset=utf-8;",
+    });
+    saveAs(blob, `evm_tracker_config_${fileStamp()}.json`);
+  }
+  function handleConfigClick() {
+    if (configInputRef.current) configInputRef.current.value = "";
+    configInputRef.current?.click();
+  }
+  async function handleConfigSelected(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      const { config, errors } = parseConfig(JSON.parse(await file.text()));
+      if (!config) {
+        alert(`Config tidak valid: ${errors.map((x) => x.message).join("; ")}`);
+        return;
+      }
+      setConfigImport({ name: file.name, config, errors });
+    } catch (err) {
+      alert(`Gagal baca config: ${err?.message || String(err)}`);
+    }
+  }
+  function applyConfigImport(mode) {
+    if (mode === "replace" && !confirm("Replace: chains, tokens, wallets & settings workspace ini diganti isi file. Lanjut?")) {
+      return;
+    }
+    const data = applyConfig(currentWorkspace(), configImport.config, mode, defaultWorkspace());
+    if (!shared) persistWorkspace(wsIndex.active, data);
+    applyWorkspace(data);
+    setShared(shared); // importing into a shared view keeps it read-only
+    setConfigImport(null);
+  }
+  async function copyShareLink() {
+    const link = shareLink(exportConfig(currentWorkspace()), window.location.href.split(/[?#]/)[0]);
+    try {
+      await navigator.clipboard.writeText(link);
+      alert("Link config (read-only) sudah dicopy.");
+    } catch {
+      prompt("Copy link ini:", link);
+    }
+  }
+  // drop #config / ?config from the address bar so a reload opens the normal workspace
+  function closeSharedLink() {
+    const url = new URL(window.location.href);
+    if (!url.hash.includes("config=") && !url.searchParams.has("config")) return;
+    url.searchParams.delete("config");
+    url.hash = "";
+    window.history.replaceState(null, "", url.toString());
+  }
+  // open a shared config from the URL (once, on load)
+  useEffect(() => {
+    configFromLocation(window.location)
+      .then((found) => {
+        if (!found) return;
+        const { config, errors } = parseConfig(found.data);
+        if (!config) throw new Error(errors.map((x) => x.message).join("; "));
+        applyWorkspace(applyConfig(null, config, "replace", defaultWorkspace()));
+        setShared({ source: found.source, errors });
+      })
+      .catch((e) => setError(`shared config: ${e.message || String(e)}`));
+    // once on load: a later URL change does not reopen the link
+  }, []);
 
   // ----- Mutators -----
-  function addChain() {
-    setChains((c) => [...c, { id: `chain-${Date.now()}`, rpc: "", symbol: "" }]);
+  function addChain(registryId) {
+    const preset = registryId ? chainFromRegistry(registryId) : null;
+    if (preset && chains.some((c) => c.id === preset.id)) {
+      alert(`Chain "${preset.id}" sudah ada.`);
+      return;
+    }
+    const ch = preset || { id: `chain-${Date.now()}`, rpc: "", rpcs: [], symbol: "", chainId: null };
+    setChains((c) => [...c, ch]);
+    if (preset) verifyChain(preset);
+  }
+  // the chain as it is actually queried ("use proxy" -> one endpoint on the local proxy)
+  function rpcChain(ch) {
+    return ch.useProxy ? proxiedChain(ch, proxyUrl) : ch;
+  }
+  // eth_chainId on every endpoint of a chain, results shown under the chain
+  async function verifyChain(ch) {
+    const urls = chainRpcs(rpcChain(ch));
+    setRpcStatus((s) => ({ ...s, ...Object.fromEntries(urls.map((u) => [u, { pending: true }])) }));
+    const results = await Promise.all(urls.map((u) => verifyRpc(u, ch.chainId)));
+    setRpcStatus((s) => ({ ...s, ...Object.fromEntries(results.map((r) => [r.url, r])) }));
   }
   function updateChain(idx, patch) {
     setChains((c) => c.map((ch, i) => (i === idx ? { ...ch, ...patch } : ch)));
@@ -141,10 +826,10 @@ export default function App() {
   }
 
   function addWallet() {
-    setWallets((w) => [...w, ""]);
+    setWallets((w) => [...w, normalizeWallet("")]);
   }
-  function updateWallet(i, v) {
-    setWallets((w) => w.map((x, idx) => (i === idx ? v : x)));
+  function updateWallet(i, patch) {
+    setWallets((w) => w.map((x, idx) => (i === idx ? { ...x, ...patch } : x)));
   }
   function removeWallet(i) {
     setWallets((w) => w.filter((_, idx) => idx !== i));
@@ -169,269 +854,1055 @@ export default function App() {
     }));
   }
 
-  // ----- Import Wallets from CSV/XLSX -----
-  async function handleImportClick() {
-    if (fileInputRef.current) fileInputRef.current.value = "";
-    fileInputRef.current?.click();
+  function addCollection(chainId) {
+    setCollections((c) => ({
+      ...c,
+      [chainId]: [...(c[chainId] || []), { address: "", standard: "erc721", name: "", tokenIds: "" }],
+    }));
+  }
+  function updateCollection(chainId, idx, patch) {
+    setCollections((c) => ({
+      ...c,
+      [chainId]: (c[chainId] || []).map((x, i) => (i === idx ? { ...x, ...patch } : x)),
+    }));
+  }
+  function removeCollection(chainId, idx) {
+    setCollections((c) => ({
+      ...c,
+      [chainId]: (c[chainId] || []).filter((_, i) => i !== idx),
+    }));
   }
 
-  function isProbablyAddress(v) {
-    if (!v || typeof v !== "string") return false;
-    const s = v.trim();
-    if (!s.startsWith("0x") || s.length !== 42) return false;
-    return true;
+  function addPosition(chainId) {
+    setPositions((p) => ({
+      ...p,
+      [chainId]: [...(p[chainId] || []), { adapter: listAdapters()[0].id, address: "", label: "" }],
+    }));
+  }
+  function updatePosition(chainId, idx, patch) {
+    setPositions((p) => ({
+      ...p,
+      [chainId]: (p[chainId] || []).map((x, i) => (i === idx ? { ...x, ...patch } : x)),
+    }));
+  }
+  function removePosition(chainId, idx) {
+    setPositions((p) => ({
+      ...p,
+      [chainId]: (p[chainId] || []).filter((_, i) => i !== idx),
+    }));
   }
 
-  function extractAddressesFromSheet(sheet) {
-    // Try reading as 2D array first
-    const rowsA = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: "" });
-    const found = new Set();
-    for (const row of rowsA) {
-      for (const cell of row) {
-        const s = String(cell).trim();
-        if (isProbablyAddress(s) && ethers.isAddress(s)) {
-          found.add(ethers.getAddress(s));
+  // ----- Token discovery (Transfer logs -> candidates) -----
+  async function discoverTokens(ch) {
+    let ctrl = null;
+    // a discovery dropped by a workspace switch no longer writes its status
+    const setStatus = (text) =>
+      (!ctrl || discoverRef.current[ch.id] === ctrl) && setDiscoverStatus((s) => ({ ...s, [ch.id]: text }));
+    const known = new Set([
+      ...(tokens[ch.id] || []).map((t) => t.address.toLowerCase()),
+      ...(ignoredTokens[ch.id] || []),
+    ]);
+    const walletList = wallets.map(walletAddress).filter(Boolean);
+    if (!walletList.length) {
+      setStatus("no valid wallets");
+      return;
+    }
+    if (discoverRef.current[ch.id]) return;
+    ctrl = new AbortController();
+    const opts = { signal: ctrl.signal, timeoutMs: (fetchTimeoutSec || DEFAULT_TIMEOUT_SEC) * 1000 };
+    discoverRef.current[ch.id] = ctrl;
+    setDiscoverBusy((b) => ({ ...b, [ch.id]: true }));
+    setStatus("connecting…");
+    const failures = [];
+    try {
+      for await (const { provider } of providersFor(rpcChain(ch), failures)) {
+        try {
+          const latest = await request(() => provider.getBlockNumber(), { ...opts, retries: fetchRetries });
+          const from = Math.max(0, latest - (ch.discoverBlocks || DEFAULT_DISCOVER_BLOCKS) + 1);
+          const found = await scanReceivedTokens(provider, walletList, from, latest, {
+            ...opts,
+            chunk: ch.logChunk || DEFAULT_LOG_CHUNK,
+            onProgress: (done, total) => setStatus(`scanning ${done}/${total} blocks…`),
+          });
+          const fresh = found.filter((a) => !known.has(a.toLowerCase()));
+          setStatus(`reading metadata of ${fresh.length} contract(s)…`);
+          const meta = await request(() => tokenMetadata(provider, fresh), { ...opts, retries: 0 });
+          throwIfAborted(ctrl.signal);
+          setCandidates((c) => ({ ...c, [ch.id]: meta }));
+          setStatus(`${fresh.length} new token(s) in blocks ${from}–${latest}`);
+          return;
+        } catch (e) {
+          if (e instanceof AbortedError || ctrl.signal.aborted) return setStatus("discovery cancelled");
+          failures.push(errText(e));
+        }
+      }
+      setStatus(`error: ${failures.join(" | ")}`);
+    } finally {
+      if (discoverRef.current[ch.id] === ctrl) {
+        delete discoverRef.current[ch.id];
+        setDiscoverBusy((b) => {
+          const { [ch.id]: _, ...rest } = b;
+          return rest;
+        });
+      }
+    }
+  }
+  function dropCandidate(chainId, address) {
+    setCandidates((c) => ({ ...c, [chainId]: (c[chainId] || []).filter((x) => x.address !== address) }));
+  }
+  function acceptCandidate(chainId, cand) {
+    setTokens((t) => ({
+      ...t,
+      [chainId]: [...(t[chainId] || []), { address: cand.address, symbol: cand.symbol, decimals: cand.decimals }],
+    }));
+    dropCandidate(chainId, cand.address);
+  }
+  // ----- Activity: Transfer logs of one wallet on one chain -----
+  function activityTarget() {
+    const ch = chains.find((c) => c.id === activitySel.chain) || null;
+    const tlist = ch ? (tokens[ch.id] || []).filter((t) => ethers.isAddress(t.address)) : [];
+    const wallet = ethers.isAddress(activitySel.wallet) ? activitySel.wallet : null;
+    return { ch, tlist, wallet, key: ch && wallet ? activityKey(ch.id, wallet, tlist) : null };
+  }
+  // mode: "newer" (first page / new blocks) | "older"
+  async function loadActivity(mode) {
+    const { ch, tlist, wallet } = activityTarget();
+    if (!ch || !wallet) return setActivityStatus("pick a chain and a wallet");
+    if (!tlist.length) return setActivityStatus("no tracked tokens on this chain");
+    setActivityBusy(true);
+    setActivityStatus("connecting…");
+    const failures = [];
+    try {
+      for await (const { provider } of providersFor(rpcChain(ch), failures)) {
+        try {
+          const res = await scanActivity(provider, ch.id, wallet, tlist, mode, {
+            blocks: activitySel.blocks,
+            chunk: ch.logChunk || DEFAULT_LOG_CHUNK,
+            timeoutMs: (fetchTimeoutSec || DEFAULT_TIMEOUT_SEC) * 1000,
+            retries: fetchRetries,
+            onProgress: (done, total) => setActivityStatus(`scanning ${done}/${total} blocks…`),
+          });
+          setActivityStatus(`${res.entries.length} transfer(s) in blocks ${res.from}–${res.to}`);
+          return;
+        } catch (e) {
+          failures.push(errText(e));
         }
       }
+      setActivityStatus(`error: ${failures.join(" | ")}`);
+    } finally {
+      setActivityBusy(false);
     }
-    // Also try object mode to capture named columns like "wallet", "address"
-    const rowsO = XLSX.utils.sheet_to_json(sheet, { defval: "" });
-    for (const obj of rowsO) {
-      for (const key of Object.keys(obj)) {
-        const s = String(obj[key]).trim();
-        if (isProbablyAddress(s) && ethers.isAddress(s)) {
-          found.add(ethers.getAddress(s));
+  }
+
+  // ----- Native flows: native coin in/out of every tracked wallet on one chain -----
+  function nativeTarget() {
+    const ch = chains.find((c) => c.id === nativeSel.chain) || null;
+    const list = Array.from(new Set(wallets.map(walletAddress).filter(Boolean)));
+    return { ch, wallets: list, key: ch && list.length ? nativeFlowKey(ch.id, nativeSel.method, list) : null };
+  }
+  async function loadNativeFlow(mode) {
+    const { ch, wallets: list } = nativeTarget();
+    if (!ch) return setNativeStatus("pick a chain");
+    if (!list.length) return setNativeStatus("no wallets");
+    setNativeBusy(true);
+    setNativeStatus("connecting…");
+    const failures = [];
+    try {
+      for await (const { provider } of providersFor(rpcChain(ch), failures)) {
+        try {
+          const res = await scanNativeFlow(provider, ch.id, list, nativeSel.method, mode, {
+            blocks: nativeSel.blocks,
+            decimals: ch.decimals ?? 18,
+            concurrency: ch.concurrency || DEFAULT_CONCURRENCY,
+            timeoutMs: (fetchTimeoutSec || DEFAULT_TIMEOUT_SEC) * 1000,
+            retries: fetchRetries,
+            onProgress: (done, total) => setNativeStatus(`scanning ${done}/${total}…`),
+          });
+          setNativeStatus(`${res.entries.length} native flow(s) in blocks ${res.from}–${res.to} (${res.method})`);
+          return;
+        } catch (e) {
+          failures.push(isArchiveError(e) ? "balance diff needs an archive node" : errText(e));
         }
       }
+      setNativeStatus(`error: ${failures.join(" | ")}`);
+    } finally {
+      setNativeBusy(false);
+    }
+  }
+
+  function ignoreCandidate(chainId, cand) {
+    setIgnoredTokens((ig) => ({
+      ...ig,
+      [chainId]: Array.from(new Set([...(ig[chainId] || []), cand.address.toLowerCase()])),
+    }));
+    dropCandidate(chainId, cand.address);
+  }
+
+  // ----- ENS -----
+  // forward-resolve one wallet entry right after it is typed
+  async function resolveWalletEntry(i, name) {
+    if (!isEnsName(name)) return;
+    try {
+      const provider = await ensProvider(chains.map(rpcChain));
+      const addr = provider ? await resolveEns(provider, name) : null;
+      setWallets((ws) =>
+        ws.map((w, idx) => (idx === i && w.address === name ? { ...w, resolved: addr || "", resolveError: !addr } : w))
+      );
+    } catch (e) {
+      setWallets((ws) =>
+        ws.map((w, idx) => (idx === i && w.address === name ? { ...w, resolved: "", resolveError: true } : w))
+      );
+    }
+  }
+  // every ENS entry -> Map(lowercaseName -> address | null); refreshes `resolved` on the entries
+  async function resolveWalletNames(signal) {
+    const map = await resolveEnsWallets(wallets, chains.map(rpcChain));
+    throwIfAborted(signal); // a dropped run must not touch the next workspace's wallets
+    if (!map.size) return map;
+    setWallets((ws) =>
+      ws.map((w) => {
+        const key = w.address.trim().toLowerCase();
+        if (!map.has(key)) return w;
+        return { ...w, resolved: map.get(key) || "", resolveError: !map.get(key) };
+      })
+    );
+    return map;
+  }
+  // primary names for addresses (all given, or only the ones not looked up yet)
+  async function refreshPrimaryNames(addresses) {
+    if (!addresses.length) return;
+    try {
+      const provider = await ensProvider(chains.map(rpcChain));
+      if (!provider) return;
+      const names = await reverseNames(provider, addresses);
+      setEnsNames((n) => ({ ...n, ...names }));
+    } catch (e) {
+      setError(`primary names: ${errText(e)}`);
     }
-    return Array.from(found);
+  }
+  useEffect(() => {
+    const missing = Array.from(new Set(wallets.map(walletAddress).filter(Boolean))).filter(
+      (a) => !(a.toLowerCase() in ensNames)
+    );
+    if (!missing.length) return;
+    const t = setTimeout(() => refreshPrimaryNames(missing), 800);
+    return () => clearTimeout(t);
+    // new wallets only; ensNames is read, not watched, so a lookup result does not start another
+  }, [wallets]);
+  const primaryName = (addr) => (addr ? ensNames[String(addr).toLowerCase()] || null : null);
+
+  // ----- Import Wallets from CSV/XLSX -----
+  async function handleImportClick() {
+    if (fileInputRef.current) fileInputRef.current.value = "";
+    fileInputRef.current?.click();
   }
 
+  // file -> import dialog (sheet picker, mapping, dry run); nothing is applied yet
   async function handleFileSelected(e) {
     const file = e.target.files?.[0];
     if (!file) return;
     try {
       const buf = await file.arrayBuffer();
       const wb = XLSX.read(buf, { type: "array" }); // works for .xlsx, .xls, and .csv
-      const firstSheetName = wb.SheetNames[0];
-      const sheet = wb.Sheets[firstSheetName];
-      const addrs = extractAddressesFromSheet(sheet);
-      if (!addrs.length) {
-        alert("Tidak ditemukan address valid di file. Pastikan format 0x... (42 chars).");
-        return;
-      }
-      setWallets((prev) => {
-        const have = new Set(prev.map((w) => {
-          try { return ethers.getAddress(w); } catch { return w; }
-        }));
-        const merged = [...prev];
-        for (const a of addrs) if (!have.has(a)) merged.push(a);
-        return merged;
-      });
+      openImportSheet({ fileName: file.name, wb, kind: "wallets", defaultChain: chains[0]?.id || "" }, wb.SheetNames[0]);
     } catch (err) {
       console.error(err);
       alert(`Gagal import: ${err?.message || String(err)}`);
     }
   }
+  function openImportSheet(dlg, sheetName, kind = dlg.kind) {
+    const table = sheetTable(dlg.wb.Sheets[sheetName]);
+    setImportDlg({ ...dlg, sheetName, kind, table, ...guessMapping(table, kind) });
+  }
+  const importPlan = useMemo(() => {
+    if (!importDlg) return null;
+    return importDlg.kind === "wallets"
+      ? planWalletImport(importDlg.table, importDlg, wallets)
+      : planTokenImport(importDlg.table, importDlg, tokens, chains, importDlg.defaultChain);
+  }, [importDlg, wallets, tokens, chains]);
+  function applyImport() {
+    if (!importPlan?.summary.added) return;
+    if (importDlg.kind === "wallets") setWallets((prev) => applyWalletImport(prev, importPlan));
+    else setTokens((prev) => applyTokenImport(prev, importPlan));
+    setImportDlg(null);
+  }
 
-  // ----- Core: fetch balances -----
-  async function fetchBalancesOnce() {
+  // ----- Core: fetch balances (per-chain reads in fetcher.js, progress + state here) -----
+  // opts.poll: timer tick; in live mode it only reads the chains without a working socket
+  async function fetchBalancesOnce(opts = {}) {
+    if (runRef.current) return; // never overlap: a tick during a run is skipped
+    const only =
+      opts.poll && liveMode ? new Set(chains.filter((ch) => liveRef.current.state[ch.id] !== "live").map((ch) => ch.id)) : null;
+    if (only && !only.size) return;
+    const pit = pointInTime.mode === "latest" ? null : pointInTime;
+    if (pit && !pointInTimeLabel(pit)) {
+      setError(pit.mode === "block" ? "point-in-time: enter a block number" : "point-in-time: enter a valid UTC time");
+      return;
+    }
+    const ctrl = new AbortController();
+    runRef.current = ctrl;
+    const isCurrent = () => runRef.current === ctrl;
+    const prevRows = rows;
     setError(null);
     setLoading(true);
-    const out = [];
+
+    const newPrices = {};
+    const fresh = new Map(); // rowKey -> row, merged over prevRows while the run is going
+    const counts = {}; // chainId -> { wallets, reads }
+    const prog = { chains: [0, 0], wallets: [0, 0], reads: [0, 0] };
+    let flushTimer = null;
+    const flush = () => {
+      flushTimer = null;
+      if (!isCurrent()) return;
+      const c = Object.values(counts);
+      prog.wallets[0] = c.reduce((a, x) => a + x.wallets, 0);
+      prog.reads[0] = c.reduce((a, x) => a + x.reads, 0);
+      setRows(mergeRows(prevRows, fresh));
+      setProgress({ ...prog });
+    };
+    const schedule = () => {
+      if (!flushTimer) flushTimer = setTimeout(flush, 250);
+    };
+    const run = {
+      opts: { signal: ctrl.signal, timeoutMs: (fetchTimeoutSec || DEFAULT_TIMEOUT_SEC) * 1000, retries: fetchRetries },
+      pointInTime: pit,
+      gas: gasCheck.enabled && !pit ? gasCheck : null, // fee data is "now", so not for historical reads
+      tokens,
+      collections,
+      positions,
+      priceSources,
+      currency,
+      emit(ch, list, walletCount) {
+        for (const r of list) fresh.set(rowKey(r), r);
+        counts[ch.id].wallets += walletCount;
+        counts[ch.id].reads += list.length;
+        schedule();
+      },
+      resetChain(ch) {
+        counts[ch.id] = { wallets: 0, reads: 0 };
+      },
+      chainDone() {
+        prog.chains[0]++;
+        schedule();
+      },
+    };
+
     try {
-      for (const ch of chains) {
-        if (!ch.rpc || !ch.id) continue;
-        let provider;
-        try {
-          provider = new ethers.JsonRpcProvider(ch.rpc);
-          await provider.getBlockNumber();
-        } catch (e) {
-          out.push({ chain: ch.id, error: `RPC connect error: ${e.message}` });
-          continue;
-        }
-        for (const w of wallets) {
-          if (!w) continue;
-          let checksum;
-          try {
-            checksum = ethers.getAddress(w);
-          } catch {
-            out.push({
-              chain: ch.id,
-              wallet: w,
-              asset: ch.symbol || "native",
-              contract: "native",
-              balance: null,
-              error: "invalid address",
-            });
-            continue;
-          }
+      const targets = walletTargets(wallets, await resolveWalletNames(ctrl.signal));
+      const active = chains.map(rpcChain).filter((ch) => chainRpcs(ch).length && ch.id && (!only || only.has(ch.id)));
+      prog.chains[1] = active.length;
+      prog.wallets[1] = active.length * targets.list.length;
+      prog.reads[1] = active.reduce(
+        (a, ch) =>
+          a +
+          targets.list.length *
+            (1 +
+              [tokens, collections, positions].reduce((n, m) => n + (m[ch.id] || []).filter((x) => x.address).length, 0)),
+        0
+      );
+      for (const ch of active) counts[ch.id] = { wallets: 0, reads: 0 };
+      setProgress({ ...prog });
 
-          // native
-          try {
-            const nativeBal = await provider.getBalance(checksum);
-            out.push({
-              chain: ch.id,
-              wallet: checksum,
-              asset: ch.symbol || "native",
-              contract: "native",
-              balance: Number(ethers.formatEther(nativeBal)),
-            });
-          } catch (e) {
-            out.push({
-              chain: ch.id,
-              wallet: checksum,
-              asset: ch.symbol || "native",
-              contract: "native",
-              balance: null,
-              error: `native error: ${e.message}`,
-            });
-          }
+      // chains in parallel, each with its own concurrency limit; output keeps chain order
+      const perChain = await Promise.all(active.map((ch) => fetchChain(ch, targets, run, newPrices)));
+      throwIfAborted(ctrl.signal);
+      const byChain = new Map(active.map((ch, i) => [ch.id, perChain[i]]));
+      // partial run: the other chains keep their rows (live updates)
+      const out = only ? chains.flatMap((ch) => byChain.get(ch.id) ?? prevRows.filter((r) => r.chain === ch.id)) : perChain.flat();
+      clearTimeout(flushTimer);
+      flushTimer = null;
 
-          // tokens
-          const tlist = tokens[ch.id] || [];
-          for (const t of tlist) {
-            if (!t.address) continue;
-            try {
-              const c = new ethers.Contract(t.address, ERC20_ABI, provider);
-              let decimals = t.decimals;
-              if (decimals === undefined || decimals === null) {
-                try {
-                  decimals = await c.decimals();
-                } catch {
-                  decimals = 18;
-                }
-              }
-              let symbol = t.symbol || "";
-              if (!symbol) {
-                try {
-                  symbol = await c.symbol();
-                } catch {
-                  symbol = t.address.slice(0, 6);
-                }
-              }
-              const raw = await c.balanceOf(checksum);
-              const val = Number(ethers.formatUnits(raw, decimals));
-              out.push({
-                chain: ch.id,
-                wallet: checksum,
-                asset: symbol,
-                contract: t.address,
-                balance: val,
-                decimals,
-              });
-            } catch (e) {
-              out.push({
-                chain: ch.id,
-                wallet: checksum,
-                asset: t.symbol || t.address.slice(0, 6),
-                contract: t.address,
-                balance: null,
-                error: `token error: ${e.message}`,
-              });
-            }
-          }
-        }
-      }
+      const ts = new Date().toISOString();
+      // historical reads are not "now": no alerts, no snapshot
+      if (!pit) alertStateRef.current.pending = true;
       setRows(out);
-      setLastUpdated(new Date().toISOString());
+      setLastUpdated(ts);
+      setPrices((p) => ({ ...p, ...newPrices }));
+      const ws = wsIndex.active;
+      if (!pit && !shared && !only) {
+        saveSnapshot(ws, ts, out, historyRetention)
+          .then(() => loadSnapshotMeta(ws)) // retention may have pruned older ones
+          .then((meta) => activeWsRef.current === ws && setSnapshots(meta))
+          .catch((e) => setError(`snapshot not saved: ${e.message || String(e)}`));
+      }
+      refreshPrimaryNames(targets.list);
     } catch (e) {
-      setError(e.message || String(e));
+      clearTimeout(flushTimer);
+      flushTimer = null;
+      if (!isCurrent()) return; // workspace switched: nothing of this run is kept
+      if (e instanceof AbortedError || ctrl.signal.aborted) {
+        // Cancel keeps the previous complete result instead of a half-updated table
+        if (ctrl.signal.reason === "user") setRows(prevRows);
+        setError("fetch cancelled");
+      } else {
+        setError(e.message || String(e));
+      }
     } finally {
-      setLoading(false);
+      if (isCurrent()) {
+        runRef.current = null;
+        setLoading(false);
+        setProgress(null);
+        replayLive();
+      }
     }
   }
+  function cancelFetch() {
+    runRef.current?.abort("user");
+  }
 
-  // Loop
+  // Loop (through a ref, so every tick uses the current config)
+  const fetchRef = useRef(fetchBalancesOnce);
+  fetchRef.current = fetchBalancesOnce;
   useEffect(() => {
     if (running) {
-      fetchBalancesOnce();
+      fetchRef.current();
       if (intervalSec > 0) {
-        timerRef.current = setInterval(fetchBalancesOnce, intervalSec * 1000);
+        timerRef.current = setInterval(() => fetchRef.current({ poll: true }), intervalSec * 1000);
       }
     }
     return () => {
       if (timerRef.current) clearInterval(timerRef.current);
       timerRef.current = null;
     };
-    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [running, intervalSec]);
 
+  // ----- Live mode -----
+  // collect wallet/asset pairs per chain, re-read them together after a short debounce
+  function queueLive(chainId, items) {
+    if (!items.length) return;
+    const live = liveRef.current;
+    const q = live.pending.get(chainId) || new Map();
+    for (const it of items) {
+      const k = `${it.wallet}|${it.contract.toLowerCase()}`;
+      q.set(k, { ...it, block: Math.max(q.get(k)?.block ?? 0, it.block ?? 0) || null });
+    }
+    live.pending.set(chainId, q);
+    if (!live.timers[chainId]) {
+      live.timers[chainId] = setTimeout(() => {
+        live.timers[chainId] = null;
+        liveRefreshRef.current(chainId);
+      }, LIVE_DEBOUNCE_MS);
+    }
+  }
+  // the RPC a chain's live reads go through: chainId verified once per live session, dropped when a read fails
+  function liveConn(ch, live, opts) {
+    if (!live.conn[ch.id]) {
+      const failures = [];
+      const conn = (async () => {
+        for await (const c of providersFor(rpcChain(ch), failures, opts)) return c;
+        throw new Error(failures.join(" | ") || "no RPC");
+      })();
+      conn.catch(() => live.conn[ch.id] === conn && delete live.conn[ch.id]);
+      live.conn[ch.id] = conn;
+    }
+    return live.conn[ch.id];
+  }
+  function liveOpts(live) {
+    return { signal: live.ctrl.signal, timeoutMs: (fetchTimeoutSec || DEFAULT_TIMEOUT_SEC) * 1000, retries: fetchRetries };
+  }
+  /*
+  Re-read only the queued pairs of one chain, at the newest block seen for them.
+  latest: read at the head instead (replay after a full run, whose rows are newer than the queued blocks)
+  */
+  async function liveRefresh(chainId, { latest = false } = {}) {
+    const live = liveRef.current;
+    // a full run would overwrite these rows with its own: the queue waits for replayLive()
+    if (runRef.current || !live.ctrl) return;
+    const items = Array.from(live.pending.get(chainId)?.values() || []);
+    live.pending.delete(chainId);
+    const ch = chains.find((c) => c.id === chainId);
+    if (!ch || !items.length) return;
+    const ws = activeWsRef.current;
+    // symbol/decimals already read by earlier runs are not asked again
+    const seen = new Map(rows.filter((r) => r.chain === ch.id && r.decimals != null).map((r) => [String(r.contract).toLowerCase(), r]));
+    const tlist = (tokens[ch.id] || []).map((t) => {
+      const r = seen.get(t.address.toLowerCase());
+      return r ? { ...t, symbol: t.symbol || r.asset, decimals: t.decimals ?? r.decimals } : t;
+    });
+    const run = {
+      opts: liveOpts(live),
+      limit: createLimiter(ch.concurrency || DEFAULT_CONCURRENCY),
+      gas: gasCheck.enabled ? gasCheck : null,
+      tokens: { [ch.id]: tlist },
+    };
+    let url = null;
+    try {
+      const conn = await liveConn(ch, live, run.opts);
+      url = conn.url;
+      const queued = latest ? 0 : items.reduce((m, it) => Math.max(m, it.block ?? 0), 0);
+      const block = queued || (await request(() => conn.provider.getBlockNumber(), run.opts));
+      const fresh = await fetchPairs(ch, conn.provider, items, { ...run, blockTag: block });
+      if (fresh.every((r) => r.error)) throw new Error(fresh[0].error);
+      let out = fresh.map((r) => ({ ...r, confirmedBlock: block, rpc: url }));
+      if (run.gas) out = await stampGas(ch, conn.provider, out, run);
+      // live mode stopped or the workspace switched meanwhile: these rows belong to neither
+      if (live.ctrl.signal.aborted || liveRef.current !== live || activeWsRef.current !== ws) return;
+      if (runRef.current) return queueLive(chainId, items); // a full run started meanwhile: read again after it
+      alertStateRef.current.pending = true;
+      setRows((rs) => {
+        // a row confirmed at this block or later (a full run in between) is at least as new as this read
+        const confirmed = new Map(rs.map((r) => [rowKey(r), r.confirmedBlock ?? -1]));
+        const newer = out.filter((r) => !(confirmed.get(rowKey(r)) >= block));
+        return newer.length ? mergeRows(rs, new Map(newer.map((r) => [rowKey(r), r]))) : rs;
+      });
+      setLastUpdated(new Date().toISOString());
+    } catch (e) {
+      if (e instanceof AbortedError || live.ctrl.signal.aborted || liveRef.current !== live) return;
+      if (url) {
+        markRpc(url, false, errText(e));
+        delete live.conn[chainId]; // the next re-read verifies another RPC
+      }
+      setLiveStatus((s) => ({ ...s, [chainId]: { ...s[chainId], info: `re-read failed: ${errText(e)}` } }));
+    }
+  }
+  const liveRefreshRef = useRef(liveRefresh);
+  liveRefreshRef.current = liveRefresh;
+  // after a full run: the re-reads that were held back while it was going, at the current head
+  function replayLive() {
+    const live = liveRef.current;
+    for (const chainId of Array.from(live.pending.keys())) {
+      clearTimeout(live.timers[chainId]);
+      live.timers[chainId] = null;
+      liveRefreshRef.current(chainId, { latest: true });
+    }
+  }
+  // native balances have no logs: queue the wallets with a transaction in blocks from..to
+  async function liveNativeScan(ch, from, to, walletMap) {
+    const live = liveRef.current;
+    const all = () => Array.from(walletMap.values()).map((w) => ({ wallet: w, contract: "native", block: to }));
+    if (to < from || !live.ctrl) return;
+    if (to - from >= LIVE_NATIVE_MAX_BLOCKS) return queueLive(ch.id, all());
+    const opts = liveOpts(live);
+    try {
+      const { provider } = await liveConn(ch, live, opts);
+      const limit = createLimiter(ch.concurrency || DEFAULT_CONCURRENCY);
+      const numbers = Array.from({ length: to - from + 1 }, (_, i) => from + i);
+      const blocks = await Promise.all(numbers.map((n) => limit(() => request(() => provider.getBlock(n, true), opts))));
+      if (liveRef.current !== live) return;
+      const touched = new Set(blocks.flatMap((b) => touchedWallets(b, walletMap)));
+      queueLive(ch.id, Array.from(touched).map((w) => ({ wallet: w, contract: "native", block: to })));
+    } catch (e) {
+      if (e instanceof AbortedError || live.ctrl.signal.aborted || liveRef.current !== live) return;
+      queueLive(ch.id, all()); // blocks not readable: every native balance instead of a missed one
+    }
+  }
+  const liveNativeRef = useRef(liveNativeScan);
+  liveNativeRef.current = liveNativeScan;
+
+  // one socket per chain with a wss:// endpoint; the others (and dropped sockets) keep polling
+  // restarts only when the tracked set changes: callbacks read the current state through refs
+  useEffect(() => {
+    if (!running || !liveMode || pointInTime.mode !== "latest") return;
+    const live = liveRef.current;
+    live.ctrl = new AbortController();
+    let active = true; // closed sessions may still report "closed": ignored after cleanup
+    const walletMap = new Map(wallets.map(walletAddress).filter(Boolean).map((a) => [a.toLowerCase(), a]));
+    const walletList = Array.from(walletMap.values());
+    const sessions = chains
+      .filter((ch) => ch.id && isWsUrl(ch.ws))
+      .map((ch) => {
+        const tlist = (tokens[ch.id] || []).filter((t) => ethers.isAddress(t.address));
+        let wasDown = false;
+        return openLive(ch.ws.trim(), {
+          wallets: walletList,
+          tokens: tlist.map((t) => t.address),
+          onState(state, info) {
+            if (!active) return;
+            live.state[ch.id] = state;
+            setLiveStatus((s) => ({ ...s, [ch.id]: { ...s[ch.id], state, info } }));
+            if (state === "reconnecting") wasDown = true;
+            // back after a drop: events may have been missed, re-read the whole chain once
+            if (state === "live" && wasDown) {
+              wasDown = false;
+              queueLive(
+                ch.id,
+                walletList.flatMap((w) => [{ wallet: w, contract: "native" }, ...tlist.map((t) => ({ wallet: w, contract: t.address }))])
+              );
+            }
+          },
+          onHead(n) {
+            if (!active) return;
+            setLiveStatus((s) => ({ ...s, [ch.id]: { ...s[ch.id], head: n } }));
+            const last = live.lastNative[ch.id];
+            if (last && Date.now() - last.at < LIVE_NATIVE_MS) return;
+            live.lastNative[ch.id] = { at: Date.now(), block: n };
+            // first head: the run that started tracking has just read every native balance
+            if (last) liveNativeRef.current(ch, last.block + 1, n, walletMap);
+          },
+          onLog(log) {
+            if (!active) return;
+            queueLive(ch.id, affectedPairs(log, walletMap));
+          },
+        });
+      });
+    return () => {
+      active = false;
+      live.ctrl.abort();
+      sessions.forEach((s) => s.close());
+      Object.values(live.timers).forEach((t) => t && clearTimeout(t));
+      liveRef.current = newLiveState();
+      setLiveStatus({});
+    };
+  }, [running, liveMode, pointInTime.mode, chains, wallets, tokens]);
+
   // ----- Export: CSV -----
+  // columns shared with the CLI (exporters.js)
+  const balanceCtx = { infoOf, priceFor, valueOf, walletTotal };
+  // pivot view as header + records (one column per chain/asset, value subtotal per chain)
+  function pivotTable() {
+    const header = ["wallet", "label"];
+    for (const c of pivot.chains) {
+      for (const a of c.assets) header.push(`${c.chain}:${a.asset}`);
+      header.push(`${c.chain}_value_${currency}`);
+    }
+    header.push(`total_value_${currency}`);
+    const records = pivot.rows.map((w) => {
+      const rec = [w.wallet, infoOf(w).label];
+      for (const c of pivot.chains) {
+        for (const a of c.assets) rec.push(exact(w.balances.get(a.key)));
+        rec.push(exact2(w.chainValue.get(c.chain)));
+      }
+      rec.push(exact2(w.total));
+      return rec;
+    });
+    return { header, records, sheet: "pivot" };
+  }
+  // everything, or exactly what the Balances table shows (filters, sort, pivot)
+  function balanceExport() {
+    if (exportView && pivot) return pivotTable();
+    return {
+      header: balanceHeader(currency),
+      records: (exportView ? viewRows : rows).map((r) => balanceRecord(r, balanceCtx)),
+      sheet: "balances",
+    };
+  }
+
   function exportCsv() {
-    const fix4 = (x) => (x == null ? "" : Number(x).toFixed(4));
-
-    // header harus satu baris + akhiri dengan \n
-    const header =
-      ["chain", "wallet", "asset", "contract", "decimals", "balance", "error"].join(",") +
-      "\n";
-
-    const lines = rows
-      .map((r) =>
-        [
-          r.chain,
-          r.wallet,
-          r.asset,
-          r.contract,
-          r.decimals ?? "",
-          fix4(r.balance),
-          r.error ?? "",
-        ]
-          .map((v) => `"${String(v).replace(/"/g, '""')}"`)
-          .join(",")
-      )
-      .join("\n");
-
-    const csv = header + lines;
-    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
+    const { header, records } = balanceExport();
+    const blob = new Blob([toCsv(header, records)], { type: "text/csv;charset=utf-8;" });
     saveAs(blob, `evm_balances_${new Date().toISOString()}.csv`);
   }
 
   // ----- Export: Excel (.xlsx) -----
   function exportXlsx() {
-    const fix4 = (x) => (x == null ? "" : Number(x).toFixed(4));
-    const data = rows.map((r) => ({
-      chain: r.chain,
-      wallet: r.wallet,
-      asset: r.asset,
-      contract: r.contract,
-      decimals: r.decimals ?? "",
-      balance: fix4(r.balance),
-      error: r.error ?? "",
-    }));
+    const { header, records, sheet } = balanceExport();
+    const ws = XLSX.utils.aoa_to_sheet([header, ...records]);
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, sheet);
+    const num2 = (x) => (x == null ? 0 : Number(exact2(x)));
+    const totalsSheet = (title, list) => [[title, `value_${currency}`], ...list.map((t) => [t.key, num2(t.value)])];
+    XLSX.utils.book_append_sheet(
+      wb,
+      XLSX.utils.aoa_to_sheet([
+        ["overall", num2(totals.overall)],
+        [],
+        ...totalsSheet("chain", totals.byChain),
+        [],
+        ...totalsSheet("asset", totals.byAsset),
+        [],
+        ...totalsSheet("wallet", totals.byWallet),
+      ]),
+      "totals"
+    );
+    // one line per wallet x logical asset ("all chains"), followed by its per-chain lines
+    XLSX.utils.book_append_sheet(
+      wb,
+      XLSX.utils.aoa_to_sheet([
+        ["wallet", "label", "asset", "mapped", "chain", "contract", "balance", `value_${currency}`],
+        ...consolidated.flatMap((g) => [
+          [g.wallet, infoOf(g).label, g.asset, g.mapped ? "yes" : "no", "all chains", "", exact(g.balance), exact2(g.value)],
+          ...g.parts.map((r) => [
+            g.wallet,
+            infoOf(g).label,
+            g.asset,
+            g.mapped ? "yes" : "no",
+            r.chain,
+            r.parent ? `${r.contract} (via ${r.parent})` : r.contract,
+            exact(r.balance),
+            exact2(valueOf(r)),
+          ]),
+        ]),
+      ]),
+      "consolidated"
+    );
+    XLSX.writeFile(wb, `evm_balances_${fileStamp()}.xlsx`);
+  }
 
-    const ws = XLSX.utils.json_to_sheet(data, {
-      header: ["chain", "wallet", "asset", "contract", "decimals", "balance", "error"],
+  // ----- Export: Excel report (numeric cells, one sheet per topic, for finance) -----
+  function exportReport() {
+    const wb = buildReport({
+      rows,
+      totals,
+      consolidated,
+      currency,
+      infoOf,
+      priceFor,
+      valueOf,
+      chains: chains.map(rpcChain),
+      wallets,
+      tokens,
+      collections,
+      positions,
+      workspace: wsIndex.list.find((w) => w.id === wsIndex.active)?.name || wsIndex.active,
+      lastUpdated,
+      pointInTime: pointInTime.mode === "latest" ? null : pointInTime,
     });
+    const blob = new Blob([writeReport(wb)], { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" });
+    saveAs(blob, `evm_report_${fileStamp()}.xlsx`);
+  }
+
+  // ----- Export: history snapshots -----
+  const HISTORY_HEADER = ["snapshot", "chain", "wallet", "asset", "contract", "decimals", "balance", "raw", "error"];
+  function historyRecords(snap) {
+    return snap.rows.map((r) => [
+      snap.ts,
+      r.chain,
+      r.wallet ?? "",
+      r.asset ?? "",
+      r.contract ?? "",
+      r.decimals ?? "",
+      exact(r.balance),
+      r.raw ?? "",
+      r.error ?? "",
+    ]);
+  }
+  // rows are read from IndexedDB only for the export
+  // IndexedDB may be unavailable (private mode, blocked upgrade): reported, not thrown
+  async function exportHistoryCsv() {
+    try {
+      const snaps = await loadSnapshots(wsIndex.active);
+      const csv = toCsv(HISTORY_HEADER, snaps.flatMap(historyRecords));
+      const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
+      saveAs(blob, `evm_history_${fileStamp()}.csv`);
+    } catch (e) {
+      setError(`history export: ${e.message || String(e)}`);
+    }
+  }
+  // perSnapshot=false -> one long "history" sheet, true -> one sheet per snapshot
+  async function exportHistoryXlsx(perSnapshot) {
+    let snaps;
+    try {
+      snaps = await loadSnapshots(wsIndex.active);
+    } catch (e) {
+      setError(`history export: ${e.message || String(e)}`);
+      return;
+    }
     const wb = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(wb, ws, "balances");
-    const fname = `evm_balances_${new Date()
-      .toISOString()
-      .slice(0, 19)
-      .replace(/[:T]/g, "-")}.xlsx`;
-    XLSX.writeFile(wb, fname);
+    if (perSnapshot) {
+      for (const snap of snaps) {
+        const ws = XLSX.utils.aoa_to_sheet([HISTORY_HEADER, ...historyRecords(snap)]);
+        // two snapshots in the same second: "<time> (2)", "<time> (3)", ...
+        const base = snap.ts.slice(0, 19).replace(/[:T]/g, "-");
+        let name = base;
+        for (let n = 2; wb.SheetNames.includes(name); n++) name = `${base} (${n})`;
+        XLSX.utils.book_append_sheet(wb, ws, name);
+      }
+    } else {
+      const ws = XLSX.utils.aoa_to_sheet([HISTORY_HEADER, ...snaps.flatMap(historyRecords)]);
+      XLSX.utils.book_append_sheet(wb, ws, "history");
+    }
+    XLSX.writeFile(wb, `evm_history_${fileStamp()}.xlsx`);
   }
 
-  // (Optional) Export Template for Wallet Import
-  function exportWalletTemplateCSV() {
-    const header = "wallet\n";
-    const csv = header + wallets.join("\n");
+  // ----- Export: activity (same columns in CSV and XLSX) -----
+  const ACTIVITY_HEADER = [
+    "chain",
+    "wallet",
+    "direction",
+    "token",
+    "contract",
+    "counterparty",
+    "amount",
+    "raw",
+    "block",
+    "time",
+    "tx_hash",
+    "log_index",
+  ];
+  function activityRecords() {
+    const { ch, wallet, key } = activityTarget();
+    return (cachedActivity(key)?.entries || []).map((e) => [
+      ch.id,
+      wallet,
+      e.direction,
+      e.symbol,
+      e.contract,
+      e.counterparty,
+      e.amount,
+      e.raw,
+      e.block,
+      e.time,
+      e.txHash,
+      e.logIndex,
+    ]);
+  }
+  function exportActivityCsv() {
+    const csv = toCsv(ACTIVITY_HEADER, activityRecords());
     const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-    saveAs(blob, "wallet_template.csv");
+    saveAs(blob, `evm_activity_${activitySel.chain}_${fileStamp()}.csv`);
   }
-  function exportWalletTemplateXLSX() {
-    const data = wallets.map((w) => ({ wallet: w }));
-    const ws = XLSX.utils.json_to_sheet(data, { header: ["wallet"] });
+  function exportActivityXlsx() {
     const wb = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(wb, ws, "wallets");
-    XLSX.writeFile(wb, "wallet_template.xlsx");
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([ACTIVITY_HEADER, ...activityRecords()]), "activity");
+    XLSX.writeFile(wb, `evm_activity_${activitySel.chain}_${fileStamp()}.xlsx`);
   }
 
-  // ----- Render -----
-  return (
-    <div style={{ background: theme.bg, color: theme.text, minHeight: "100vh" }}>
-      {/* Header */}
-      <div
+  // ----- Export: native flows (CSV = flows, XLSX = ledger + flows) -----
+  const NATIVE_FLOW_HEADER = ["chain", "wallet", "label", "direction", "kind", "counterparty", "amount", "raw", "block", "time", "tx_hash"];
+  const NATIVE_LEDGER_HEADER = ["chain", "wallet", "label", "inflow", "outflow", "fees", "net", "entries"];
+  function nativeFlowRecords() {
+    const { ch, key } = nativeTarget();
+    return (cachedNativeFlow(key)?.entries || []).map((e) => [
+      ch.id,
+      e.wallet,
+      infoOf({ wallet: e.wallet }).label,
+      e.direction,
+      e.kind,
+      e.counterparty,
+      e.amount,
+      e.raw,
+      e.block,
+      e.time,
+      e.txHash,
+    ]);
+  }
+  function nativeLedgerRecords() {
+    const { ch, wallets: list, key } = nativeTarget();
+    return nativeLedger(cachedNativeFlow(key)?.entries || [], list, ch.decimals ?? 18).map((l) => [
+      ch.id,
+      l.wallet,
+      infoOf({ wallet: l.wallet }).label,
+      toExact(l.inflow),
+      toExact(l.outflow),
+      toExact(l.fees),
+      toExact(l.net),
+      l.count,
+    ]);
+  }
+  function exportNativeFlowCsv() {
+    const csv = toCsv(NATIVE_FLOW_HEADER, nativeFlowRecords());
+    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
+    saveAs(blob, `evm_native_flows_${nativeSel.chain}_${fileStamp()}.csv`);
+  }
+  function exportNativeFlowXlsx() {
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([NATIVE_LEDGER_HEADER, ...nativeLedgerRecords()]), "ledger");
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([NATIVE_FLOW_HEADER, ...nativeFlowRecords()]), "flows");
+    XLSX.writeFile(wb, `evm_native_flows_${nativeSel.chain}_${fileStamp()}.xlsx`);
+  }
+
+  // (Optional) Export Template for Wallet Import
+  // wallets whose native balance is low/empty (gas readiness), amount = top-up to reach min txs
+  function exportTopUpCsv() {
+    const list = rows.filter((r) => r.gasStatus && r.gasStatus !== "ok");
+    if (!list.length) {
+      alert("Tidak ada wallet yang perlu top-up.");
+      return;
+    }
+    const csv = toCsv(
+      ["chain", "wallet", "label", "symbol", "balance", "gas_cost_per_tx", "txs_affordable", "status", "top_up"],
+      list.map((r) => [
+        r.chain,
+        r.wallet,
+        infoOf(r).label,
+        r.asset,
+        exact(r.balance),
+        r.gasCost,
+        r.gasTxs,
+        r.gasStatus,
+        r.gasShortfall,
+      ])
+    );
+    saveAs(new Blob([csv], { type: "text/csv;charset=utf-8;" }), `gas_topup_${fileStamp()}.csv`);
+  }
+
+  function exportWalletTemplateCSV() {
+    const csv = toCsv(
+      ["wallet", "label", "tags", "group"],
+      wallets.map((w) => [w.address, w.label, w.tags.join(", "), w.group])
+    );
+    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
+    saveAs(blob, "wallet_template.csv");
+  }
+  function exportWalletTemplateXLSX() {
+    const data = wallets.map((w) => ({ wallet: w.address, label: w.label, tags: w.tags.join(", "), group: w.group }));
+    const ws = XLSX.utils.json_to_sheet(data, { header: ["wallet", "label", "tags", "group"] });
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, "wallets");
+    XLSX.writeFile(wb, "wallet_template.xlsx");
+  }
+
+  // Tiny SVG line chart for one balance series
+  function renderChart(series) {
+    if (series.length < 2) {
+      return (
+        <div style={{ color: theme.subtext, fontSize: 13, padding: 12 }}>
+          {series.length ? "Only one snapshot so far." : "No snapshots for this pair yet."}
+        </div>
+      );
+    }
+    const W = 800;
+    const H = 220;
+    const pad = 40;
+    const xs = series.map((p) => new Date(p.ts).getTime());
+    const ys = series.map((p) => p.balance);
+    const [x0, x1] = [Math.min(...xs), Math.max(...xs)];
+    let [y0, y1] = [Math.min(...ys), Math.max(...ys)];
+    if (y0 === y1) [y0, y1] = [y0 - 1, y1 + 1];
+    const px = (x) => pad + ((x - x0) / (x1 - x0 || 1)) * (W - pad * 2);
+    const py = (y) => H - pad - ((y - y0) / (y1 - y0)) * (H - pad * 2);
+    const pts = series.map((p, i) => `${px(xs[i])},${py(p.balance)}`).join(" ");
+    return (
+      <svg viewBox={`0 0 ${W} ${H}`} style={{ width: "100%", height: "auto" }}>
+        <line x1={pad} y1={H - pad} x2={W - pad} y2={H - pad} stroke={theme.border} />
+        <line x1={pad} y1={pad} x2={pad} y2={H - pad} stroke={theme.border} />
+        <text x={pad - 4} y={pad} fontSize="11" fill={theme.subtext} textAnchor="end">
+          {fmt(y1, 4)}
+        </text>
+        <text x={pad - 4} y={H - pad} fontSize="11" fill={theme.subtext} textAnchor="end">
+          {fmt(y0, 4)}
+        </text>
+        <text x={pad} y={H - pad + 16} fontSize="11" fill={theme.subtext}>
+          {series[0].ts.slice(0, 16).replace("T", " ")}
+        </text>
+        <text x={W - pad} y={H - pad + 16} fontSize="11" fill={theme.subtext} textAnchor="end">
+          {series[series.length - 1].ts.slice(0, 16).replace("T", " ")}
+        </text>
+        <polyline points={pts} fill="none" stroke={theme.accent} strokeWidth="2" />
+        {series.map((p, i) => (
+          <circle key={i} cx={px(xs[i])} cy={py(p.balance)} r="3" fill={theme.accent}>
+            <title>{`${p.ts} — ${fmtBalance(p.balance)}`}</title>
+          </circle>
+        ))}
+      </svg>
+    );
+  }
+
+  // ----- Render -----
+  const BALANCE_COLUMNS = [
+    ["chain", "Chain"],
+    ["wallet", "Wallet"],
+    ["label", "Label"],
+    ["asset", "Asset"],
+    ["type", "Type"],
+    ["contract", "Contract"],
+    ["decimals", "Decimals"],
+    ["balance", "Balance"],
+    ["gas", "Gas"],
+    ["price", `Price (${currency})`],
+    ["value", `Value (${currency})`],
+    ["deltaLast", "Δ since last"],
+    ["deltaSince", `Δ since ${deltaDate ? deltaDate.replace("T", " ") : "date"}`],
+    ["rpc", "RPC"],
+    ["error", "Error"],
+  ];
+  // large tables only render the rows in (and around) the scrolled viewport
+  const TABLE_VIEWPORT = 600;
+  const virtual = tableItems.length >= VIRTUAL_MIN_ROWS;
+  const first = virtual ? Math.max(0, Math.floor(tableScroll / ROW_HEIGHT) - 10) : 0;
+  const last = virtual ? Math.min(tableItems.length, first + Math.ceil(TABLE_VIEWPORT / ROW_HEIGHT) + 20) : tableItems.length;
+  // one line per row (fixed height, needed for the virtual window)
+  const gasColor = { ok: theme.success, low: theme.warning, empty: theme.danger };
+  const gasCell = (r) => {
+    if (r.gasError) return <span title={r.gasError} style={{ color: theme.subtext }}>?</span>;
+    if (!r.gasStatus) return "";
+    const tip = `${r.gasTxs} tx at ${r.gasCost} per tx${r.gasStatus === "ok" ? "" : `; top up ${r.gasShortfall}`}`;
+    return (
+      <span title={tip} style={{ color: gasColor[r.gasStatus], fontWeight: 600, fontSize: 12 }}>
+        {GAS_STATUSES.find((g) => g.id === r.gasStatus).label}
+      </span>
+    );
+  };
+  const renderBalanceRow = (r, key) => {
+    const cell = { padding: "0 12px", whiteSpace: "nowrap" };
+    const monoCell = { ...cell, fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace", fontSize: 12 };
+    return (
+      <tr key={key} style={{ borderTop: `1px solid ${theme.border}`, height: ROW_HEIGHT }}>
+        <td style={cell} title={r.blockTime}>
+          {r.chain}
+          {r.block != null && <span style={{ marginLeft: 6, fontSize: 11, color: theme.subtext }}>@ {r.block}</span>}
+          {r.block == null && r.confirmedBlock != null && (
+            <span style={{ marginLeft: 6, fontSize: 11, color: theme.subtext }} title="Balance confirmed at this block">
+              #{r.confirmedBlock}
+            </span>
+          )}
+        </td>
+        <td style={monoCell}>
+          {r.wallet}
+          {primaryName(r.wallet) && <span style={{ marginLeft: 6, color: theme.subtext }}>{primaryName(r.wallet)}</span>}
+        </td>
+        <td style={cell}>
+          {infoOf(r).label}
+          {infoOf(r).tags.map((t) => (
+            <span
+              key={t}
+              style={{
+                marginLeft: 4,
+                padding: "1px 6px",
+                borderRadius: 999,
+                fontSize: 11,
+                border: `1px solid ${theme.ring}`,
+                color: theme.subtext,
+              }}
+            >
+              {t}
+            </span>
+          ))}
+        </td>
+        <td style={{ ...cell, maxWidth: 220, overflow: "hidden", textOverflow: "ellipsis" }} title={r.tokenIds || ""}>
+          {r.parent && <span style={{ color: theme.subtext, marginRight: 4 }}>↳</span>}
+          {r.asset}
+          {r.tokenIds && <span style={{ marginLeft: 6, fontSize: 11, color: theme.subtext }}>#{r.tokenIds}</span>}
+        </td>
+        <td style={{ ...cell, fontSize: 12, color: theme.subtext }}>
+          {r.wallet ? ASSET_TYPES.find((t) => t.id === assetType(r))?.label : ""}
+        </td>
+        <td style={monoCell}>{r.contract}</td>
+        <td style={cell}>{r.decimals ?? ""}</td>
+        <td style={cell} title={r.balance ?? ""}>
+          {fmtBalance(r.balance)}
+        </td>
+        <td style={cell}>{gasCell(r)}</td>
+        <td style={cell}>{priceFor(r) == null ? "-" : fmt(priceFor(r), 4)}</td>
+        <td style={cell}>
+          {r.assetType === "position" ? (
+            <span style={{ color: theme.subtext }} title="sum of the underlying rows">
+              {fmt(positionValue(r), 2)}
+            </span>
+          ) : (
+            fmt(valueOf(r), 2)
+          )}
+        </td>
+        <td style={cell}>{deltaCell(deltaOf(r, deltaLast))}</td>
+        <td style={cell}>{deltaCell(deltaOf(r, deltaSince))}</td>
+        <td style={{ ...cell, fontSize: 12, color: theme.subtext }}>{rpcHost(r.rpc)}</td>
+        <td style={{ ...cell, color: theme.danger, maxWidth: 360, overflow: "hidden", textOverflow: "ellipsis" }} title={r.error ?? ""}>
+          {r.error ?? ""}
+        </td>
+      </tr>
+    );
+  };
+  const activity = activityTarget();
+  const activityView = activity.key ? cachedActivity(activity.key) : null;
+  const native = nativeTarget();
+  const nativeView = native.key ? cachedNativeFlow(native.key) : null;
+  const mono = { fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace", fontSize: 12 };
+  // explorer link when the chain has one, plain text otherwise
+  const explorerA = (kind, value, text, ch = activity.ch) => {
+    const href = explorerLink(ch, kind, value);
+    return href ? (
+      <a href={href} target="_blank" rel="noreferrer" style={{ color: theme.accent }}>
+        {text}
+      </a>
+    ) : (
+      text
+    );
+  };
+
+  return (
+    <div style={{ background: theme.bg, color: theme.text, minHeight: "100vh" }}>
+      {/* Header */}
+      <div
         style={{
           padding: 20,
           background: dark
@@ -454,7 +1925,7 @@ export default function App() {
               EVM Multi Wallet Tracker
             </h1>
             <div style={{ fontSize: 13, color: theme.subtext, marginTop: 4 }}>
-              Native + ERC-20 balances • CSV / Excel export • Auto refresh • Wallet import
+              Native + ERC-20 + NFT balances • CSV / Excel export • Auto refresh • Wallet import
             </div>
           </div>
           <button onClick={() => setDark((d) => !d)} style={btn(theme.panel, theme.text)}>
@@ -464,6 +1935,137 @@ export default function App() {
       </div>
 
       <div style={{ maxWidth: 1200, margin: "0 auto", padding: 20 }}>
+        {/* Workspace */}
+        <section style={card({ marginBottom: 16 })}>
+          <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+            <h2 style={{ margin: 0, fontSize: 16, marginRight: 8 }}>Workspace</h2>
+            <select
+              style={{ ...inputStyle, minWidth: 200 }}
+              value={wsIndex.active}
+              onChange={(e) => switchWorkspace(e.target.value)}
+            >
+              {wsIndex.list.map((w) => (
+                <option key={w.id} value={w.id}>
+                  {w.name}
+                </option>
+              ))}
+            </select>
+            <button onClick={() => createWorkspace(false)} style={btn(dark ? "#0b1220" : "#f3f4f6", theme.text)}>
+              + new
+            </button>
+            <button onClick={() => createWorkspace(true)} style={btn(dark ? "#0b1220" : "#f3f4f6", theme.text)}>
+              Duplicate
+            </button>
+            <button onClick={renameWorkspace} style={btn(dark ? "#0b1220" : "#f3f4f6", theme.text)}>
+              Rename
+            </button>
+            <button
+              onClick={removeWorkspace}
+              style={{ ...btn(theme.panel, theme.danger), borderColor: theme.danger }}
+            >
+              Del
+            </button>
+            <input
+              ref={configInputRef}
+              type="file"
+              accept=".json,application/json"
+              onChange={handleConfigSelected}
+              style={{ display: "none" }}
+            />
+            <button onClick={exportConfigFile} style={btn(dark ? "#0b1220" : "#111827", "#ffffff")}>
+              Export config
+            </button>
+            <button onClick={handleConfigClick} style={btn(dark ? "#0b1220" : "#0b5fff", "#ffffff")}>
+              Import config
+            </button>
+            <button onClick={copyShareLink} style={btn(dark ? "#0b1220" : "#f3f4f6", theme.text)}>
+              Share link
+            </button>
+            <div style={{ marginLeft: "auto", fontSize: 12, color: saveIssue && !shared ? theme.warning : theme.subtext }}>
+              {shared
+                ? "Shared config — not saved"
+                : saveIssue === "rowsDropped"
+                  ? "Browser storage full — config saved, balance rows not"
+                  : saveIssue === "failed"
+                    ? "Not saved — browser storage full or unavailable"
+                    : "Auto-saved to this browser"}
+            </div>
+          </div>
+          {shared && (
+            <div
+              style={{
+                marginTop: 12,
+                padding: 12,
+                borderRadius: 12,
+                border: `1px solid ${theme.accent}`,
+                display: "flex",
+                gap: 8,
+                alignItems: "center",
+                flexWrap: "wrap",
+              }}
+            >
+              <span style={{ fontSize: 13 }}>
+                Viewing a shared config ({shared.source === "link" ? "from this link" : shared.source}). Changes are not
+                saved.
+              </span>
+              <button onClick={() => createWorkspace(true)} style={btn(theme.accent)}>
+                Save as workspace
+              </button>
+              <button onClick={() => switchWorkspace(wsIndex.active)} style={btn(theme.panel, theme.text)}>
+                Close
+              </button>
+              {shared.errors.map((x, i) => (
+                <div key={i} style={{ width: "100%", fontSize: 12, color: theme.danger }}>
+                  {x.path}: {x.message}
+                </div>
+              ))}
+            </div>
+          )}
+          {configImport && (
+            <div style={{ marginTop: 12, padding: 12, borderRadius: 12, border: `1px solid ${theme.border}` }}>
+              <div style={{ fontSize: 13, marginBottom: 8 }}>
+                <b>{configImport.name}</b> (v{configImport.config.version}):{" "}
+                {[
+                  ["chains", configImport.config.chains?.length],
+                  ["token chains", configImport.config.tokens && Object.keys(configImport.config.tokens).length],
+                  ["wallets", configImport.config.wallets?.length],
+                  ["alert rules", configImport.config.alertRules?.length],
+                  ["settings", configImport.config.settings && Object.keys(configImport.config.settings).length],
+                ]
+                  .filter(([, n]) => n !== undefined)
+                  .map(([k, n]) => `${n} ${k}`)
+                  .join(" · ")}
+              </div>
+              {configImport.errors.length > 0 && (
+                <div style={{ marginBottom: 8 }}>
+                  <div style={{ fontSize: 12, color: theme.danger }}>
+                    {configImport.errors.length} entr{configImport.errors.length === 1 ? "y" : "ies"} skipped:
+                  </div>
+                  {configImport.errors.map((x, i) => (
+                    <div key={i} style={{ fontSize: 12, color: theme.danger }}>
+                      {x.path}: {x.message}
+                    </div>
+                  ))}
+                </div>
+              )}
+              <div style={{ display: "flex", gap: 8 }}>
+                <button onClick={() => applyConfigImport("merge")} style={btn(theme.accent)}>
+                  Merge
+                </button>
+                <button
+                  onClick={() => applyConfigImport("replace")}
+                  style={{ ...btn(theme.panel, theme.danger), borderColor: theme.danger }}
+                >
+                  Replace
+                </button>
+                <button onClick={() => setConfigImport(null)} style={btn(theme.panel, theme.text)}>
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+        </section>
+
         {/* Chains */}
         <section style={card({ marginBottom: 16 })}>
           <div
@@ -475,9 +2077,31 @@ export default function App() {
             }}
           >
             <h2 style={{ margin: 0, fontSize: 16 }}>Chains</h2>
-            <button onClick={addChain} style={btn(dark ? "#0b1220" : "#f3f4f6", theme.text)}>
-              + add chain
-            </button>
+            <div style={{ display: "flex", gap: 8, alignItems: "center", marginLeft: "auto", marginRight: 8 }}>
+              <span style={label}>RPC proxy</span>
+              <input
+                style={{ ...inputStyle, width: 200, padding: 6 }}
+                title="Base URL of server/rpc-proxy.js, used by chains with 'use proxy'"
+                placeholder={DEFAULT_PROXY_URL}
+                value={proxyUrl}
+                onChange={(e) => setProxyUrl(e.target.value)}
+              />
+            </div>
+            <select
+              value=""
+              onChange={(e) => addChain(e.target.value === "custom" ? null : e.target.value)}
+              style={btn(dark ? "#0b1220" : "#f3f4f6", theme.text)}
+            >
+              <option value="" disabled>
+                + add chain
+              </option>
+              {CHAIN_REGISTRY.map((r) => (
+                <option key={r.id} value={r.id}>
+                  {r.name} ({r.chainId})
+                </option>
+              ))}
+              <option value="custom">Custom…</option>
+            </select>
           </div>
 
           {chains.map((ch, i) => (
@@ -485,7 +2109,7 @@ export default function App() {
               key={i}
               style={{
                 display: "grid",
-                gridTemplateColumns: "1fr 2fr 0.8fr auto",
+                gridTemplateColumns: "1fr 2fr 0.8fr 0.8fr 0.8fr 0.7fr auto",
                 gap: 8,
                 alignItems: "center",
                 marginBottom: 10,
@@ -509,6 +2133,17 @@ export default function App() {
                   onChange={(e) => updateChain(i, { rpc: e.target.value })}
                 />
               </div>
+              <div>
+                <div style={label}>Expected chainId</div>
+                <input
+                  style={inputStyle}
+                  placeholder="1"
+                  value={ch.chainId ?? ""}
+                  onChange={(e) =>
+                    updateChain(i, { chainId: e.target.value ? Number(e.target.value) || null : null })
+                  }
+                />
+              </div>
               <div>
                 <div style={label}>Symbol</div>
                 <input
@@ -518,6 +2153,26 @@ export default function App() {
                   onChange={(e) => updateChain(i, { symbol: e.target.value })}
                 />
               </div>
+              <div>
+                <div style={label}>Multicall batch</div>
+                <input
+                  style={inputStyle}
+                  placeholder={String(DEFAULT_BATCH_SIZE)}
+                  title={`Calls per aggregate3 request (empty = ${DEFAULT_BATCH_SIZE}, 0 = off: one call per balance)`}
+                  value={ch.batchSize ?? ""}
+                  onChange={(e) => updateChain(i, { batchSize: parseBatchSize(e.target.value) })}
+                />
+              </div>
+              <div>
+                <div style={label}>Concurrency</div>
+                <input
+                  style={inputStyle}
+                  placeholder={String(DEFAULT_CONCURRENCY)}
+                  title="Parallel requests on this chain"
+                  value={ch.concurrency ?? ""}
+                  onChange={(e) => updateChain(i, { concurrency: Number(e.target.value) || undefined })}
+                />
+              </div>
               <div>
                 <button
                   onClick={() => removeChain(i)}
@@ -527,6 +2182,71 @@ export default function App() {
                 </button>
               </div>
 
+              <div style={{ gridColumn: "1 / 3" }}>
+                <div style={label}>Fallback RPCs (comma separated)</div>
+                <input
+                  style={{ ...inputStyle, width: "100%", boxSizing: "border-box" }}
+                  placeholder="https://..., https://..."
+                  value={(ch.rpcs || []).join(", ")}
+                  onChange={(e) =>
+                    updateChain(i, { rpcs: e.target.value.split(",").map((u) => u.trim()) })
+                  }
+                />
+              </div>
+              <div style={{ gridColumn: "3 / 5" }}>
+                <div style={label}>Explorer</div>
+                <input
+                  style={{ ...inputStyle, width: "100%", boxSizing: "border-box" }}
+                  placeholder="https://etherscan.io"
+                  value={ch.explorer ?? ""}
+                  onChange={(e) => updateChain(i, { explorer: e.target.value })}
+                />
+              </div>
+              <div style={{ gridColumn: "5 / -1", alignSelf: "end", display: "flex", gap: 8, alignItems: "center" }}>
+                <label
+                  style={{ fontSize: 12, display: "flex", gap: 4, alignItems: "center" }}
+                  title={`Send this chain's reads to ${proxiedChain(ch, proxyUrl).rpc} (server/rpc-proxy.js) instead of its RPCs`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={!!ch.useProxy}
+                    onChange={(e) => updateChain(i, { useProxy: e.target.checked || undefined })}
+                  />
+                  use proxy
+                </label>
+                <button onClick={() => verifyChain(ch)} style={btn("transparent", theme.accent)}>
+                  Verify RPCs
+                </button>
+              </div>
+              <div style={{ gridColumn: "1 / 3" }}>
+                <div style={label}>WebSocket (live mode)</div>
+                <input
+                  style={{ ...inputStyle, width: "100%", boxSizing: "border-box" }}
+                  placeholder="wss://... (empty = polling)"
+                  value={ch.ws ?? ""}
+                  onChange={(e) => updateChain(i, { ws: e.target.value || undefined })}
+                />
+              </div>
+              {chainRpcs(rpcChain(ch)).some((u) => rpcStatus[u]) && (
+                <div style={{ gridColumn: "1 / -1", fontSize: 12, display: "flex", gap: 12, flexWrap: "wrap" }}>
+                  {chainRpcs(rpcChain(ch)).map((u) => {
+                    const st = rpcStatus[u];
+                    if (!st) return null;
+                    return (
+                      <span
+                        key={u}
+                        title={st.error || ""}
+                        style={{ color: st.pending ? theme.subtext : st.ok ? theme.success : theme.danger }}
+                      >
+                        {st.pending ? "…" : st.ok ? "✓" : "✗"} {rpcHost(u)}
+                        {st.ok && ` (chainId ${st.chainId}, ${st.ms}ms)`}
+                        {!st.ok && !st.pending && ` (${st.error})`}
+                      </span>
+                    );
+                  })}
+                </div>
+              )}
+
               {/* Tokens per chain */}
               <div style={{ gridColumn: "1 / -1", marginTop: 6 }}>
                 <div
@@ -539,13 +2259,80 @@ export default function App() {
                   <div style={{ fontSize: 13, fontWeight: 600 }}>
                     Tokens for {ch.id}
                   </div>
-                  <button
-                    onClick={() => addToken(ch.id)}
-                    style={btn("transparent", theme.accent)}
-                  >
-                    + token
-                  </button>
+                  <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                    <input
+                      style={{ ...inputStyle, width: 110, padding: 6 }}
+                      title="Blocks to scan back from latest"
+                      placeholder={`${DEFAULT_DISCOVER_BLOCKS} blocks`}
+                      value={ch.discoverBlocks ?? ""}
+                      onChange={(e) => updateChain(i, { discoverBlocks: Number(e.target.value) || undefined })}
+                    />
+                    <input
+                      style={{ ...inputStyle, width: 100, padding: 6 }}
+                      title="Blocks per eth_getLogs request"
+                      placeholder={`chunk ${DEFAULT_LOG_CHUNK}`}
+                      value={ch.logChunk ?? ""}
+                      onChange={(e) => updateChain(i, { logChunk: Number(e.target.value) || undefined })}
+                    />
+                    {discoverBusy[ch.id] ? (
+                      <button
+                        onClick={() => discoverRef.current[ch.id]?.abort()}
+                        style={btn("transparent", theme.danger)}
+                      >
+                        cancel discovery
+                      </button>
+                    ) : (
+                      <button onClick={() => discoverTokens(ch)} style={btn("transparent", theme.accent)}>
+                        discover tokens
+                      </button>
+                    )}
+                    <button
+                      onClick={() => addToken(ch.id)}
+                      style={btn("transparent", theme.accent)}
+                    >
+                      + token
+                    </button>
+                  </div>
                 </div>
+                {discoverStatus[ch.id] && (
+                  <div style={{ fontSize: 12, color: theme.subtext, marginTop: 4 }}>
+                    {discoverStatus[ch.id]}
+                    {(ignoredTokens[ch.id] || []).length > 0 && (
+                      <>
+                        {" "}
+                        · {ignoredTokens[ch.id].length} ignored{" "}
+                        <a
+                          href="#"
+                          style={{ color: theme.accent }}
+                          onClick={(e) => {
+                            e.preventDefault();
+                            setIgnoredTokens((ig) => ({ ...ig, [ch.id]: [] }));
+                          }}
+                        >
+                          reset
+                        </a>
+                      </>
+                    )}
+                  </div>
+                )}
+                {(candidates[ch.id] || []).map((cand) => (
+                  <div
+                    key={cand.address}
+                    style={{ display: "flex", gap: 8, marginTop: 6, alignItems: "center", fontSize: 13 }}
+                  >
+                    <span style={{ fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace", fontSize: 12, flex: 1 }}>
+                      {cand.address}
+                    </span>
+                    <span style={{ width: 120 }}>{cand.symbol || "?"}</span>
+                    <span style={{ width: 60, color: theme.subtext }}>{cand.decimals ?? "?"} dec</span>
+                    <button onClick={() => acceptCandidate(ch.id, cand)} style={btn(theme.success)}>
+                      Accept
+                    </button>
+                    <button onClick={() => ignoreCandidate(ch.id, cand)} style={btn(theme.panel, theme.subtext)}>
+                      Ignore
+                    </button>
+                  </div>
+                ))}
                 {(tokens[ch.id] || []).map((tk, j) => (
                   <div key={j} style={{ display: "flex", gap: 8, marginTop: 8 }}>
                     <input
@@ -579,6 +2366,115 @@ export default function App() {
                   </div>
                 ))}
               </div>
+
+              {/* NFT collections per chain */}
+              <div style={{ gridColumn: "1 / -1", marginTop: 6 }}>
+                <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
+                  <div style={{ fontSize: 13, fontWeight: 600 }}>NFT collections for {ch.id}</div>
+                  <button onClick={() => addCollection(ch.id)} style={btn("transparent", theme.accent)}>
+                    + collection
+                  </button>
+                </div>
+                {(collections[ch.id] || []).map((c, j) => (
+                  <div key={j} style={{ display: "flex", gap: 8, marginTop: 8 }}>
+                    <input
+                      style={{ ...inputStyle, flex: 1 }}
+                      placeholder="collection address"
+                      value={c.address}
+                      onChange={(e) => updateCollection(ch.id, j, { address: e.target.value })}
+                    />
+                    <select
+                      style={{ ...inputStyle, width: 110 }}
+                      value={c.standard}
+                      onChange={(e) => updateCollection(ch.id, j, { standard: e.target.value })}
+                    >
+                      {NFT_STANDARDS.map((s) => (
+                        <option key={s.id} value={s.id}>
+                          {s.label}
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      style={{ ...inputStyle, width: 120 }}
+                      placeholder="name"
+                      value={c.name}
+                      onChange={(e) => updateCollection(ch.id, j, { name: e.target.value })}
+                    />
+                    <input
+                      style={{ ...inputStyle, width: 180 }}
+                      placeholder={c.standard === "erc1155" ? "token IDs (1, 2, 10-20)" : "IDs: read if enumerable"}
+                      title={
+                        c.standard === "erc1155"
+                          ? `${parseTokenIds(c.tokenIds).length} ID(s) checked with balanceOfBatch`
+                          : "ERC-721 owned IDs are listed when the contract supports ERC721Enumerable"
+                      }
+                      disabled={c.standard !== "erc1155"}
+                      value={c.standard === "erc1155" ? c.tokenIds : ""}
+                      onChange={(e) => updateCollection(ch.id, j, { tokenIds: e.target.value })}
+                    />
+                    <button
+                      onClick={() => removeCollection(ch.id, j)}
+                      style={{ ...btn(theme.panel, theme.danger), borderColor: theme.danger }}
+                    >
+                      x
+                    </button>
+                  </div>
+                ))}
+              </div>
+
+              {/* DeFi positions per chain (adapters from positions.js) */}
+              <div style={{ gridColumn: "1 / -1", marginTop: 6 }}>
+                <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
+                  <div style={{ fontSize: 13, fontWeight: 600 }}>Positions for {ch.id}</div>
+                  <button onClick={() => addPosition(ch.id)} style={btn("transparent", theme.accent)}>
+                    + position
+                  </button>
+                </div>
+                {(positions[ch.id] || []).map((p, j) => (
+                  <div key={j} style={{ display: "flex", gap: 8, marginTop: 8, flexWrap: "wrap" }}>
+                    <select
+                      style={{ ...inputStyle, width: 170 }}
+                      value={p.adapter}
+                      onChange={(e) => updatePosition(ch.id, j, { adapter: e.target.value })}
+                    >
+                      {!getAdapter(p.adapter) && <option value={p.adapter}>{p.adapter} (unknown)</option>}
+                      {listAdapters().map((a) => (
+                        <option key={a.id} value={a.id}>
+                          {a.label}
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      style={{ ...inputStyle, flex: 1, minWidth: 260 }}
+                      placeholder="pair / vault / staking contract"
+                      value={p.address}
+                      onChange={(e) => updatePosition(ch.id, j, { address: e.target.value })}
+                    />
+                    <input
+                      style={{ ...inputStyle, width: 120 }}
+                      placeholder="label"
+                      value={p.label}
+                      onChange={(e) => updatePosition(ch.id, j, { label: e.target.value })}
+                    />
+                    {(getAdapter(p.adapter)?.fields || []).map((f) => (
+                      <input
+                        key={f.id}
+                        style={{ ...inputStyle, width: 150 }}
+                        title={f.label}
+                        placeholder={f.placeholder || f.label}
+                        value={p[f.id] ?? ""}
+                        onChange={(e) => updatePosition(ch.id, j, { [f.id]: e.target.value })}
+                      />
+                    ))}
+                    <button
+                      onClick={() => removePosition(ch.id, j)}
+                      style={{ ...btn(theme.panel, theme.danger), borderColor: theme.danger }}
+                    >
+                      x
+                    </button>
+                  </div>
+                ))}
+              </div>
             </div>
           ))}
         </section>
@@ -609,11 +2505,41 @@ export default function App() {
 
           {wallets.map((w, i) => (
             <div key={i} style={{ display: "flex", gap: 8, margin: "8px 0" }}>
+              <div style={{ flex: 1, display: "flex", flexDirection: "column", gap: 2 }}>
+                <input
+                  style={inputStyle}
+                  value={w.address}
+                  onChange={(e) => updateWallet(i, { address: e.target.value, resolved: "", resolveError: false })}
+                  onBlur={(e) => resolveWalletEntry(i, e.target.value.trim())}
+                  placeholder="0x... or name.eth"
+                />
+                {isEnsName(w.address) && (w.resolved || w.resolveError) && (
+                  <span style={{ fontSize: 11, color: w.resolveError ? theme.danger : theme.subtext }}>
+                    {w.resolveError ? "✗ name does not resolve" : `→ ${w.resolved}`}
+                  </span>
+                )}
+                {!isEnsName(w.address) && primaryName(walletAddress(w)) && (
+                  <span style={{ fontSize: 11, color: theme.subtext }}>{primaryName(walletAddress(w))}</span>
+                )}
+              </div>
+              <input
+                style={{ ...inputStyle, width: 160 }}
+                value={w.label}
+                onChange={(e) => updateWallet(i, { label: e.target.value })}
+                placeholder="label"
+              />
               <input
-                style={{ ...inputStyle, flex: 1 }}
-                value={w}
-                onChange={(e) => updateWallet(i, e.target.value)}
-                placeholder="0x..."
+                style={{ ...inputStyle, width: 180 }}
+                defaultValue={w.tags.join(", ")}
+                key={`${i}-${w.tags.join(",")}`}
+                onBlur={(e) => updateWallet(i, { tags: parseTags(e.target.value) })}
+                placeholder="tags (comma separated)"
+              />
+              <input
+                style={{ ...inputStyle, width: 130 }}
+                value={w.group}
+                onChange={(e) => updateWallet(i, { group: e.target.value })}
+                placeholder="group"
               />
               <button
                 onClick={() => removeWallet(i)}
@@ -628,7 +2554,203 @@ export default function App() {
           </button>
           <div style={{ fontSize: 12, color: theme.subtext, marginTop: 8 }}>
             Tips: File bisa berisi kolom <code>wallet</code>/<code>address</code> atau 1 kolom berisi address.
+            Kolom <code>label</code>/<code>name</code>, <code>tags</code>/<code>tag</code> dan <code>group</code> ikut dibaca.
+          </div>
+        </section>
+
+        {/* Prices */}
+        <section style={card({ marginBottom: 16 })}>
+          <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8 }}>
+            <h2 style={{ margin: 0, fontSize: 16 }}>Prices</h2>
+            <label style={{ marginLeft: "auto", display: "flex", alignItems: "center", gap: 8 }}>
+              <span style={label}>Currency</span>
+              <input
+                style={{ ...inputStyle, width: 80 }}
+                value={currency}
+                onChange={(e) => setCurrency(e.target.value.toUpperCase())}
+              />
+            </label>
+          </div>
+          {chains.map((ch) =>
+            [
+              { contract: "native", symbol: ch.symbol || "native" },
+              ...(tokens[ch.id] || [])
+                .filter((t) => t.address)
+                .map((t) => ({ contract: t.address, symbol: t.symbol || t.address.slice(0, 6) })),
+              ...Array.from(underlyingAssets.get(ch.id)?.values() || []).filter(
+                (u) => !(tokens[ch.id] || []).some((t) => t.address.toLowerCase() === u.contract.toLowerCase())
+              ),
+            ].map((a) => {
+              const key = priceKey(ch.id, a.contract);
+              const src = priceSources[key];
+              const res = prices[key];
+              const field = (name, placeholder, width = 200) => (
+                <input
+                  style={{ ...inputStyle, width }}
+                  placeholder={placeholder}
+                  value={src?.[name] ?? ""}
+                  onChange={(e) => setPriceSource(key, { [name]: e.target.value })}
+                />
+              );
+              return (
+                <div key={key} style={{ display: "flex", gap: 8, alignItems: "center", margin: "6px 0", flexWrap: "wrap" }}>
+                  <div style={{ width: 180, fontSize: 13 }}>
+                    {ch.id} · <b>{a.symbol}</b>
+                  </div>
+                  <select
+                    style={inputStyle}
+                    value={src?.type ?? ""}
+                    onChange={(e) => setPriceSource(key, e.target.value ? { type: e.target.value } : null)}
+                  >
+                    <option value="">no price</option>
+                    {PRICE_SOURCE_TYPES.map((t) => (
+                      <option key={t.id} value={t.id}>
+                        {t.label}
+                      </option>
+                    ))}
+                  </select>
+                  {src?.type === "manual" && field("price", `price in ${currency}`, 140)}
+                  {src?.type === "chainlink" && field("feed", "aggregator address", 360)}
+                  {(src?.type === "uniswapV2" || src?.type === "uniswapV3") && (
+                    <>
+                      {field("pool", "pool address", 340)}
+                      {a.contract === "native" && field("token", "wrapped token (WETH…)", 200)}
+                      {field("quotePrice", "quote price (1)", 110)}
+                    </>
+                  )}
+                  {src?.type === "http" && (
+                    <>
+                      {field("url", "https://…?ids={symbol}&vs={currency}", 360)}
+                      {field("path", "json path e.g. {symbol}.{currency}", 200)}
+                    </>
+                  )}
+                  {src && src.type !== "manual" && (
+                    <span style={{ fontSize: 12, color: res?.error ? theme.danger : theme.subtext }}>
+                      {res?.error ? res.error : res?.price != null ? `${fmt(res.price, 4)} ${currency}` : "resolves on refresh"}
+                    </span>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </section>
+
+        {/* Alerts */}
+        <section style={card({ marginBottom: 16 })}>
+          <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8, flexWrap: "wrap" }}>
+            <h2 style={{ margin: 0, fontSize: 16 }}>Alerts</h2>
+            <input
+              style={{ ...inputStyle, marginLeft: "auto", width: 320 }}
+              placeholder="webhook URL (optional, POST JSON)"
+              value={alertWebhook}
+              onChange={(e) => setAlertWebhook(e.target.value)}
+            />
+            <button
+              onClick={() => notifyBrowser("EVM Multi Wallet Tracker", "Notifications enabled").catch(() => {})}
+              style={btn(dark ? "#0b1220" : "#f3f4f6", theme.text)}
+            >
+              Enable notifications
+            </button>
+            <button
+              onClick={() => setAlertRules((rs) => [...rs, newRule()])}
+              style={btn(dark ? "#0b1220" : "#f3f4f6", theme.text)}
+            >
+              + rule
+            </button>
           </div>
+          {alertRules.map((rule) => (
+            <div key={rule.id} style={{ display: "flex", gap: 8, alignItems: "center", margin: "6px 0", flexWrap: "wrap" }}>
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+              />
+              <select style={inputStyle} value={rule.target} onChange={(e) => updateRule(rule.id, { target: e.target.value })}>
+                <option value="wallet">wallet</option>
+                <option value="tag">tag</option>
+              </select>
+              {rule.target === "tag" ? (
+                <select style={{ ...inputStyle, width: 160 }} value={rule.tag} onChange={(e) => updateRule(rule.id, { tag: e.target.value })}>
+                  <option value="">— tag —</option>
+                  {allTags.map((t) => (
+                    <option key={t} value={t}>
+                      {t}
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                <select style={{ ...inputStyle, width: 240 }} value={rule.wallet} onChange={(e) => updateRule(rule.id, { wallet: e.target.value })}>
+                  <option value="">— wallet —</option>
+                  {wallets
+                    .filter((w) => walletAddress(w))
+                    .map((w) => (
+                      <option key={w.address} value={walletAddress(w)}>
+                        {w.label ? `${w.label} (${w.address.slice(0, 8)}…)` : w.address}
+                      </option>
+                    ))}
+                </select>
+              )}
+              <input
+                style={{ ...inputStyle, width: 130 }}
+                placeholder="asset (any)"
+                title="symbol or contract; empty = every asset"
+                value={rule.asset}
+                onChange={(e) => updateRule(rule.id, { asset: e.target.value })}
+              />
+              <select style={inputStyle} value={rule.kind} onChange={(e) => updateRule(rule.id, { kind: e.target.value })}>
+                {ALERT_KINDS.map((k) => (
+                  <option key={k.id} value={k.id}>
+                    {k.label}
+                  </option>
+                ))}
+              </select>
+              {["above", "below", "changePct"].includes(rule.kind) && (
+                <input
+                  style={{ ...inputStyle, width: 100 }}
+                  placeholder={rule.kind === "changePct" ? "%" : "amount"}
+                  value={rule.threshold}
+                  onChange={(e) => updateRule(rule.id, { threshold: e.target.value })}
+                />
+              )}
+              <label style={{ display: "flex", alignItems: "center", gap: 4 }}>
+                <span style={label}>cooldown (min)</span>
+                <input
+                  style={{ ...inputStyle, width: 70 }}
+                  value={rule.cooldownMin}
+                  onChange={(e) => updateRule(rule.id, { cooldownMin: Number(e.target.value) || 0 })}
+                />
+              </label>
+              <button
+                onClick={() => setAlertRules((rs) => rs.filter((r) => r.id !== rule.id))}
+                style={{ ...btn(theme.panel, theme.danger), borderColor: theme.danger }}
+              >
+                x
+              </button>
+            </div>
+          ))}
+          {alertLog.length > 0 && (
+            <div style={{ marginTop: 10 }}>
+              <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                <div style={label}>Alert log</div>
+                <button onClick={() => setAlertLog([])} style={{ ...btn("transparent", theme.subtext), padding: "2px 8px" }}>
+                  clear
+                </button>
+              </div>
+              <div style={{ maxHeight: 180, overflow: "auto", fontSize: 12, marginTop: 4 }}>
+                {alertLog.map((a, i) => (
+                  <div key={i} style={{ padding: "3px 0", borderTop: `1px solid ${theme.border}` }}>
+                    <span style={{ color: theme.subtext }}>{a.ts.slice(0, 19).replace("T", " ")}</span>{" "}
+                    {a.wallet && (
+                      <b>
+                        {a.label || a.wallet.slice(0, 10)} · {a.asset} ({a.chain}){" "}
+                      </b>
+                    )}
+                    {a.message}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </section>
 
         {/* Controls */}
@@ -643,15 +2765,88 @@ export default function App() {
                 onChange={(e) => setIntervalSec(Number(e.target.value) || 0)}
               />
             </label>
+            <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+              <span style={label}>Timeout (sec)</span>
+              <input
+                style={{ ...inputStyle, width: 60 }}
+                value={fetchTimeoutSec}
+                onChange={(e) => setFetchTimeoutSec(Number(e.target.value) || DEFAULT_TIMEOUT_SEC)}
+              />
+            </label>
+            <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+              <span style={label}>Retries</span>
+              <input
+                style={{ ...inputStyle, width: 50 }}
+                value={fetchRetries}
+                onChange={(e) => setFetchRetries(e.target.value === "" ? DEFAULT_RETRIES : Math.max(0, Number(e.target.value) || 0))}
+              />
+            </label>
+            <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+              <span style={label}>Balances</span>
+              <select
+                style={inputStyle}
+                value={pointInTime.mode}
+                onChange={(e) => setPointInTime((p) => ({ ...p, mode: e.target.value }))}
+              >
+                {POINT_IN_TIME_MODES.map((m) => (
+                  <option key={m.id} value={m.id}>
+                    {m.label}
+                  </option>
+                ))}
+              </select>
+              {pointInTime.mode === "block" && (
+                <input
+                  style={{ ...inputStyle, width: 120 }}
+                  placeholder="block number"
+                  title="Same block number on every chain"
+                  value={pointInTime.block}
+                  onChange={(e) => setPointInTime((p) => ({ ...p, block: e.target.value.trim() }))}
+                />
+              )}
+              {pointInTime.mode === "time" && (
+                <input
+                  type="datetime-local"
+                  step={1}
+                  style={inputStyle}
+                  title="UTC; each chain reads the last block at or before this time"
+                  value={pointInTime.time}
+                  onChange={(e) => setPointInTime((p) => ({ ...p, time: e.target.value }))}
+                />
+              )}
+            </label>
             <button
               onClick={() => setRunning((r) => !r)}
               style={btn(running ? theme.danger : theme.success)}
             >
               {running ? "Stop" : "Start"}
             </button>
-            <button onClick={fetchBalancesOnce} disabled={loading} style={btn(theme.accent)}>
+            <label
+              style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 13 }}
+              title="While running: chains with a wss:// endpoint update on new blocks / Transfer logs, the rest keeps polling"
+            >
+              <input
+                type="checkbox"
+                checked={liveMode}
+                disabled={pointInTime.mode !== "latest"}
+                onChange={(e) => setLiveMode(e.target.checked)}
+              />
+              live (WebSocket)
+            </label>
+            <button onClick={() => fetchBalancesOnce()} disabled={loading} style={btn(theme.accent)}>
               Refresh now
             </button>
+            {loading && (
+              <button onClick={cancelFetch} style={{ ...btn(theme.panel, theme.danger), borderColor: theme.danger }}>
+                Cancel
+              </button>
+            )}
+            <label
+              style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 13 }}
+              title="Export exactly what the Balances table shows (filters, sort, pivot)"
+            >
+              <input type="checkbox" checked={exportView} onChange={(e) => setExportView(e.target.checked)} />
+              current view only
+            </label>
             <button
               onClick={exportCsv}
               disabled={!rows.length}
@@ -666,86 +2861,1056 @@ export default function App() {
             >
               Export Excel (.xlsx)
             </button>
+            <button
+              onClick={exportReport}
+              disabled={!rows.length}
+              title="Summary, balances, errors, consolidated and config sheets with numeric cells, frozen headers and filters"
+              style={btn(dark ? "#0b1220" : "#047857", "#ffffff")}
+            >
+              Excel report
+            </button>
             <div style={{ marginLeft: "auto", fontSize: 12, color: theme.subtext }}>
               Last: {lastUpdated ?? "-"}
             </div>
           </div>
+          {running && liveMode && pointInTime.mode === "latest" && (
+            <div style={{ marginTop: 8, fontSize: 12, display: "flex", gap: 12, flexWrap: "wrap" }}>
+              {chains
+                .filter((ch) => ch.id)
+                .map((ch) => {
+                  const st = liveStatus[ch.id];
+                  const [text, color] = !isWsUrl(ch.ws)
+                    ? ["polling (no wss)", theme.subtext]
+                    : !st || st.state === "connecting" || st.state === "closed"
+                      ? ["connecting…", theme.subtext]
+                      : st.state === "live"
+                        ? [`live${st.head != null ? ` #${st.head}` : ""}`, theme.success]
+                        : st.state === "reconnecting"
+                          ? [`reconnecting in ${Math.round(st.info / 1000)}s, polling`, theme.warning]
+                          : ["unsupported → polling", theme.danger];
+                  return (
+                    <span key={ch.id} style={{ color }} title={typeof st?.info === "string" ? st.info : ""}>
+                      ● {ch.id}: {text}
+                    </span>
+                  );
+                })}
+            </div>
+          )}
+          {progress && (
+            <div style={{ marginTop: 10 }}>
+              <div style={{ height: 8, borderRadius: 999, background: theme.border, overflow: "hidden" }}>
+                <div
+                  style={{
+                    height: "100%",
+                    width: `${progress.reads[1] ? Math.min(100, (progress.reads[0] / progress.reads[1]) * 100) : 0}%`,
+                    background: theme.accent,
+                    transition: "width 0.2s",
+                  }}
+                />
+              </div>
+              <div style={{ fontSize: 12, color: theme.subtext, marginTop: 4 }}>
+                chains {progress.chains[0]}/{progress.chains[1]} · wallets {progress.wallets[0]}/{progress.wallets[1]} ·
+                balances {progress.reads[0]}/{progress.reads[1]}
+              </div>
+            </div>
+          )}
           {error && <div style={{ marginTop: 8, color: theme.danger }}>Error: {error}</div>}
         </section>
 
         {/* Balances */}
         <section style={card()}>
-          <h2 style={{ margin: 0, fontSize: 16, marginBottom: 8 }}>Balances</h2>
-          <div
-            style={{
-              overflow: "auto",
-              maxHeight: 440,
-              border: `1px solid ${theme.border}`,
-              borderRadius: 12,
-            }}
-          >
-            <table style={{ width: "100%", fontSize: 14, borderCollapse: "collapse" }}>
-              <thead>
-                <tr style={{ background: theme.tableHeader }}>
-                  {["Chain", "Wallet", "Asset", "Contract", "Decimals", "Balance", "Error"].map(
-                    (h) => (
+          <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8, flexWrap: "wrap" }}>
+            <h2 style={{ margin: 0, fontSize: 16 }}>Balances</h2>
+            <select style={{ ...inputStyle, marginLeft: "auto" }} value={walletFilter} onChange={(e) => setWalletFilter(e.target.value)}>
+              <option value="">all wallets</option>
+              {allGroups.map((g) => (
+                <option key={`group:${g}`} value={`group:${g}`}>
+                  group: {g}
+                </option>
+              ))}
+              {allTags.map((t) => (
+                <option key={`tag:${t}`} value={`tag:${t}`}>
+                  tag: {t}
+                </option>
+              ))}
+            </select>
+            <select style={inputStyle} value={groupBy} onChange={(e) => setGroupBy(e.target.value)}>
+              <option value="">no grouping</option>
+              <option value="group">group by group</option>
+              <option value="tag">group by tag</option>
+            </select>
+            <select
+              style={inputStyle}
+              title="Balance display precision (exports always carry the exact value + raw)"
+              value={displayPrecision.mode}
+              onChange={(e) => setDisplayPrecision((p) => ({ ...p, mode: e.target.value }))}
+            >
+              {PRECISION_MODES.map((m) => (
+                <option key={m.id} value={m.id}>
+                  {m.label}
+                </option>
+              ))}
+            </select>
+            {displayPrecision.mode !== "full" && (
+              <input
+                type="number"
+                min={0}
+                max={18}
+                style={{ ...inputStyle, width: 64 }}
+                title="Decimals"
+                value={displayPrecision.digits}
+                onChange={(e) =>
+                  setDisplayPrecision((p) => ({ ...p, digits: Math.min(18, Math.max(0, Number(e.target.value) || 0)) }))
+                }
+              />
+            )}
+            <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+              <span style={label}>Δ since</span>
+              <input
+                type="datetime-local"
+                style={inputStyle}
+                value={deltaDate}
+                onChange={(e) => setDeltaDate(e.target.value)}
+              />
+            </label>
+          </div>
+          <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 8, flexWrap: "wrap" }}>
+            <input
+              style={{ ...inputStyle, minWidth: 220, flex: 1 }}
+              placeholder="Search wallet, label, tag, asset, contract, error…"
+              value={tableView.search}
+              onChange={(e) => setView({ search: e.target.value })}
+            />
+            <select style={inputStyle} value={tableView.chain} onChange={(e) => setView({ chain: e.target.value })}>
+              <option value="">all chains</option>
+              {tableChains.map((c) => (
+                <option key={c} value={c}>
+                  {c}
+                </option>
+              ))}
+            </select>
+            <select style={inputStyle} value={tableView.asset} onChange={(e) => setView({ asset: e.target.value })}>
+              <option value="">all assets</option>
+              {tableAssets.map((a) => (
+                <option key={a} value={a}>
+                  {a}
+                </option>
+              ))}
+            </select>
+            <select style={inputStyle} value={tableView.type} onChange={(e) => setView({ type: e.target.value })}>
+              <option value="">all types</option>
+              {ASSET_TYPES.map((t) => (
+                <option key={t.id} value={t.id}>
+                  {t.label}
+                </option>
+              ))}
+            </select>
+            <select style={inputStyle} value={tableView.status} onChange={(e) => setView({ status: e.target.value })}>
+              <option value="all">all rows</option>
+              <option value="ok">hide errors</option>
+              <option value="errors">errors only</option>
+            </select>
+            <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 13 }}>
+              <input type="checkbox" checked={tableView.hideZero} onChange={(e) => setView({ hideZero: e.target.checked })} />
+              hide zero
+            </label>
+            <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 13 }}>
+              <input type="checkbox" checked={tableView.pivot} onChange={(e) => setView({ pivot: e.target.checked })} />
+              pivot (wallet × asset)
+            </label>
+            <span style={{ fontSize: 12, color: theme.subtext }}>
+              {viewRows.length}/{rows.length} rows
+            </span>
+          </div>
+          {pivot ? (
+            <div style={{ overflow: "auto", maxHeight: 600, border: `1px solid ${theme.border}`, borderRadius: 12 }}>
+              <table style={{ width: "100%", fontSize: 13, borderCollapse: "collapse", whiteSpace: "nowrap" }}>
+                <thead>
+                  <tr style={{ background: theme.tableHeader }}>
+                    <th rowSpan={2} style={{ textAlign: "left", padding: "8px 12px" }}>
+                      Wallet
+                    </th>
+                    {pivot.chains.map((c) => (
                       <th
-                        key={h}
-                        style={{ textAlign: "left", padding: "10px 12px", position: "sticky", top: 0 }}
+                        key={c.chain}
+                        colSpan={c.assets.length + 1}
+                        style={{ padding: "8px 12px", borderLeft: `1px solid ${theme.border}` }}
+                      >
+                        {c.chain}
+                      </th>
+                    ))}
+                    <th rowSpan={2} style={{ textAlign: "right", padding: "8px 12px" }}>
+                      Total ({currency})
+                    </th>
+                  </tr>
+                  <tr style={{ background: theme.tableHeader }}>
+                    {pivot.chains.flatMap((c) => [
+                      ...c.assets.map((a, i) => (
+                        <th
+                          key={a.key}
+                          title={a.contract}
+                          style={{
+                            textAlign: "right",
+                            padding: "6px 12px",
+                            borderLeft: i === 0 ? `1px solid ${theme.border}` : undefined,
+                          }}
+                        >
+                          {a.asset}
+                        </th>
+                      )),
+                      <th key={`${c.chain}-value`} style={{ textAlign: "right", padding: "6px 12px", color: theme.subtext }}>
+                        {currency}
+                      </th>,
+                    ])}
+                  </tr>
+                </thead>
+                <tbody>
+                  {pivot.rows.map((w) => (
+                    <tr key={w.wallet} style={{ borderTop: `1px solid ${theme.border}` }}>
+                      <td style={{ padding: "8px 12px", fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace", fontSize: 12 }}>
+                        {infoOf(w).label || primaryName(w.wallet) || w.wallet}
+                      </td>
+                      {pivot.chains.flatMap((c) => [
+                        ...c.assets.map((a, i) => (
+                          <td
+                            key={a.key}
+                            title={exact(w.balances.get(a.key))}
+                            style={{
+                              textAlign: "right",
+                              padding: "8px 12px",
+                              borderLeft: i === 0 ? `1px solid ${theme.border}` : undefined,
+                            }}
+                          >
+                            {w.balances.has(a.key) ? fmtBalance(w.balances.get(a.key)) : "-"}
+                          </td>
+                        )),
+                        <td key={`${c.chain}-value`} style={{ textAlign: "right", padding: "8px 12px", color: theme.subtext }}>
+                          {fmt(w.chainValue.get(c.chain), 2)}
+                        </td>,
+                      ])}
+                      <td style={{ textAlign: "right", padding: "8px 12px", fontWeight: 700 }}>{fmt(w.total, 2)}</td>
+                    </tr>
+                  ))}
+                  {pivot.rows.length === 0 && (
+                    <tr>
+                      <td style={{ padding: "14px 12px", color: theme.subtext }}>No balances in this view.</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div
+              style={{
+                overflow: "auto",
+                maxHeight: TABLE_VIEWPORT,
+                border: `1px solid ${theme.border}`,
+                borderRadius: 12,
+              }}
+              onScroll={(e) => virtual && setTableScroll(e.currentTarget.scrollTop)}
+            >
+              <table style={{ width: "100%", fontSize: 14, borderCollapse: "collapse" }}>
+                <thead>
+                  <tr style={{ background: theme.tableHeader }}>
+                    {BALANCE_COLUMNS.map(([key, h]) => (
+                      <th
+                        key={key}
+                        onClick={() => toggleSort(key)}
+                        title="Sort"
+                        style={{
+                          textAlign: "left",
+                          padding: "10px 12px",
+                          position: "sticky",
+                          top: 0,
+                          background: theme.tableHeader,
+                          cursor: "pointer",
+                          whiteSpace: "nowrap",
+                          zIndex: 1,
+                        }}
                       >
                         {h}
+                        {tableView.sort.key === key ? (tableView.sort.dir === 1 ? " ▲" : " ▼") : ""}
                       </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {first > 0 && <tr style={{ height: first * ROW_HEIGHT }} />}
+                  {tableItems.slice(first, last).map((it, i) =>
+                    it.group ? (
+                      <tr
+                        key={`g-${it.group.name}`}
+                        style={{ background: theme.tableHeader, borderTop: `1px solid ${theme.border}`, height: ROW_HEIGHT }}
+                      >
+                        <td colSpan={13} style={{ padding: "0 12px", fontWeight: 700, whiteSpace: "nowrap" }}>
+                          {it.group.name}{" "}
+                          <span style={{ fontWeight: 400, color: theme.subtext }}>
+                            · {it.group.rows.length} rows · {money(it.group.rows.reduce((acc, r) => add(acc, valueOf(r)), null))}
+                          </span>
+                        </td>
+                      </tr>
+                    ) : (
+                      renderBalanceRow(it.row, `${it.g}-${first + i}`)
                     )
                   )}
-                </tr>
-              </thead>
-              <tbody>
-                {rows.map((r, i) => (
-                  <tr key={i} style={{ borderTop: `1px solid ${theme.border}` }}>
-                    <td style={{ padding: "10px 12px" }}>{r.chain}</td>
-                    <td
-                      style={{
-                        padding: "10px 12px",
-                        fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace",
-                        fontSize: 12,
-                      }}
-                    >
-                      {r.wallet}
-                    </td>
-                    <td style={{ padding: "10px 12px" }}>{r.asset}</td>
-                    <td
-                      style={{
-                        padding: "10px 12px",
-                        fontFamily: "ui-monospace, SFMono-Regular, Menlo, monospace",
-                        fontSize: 12,
-                      }}
-                    >
-                      {r.contract}
-                    </td>
-                    <td style={{ padding: "10px 12px" }}>{r.decimals ?? ""}</td>
-                    <td style={{ padding: "10px 12px" }}>{fmt(r.balance, 4)}</td>
-                    <td style={{ padding: "10px 12px", color: theme.danger }}>
-                      {r.error ?? ""}
-                    </td>
-                  </tr>
+                  {last < tableItems.length && <tr style={{ height: (tableItems.length - last) * ROW_HEIGHT }} />}
+                  {viewRows.length === 0 && (
+                    <tr>
+                      <td
+                        colSpan={13}
+                        style={{ padding: "14px 12px", textAlign: "center", color: theme.subtext }}
+                      >
+                        {rows.length ? "No rows match the filters." : 'No results yet — click "Refresh now" or Start tracking.'}
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </section>
+
+        {/* Totals */}
+        <section style={card({ marginTop: 16 })}>
+          <div style={{ display: "flex", alignItems: "baseline", gap: 12, marginBottom: 8 }}>
+            <h2 style={{ margin: 0, fontSize: 16 }}>Totals</h2>
+            <div style={{ fontSize: 20, fontWeight: 800 }}>{money(totals.overall)}</div>
+          </div>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(260px, 1fr))", gap: 12 }}>
+            {[
+              ["Per chain", totals.byChain],
+              ["Per asset", totals.byAsset],
+              ["Per wallet", totals.byWallet],
+            ].map(([title, list]) => (
+              <div key={title} style={{ border: `1px solid ${theme.border}`, borderRadius: 12, padding: 10 }}>
+                <div style={{ ...label, marginBottom: 6 }}>{title}</div>
+                {list.length === 0 && <div style={{ fontSize: 13, color: theme.subtext }}>-</div>}
+                {list.map((t) => (
+                  <div key={t.key} style={{ display: "flex", justifyContent: "space-between", fontSize: 13, gap: 8 }}>
+                    <span style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{t.key}</span>
+                    <span>{money(t.value)}</span>
+                  </div>
                 ))}
-                {rows.length === 0 && (
-                  <tr>
-                    <td
-                      colSpan={7}
-                      style={{ padding: "14px 12px", textAlign: "center", color: theme.subtext }}
-                    >
-                      No results yet — click "Refresh now" or Start tracking.
-                    </td>
+              </div>
+            ))}
+          </div>
+        </section>
+
+        {/* Assets across chains */}
+        <section style={card({ marginTop: 16 })}>
+          <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap", marginBottom: 8 }}>
+            <h2 style={{ margin: 0, fontSize: 16 }}>Assets across chains</h2>
+            <label
+              style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 13 }}
+              title={BUILTIN_ASSETS.map((a) => a.id).join(", ") + " on the major chains (matched by chainId)"}
+            >
+              <input type="checkbox" checked={builtinAssets} onChange={(e) => setBuiltinAssets(e.target.checked)} />
+              built-in map
+            </label>
+            <button
+              onClick={() => setAssetMap((m) => [...m, { id: "", members: "" }])}
+              style={{ ...btn(theme.panel, theme.text), marginLeft: "auto" }}
+            >
+              + Asset
+            </button>
+          </div>
+          {assetMap.map((a, i) => {
+            const { bad } = parseMembers(a.members);
+            return (
+              <div key={i} style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 6 }}>
+                <input
+                  style={{ ...inputStyle, width: 110 }}
+                  placeholder="USDC"
+                  value={a.id}
+                  onChange={(e) => updateAsset(i, { id: e.target.value })}
+                />
+                <input
+                  style={{ ...inputStyle, flex: 1, ...(bad.length ? { border: `1px solid ${theme.danger}` } : {}) }}
+                  placeholder="ethereum:0xA0b8…, polygon:0x3c49…, 42161:native"
+                  title={bad.length ? `ignored: ${bad.join(", ")}` : "chain id (or numeric chainId):contract, comma separated"}
+                  value={a.members}
+                  onChange={(e) => updateAsset(i, { members: e.target.value })}
+                />
+                <button
+                  onClick={() => setAssetMap((m) => m.filter((_, k) => k !== i))}
+                  style={{ ...btn(theme.panel, theme.danger), borderColor: theme.danger }}
+                >
+                  Del
+                </button>
+              </div>
+            );
+          })}
+          {!consolidated.length && <div style={{ fontSize: 13, color: theme.subtext }}>No balances yet.</div>}
+          {consolidated.length > 0 && (
+            <div style={{ overflowX: "auto" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+                <thead>
+                  <tr style={{ textAlign: "left", color: theme.subtext }}>
+                    {["Wallet", "Asset", "Chains", "Balance", "Value"].map((h) => (
+                      <th key={h} style={{ padding: "8px 12px" }}>
+                        {h}
+                      </th>
+                    ))}
                   </tr>
+                </thead>
+                <tbody>
+                  {consolidated.map((g) => {
+                    const k = `${g.wallet}|${g.asset}`;
+                    const open = !!openAssets[k];
+                    return (
+                      <React.Fragment key={k}>
+                        <tr style={{ borderTop: `1px solid ${theme.border}` }}>
+                          <td style={{ padding: "8px 12px", ...mono }}>
+                            {infoOf(g).label || `${g.wallet.slice(0, 10)}…`}
+                          </td>
+                          <td style={{ padding: "8px 12px", fontWeight: g.mapped ? 600 : 400 }}>
+                            <button
+                              onClick={() => setOpenAssets((o) => ({ ...o, [k]: !open }))}
+                              style={{ background: "none", border: "none", color: theme.text, cursor: "pointer", padding: 0, marginRight: 6 }}
+                            >
+                              {open ? "▾" : "▸"}
+                            </button>
+                            {g.asset}
+                            {!g.mapped && (
+                              <button
+                                onClick={() => mapToAsset(g.parts[0])}
+                                title="Link this contract to a logical asset"
+                                style={{ ...btn("transparent", theme.accent), padding: "2px 8px", marginLeft: 8, fontSize: 11 }}
+                              >
+                                map…
+                              </button>
+                            )}
+                          </td>
+                          <td style={{ padding: "8px 12px", color: theme.subtext }}>
+                            {Array.from(new Set(g.parts.map((r) => r.chain))).join(", ")}
+                          </td>
+                          <td style={{ padding: "8px 12px" }} title={toExact(g.balance)}>
+                            {fmtBalance(g.balance)}
+                          </td>
+                          <td style={{ padding: "8px 12px" }}>{money(g.value)}</td>
+                        </tr>
+                        {open &&
+                          g.parts.map((r) => (
+                            <tr key={rowKey(r)} style={{ color: theme.subtext }}>
+                              <td />
+                              <td style={{ padding: "4px 12px 4px 32px" }}>
+                                {r.parent ? "↳ " : ""}
+                                {r.asset}
+                              </td>
+                              <td style={{ padding: "4px 12px" }}>{r.chain}</td>
+                              <td style={{ padding: "4px 12px" }} title={r.balance}>
+                                {fmtBalance(r.balance)}
+                              </td>
+                              <td style={{ padding: "4px 12px" }}>{money(valueOf(r))}</td>
+                            </tr>
+                          ))}
+                      </React.Fragment>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </section>
+
+        {/* Gas readiness */}
+        <section style={card({ marginTop: 16 })}>
+          <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap", marginBottom: 8 }}>
+            <h2 style={{ margin: 0, fontSize: 16 }}>Gas readiness</h2>
+            <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 13 }}>
+              <input
+                type="checkbox"
+                checked={gasCheck.enabled}
+                onChange={(e) => setGasCheck((g) => ({ ...g, enabled: e.target.checked }))}
+              />
+              check on every fetch
+            </label>
+            <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+              <span style={label}>OK from</span>
+              <input
+                style={{ ...inputStyle, width: 60, padding: 6 }}
+                value={gasCheck.minTxs}
+                placeholder={String(DEFAULT_MIN_TXS)}
+                onChange={(e) => setGasCheck((g) => ({ ...g, minTxs: Math.max(1, Number(e.target.value) || 1) }))}
+              />
+              <span style={label}>tx</span>
+            </label>
+            <button
+              onClick={exportTopUpCsv}
+              disabled={!gasByChain.some((g) => g.need)}
+              style={{ ...btn(dark ? "#0b1220" : "#111827", "#ffffff"), marginLeft: "auto" }}
+            >
+              Top-up CSV
+            </button>
+          </div>
+          <div style={{ display: "flex", gap: 12, flexWrap: "wrap", marginBottom: 8 }}>
+            {chains.map((ch, i) => (
+              <label key={ch.id || i} style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                <span style={label}>{ch.id} gas/tx</span>
+                <input
+                  style={{ ...inputStyle, width: 90, padding: 6 }}
+                  placeholder={String(DEFAULT_GAS_UNITS)}
+                  value={ch.gasUnits ?? ""}
+                  onChange={(e) => {
+                    // whole gas units only (gas.js multiplies them as BigInt)
+                    const n = parseInt(e.target.value, 10);
+                    updateChain(i, { gasUnits: n > 0 ? n : undefined });
+                  }}
+                />
+              </label>
+            ))}
+          </div>
+          {!gasByChain.length && (
+            <div style={{ fontSize: 13, color: theme.subtext }}>
+              {gasCheck.enabled ? "Fetch balances to check gas." : "Off. Tick the box and fetch to check native balances against current gas prices."}
+            </div>
+          )}
+          {gasByChain.map((g) => {
+            const symbol = chains.find((c) => c.id === g.chain)?.symbol || "native";
+            return (
+              <div key={g.chain} style={{ fontSize: 13, margin: "4px 0" }}>
+                {g.need ? (
+                  <span style={{ color: g.counts.empty ? theme.danger : theme.warning }}>
+                    <b>{g.need}</b> wallet{g.need === 1 ? "" : "s"} on <b>{g.chain}</b> need top-up, total shortfall{" "}
+                    <b>
+                      {fmtBalance(g.shortfall)} {symbol}
+                    </b>
+                  </span>
+                ) : (
+                  <span style={{ color: theme.success }}>
+                    all wallets on <b>{g.chain}</b> OK
+                  </span>
                 )}
-              </tbody>
-            </table>
+                <span style={{ color: theme.subtext }}>
+                  {" "}
+                  · {g.counts.ok} OK · {g.counts.low} low · {g.counts.empty} empty · {fmtBalance(g.cost)} {symbol} per tx
+                </span>
+              </div>
+            );
+          })}
+        </section>
+
+        {/* History */}
+        <section style={card({ marginTop: 16 })}>
+          <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", marginBottom: 8 }}>
+            <h2 style={{ margin: 0, fontSize: 16 }}>History</h2>
+            <span style={{ fontSize: 12, color: theme.subtext }}>{snapshots.length} snapshots</span>
+            <label style={{ display: "flex", alignItems: "center", gap: 6 }} title="0 = no limit; older snapshots are pruned on the next save">
+              <span style={label}>keep last</span>
+              <input
+                style={{ ...inputStyle, width: 60, padding: 6 }}
+                value={historyRetention.maxCount}
+                placeholder={String(DEFAULT_RETENTION.maxCount)}
+                onChange={(e) => setHistoryRetention((h) => ({ ...h, maxCount: Math.max(0, Math.floor(Number(e.target.value)) || 0) }))}
+              />
+              <span style={label}>snapshots, max</span>
+              <input
+                style={{ ...inputStyle, width: 50, padding: 6 }}
+                value={historyRetention.maxDays}
+                placeholder={String(DEFAULT_RETENTION.maxDays)}
+                onChange={(e) => setHistoryRetention((h) => ({ ...h, maxDays: Math.max(0, Math.floor(Number(e.target.value)) || 0) }))}
+              />
+              <span style={label}>days</span>
+            </label>
+            <div style={{ marginLeft: "auto", display: "flex", gap: 8, flexWrap: "wrap" }}>
+              <button
+                onClick={exportHistoryCsv}
+                disabled={!snapshots.length}
+                style={btn(dark ? "#0b1220" : "#111827", "#ffffff")}
+              >
+                History CSV
+              </button>
+              <button
+                onClick={() => exportHistoryXlsx(false)}
+                disabled={!snapshots.length}
+                style={btn(dark ? "#0b1220" : "#0b5fff", "#ffffff")}
+              >
+                History XLSX (long)
+              </button>
+              <button
+                onClick={() => exportHistoryXlsx(true)}
+                disabled={!snapshots.length}
+                style={btn(dark ? "#0b1220" : "#0b5fff", "#ffffff")}
+              >
+                History XLSX (sheet per snapshot)
+              </button>
+              <button
+                onClick={() => {
+                  if (!confirm("Hapus semua snapshot di workspace ini?")) return;
+                  clearSnapshots(wsIndex.active).then(() => setSnapshots([]));
+                }}
+                disabled={!snapshots.length}
+                style={{ ...btn(theme.panel, theme.danger), borderColor: theme.danger }}
+              >
+                Clear
+              </button>
+            </div>
+          </div>
+          <select
+            style={{ ...inputStyle, width: "100%", marginBottom: 8 }}
+            value={historyKey}
+            onChange={(e) => setHistoryKey(e.target.value)}
+          >
+            <option value="">— pick wallet / asset —</option>
+            {historyOptions.map((o) => (
+              <option key={o.key} value={o.key}>
+                {o.text}
+              </option>
+            ))}
+          </select>
+          {historyKey && renderChart(historySeries)}
+        </section>
+
+        {/* Activity */}
+        <section style={card({ marginTop: 16 })}>
+          <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", marginBottom: 8 }}>
+            <h2 style={{ margin: 0, fontSize: 16 }}>Activity</h2>
+            <select
+              style={inputStyle}
+              value={activitySel.chain}
+              onChange={(e) => setActivitySel((s) => ({ ...s, chain: e.target.value }))}
+            >
+              <option value="">— chain —</option>
+              {chains.map((ch) => (
+                <option key={ch.id} value={ch.id}>
+                  {ch.id}
+                </option>
+              ))}
+            </select>
+            <select
+              style={inputStyle}
+              value={activitySel.wallet}
+              onChange={(e) => setActivitySel((s) => ({ ...s, wallet: e.target.value }))}
+            >
+              <option value="">— wallet —</option>
+              {wallets
+                .filter((w) => walletAddress(w))
+                .map((w) => (
+                  <option key={walletAddress(w)} value={walletAddress(w)}>
+                    {w.label ? `${w.label} · ` : ""}
+                    {w.address}
+                  </option>
+                ))}
+            </select>
+            <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+              <span style={label}>Blocks per page</span>
+              <input
+                style={{ ...inputStyle, width: 90 }}
+                value={activitySel.blocks}
+                onChange={(e) => setActivitySel((s) => ({ ...s, blocks: Number(e.target.value) || DEFAULT_ACTIVITY_BLOCKS }))}
+              />
+            </label>
+            <button onClick={() => loadActivity("newer")} disabled={activityBusy} style={btn(theme.accent)}>
+              {activityView ? "Load newer" : "Load"}
+            </button>
+            <button
+              onClick={() => loadActivity("older")}
+              disabled={activityBusy || !activityView || activityView.from === 0}
+              style={btn(theme.panel, theme.text)}
+            >
+              Load older
+            </button>
+            <div style={{ marginLeft: "auto", display: "flex", gap: 8, flexWrap: "wrap" }}>
+              <button
+                onClick={exportActivityCsv}
+                disabled={!activityView?.entries.length}
+                style={btn(dark ? "#0b1220" : "#111827", "#ffffff")}
+              >
+                Activity CSV
+              </button>
+              <button
+                onClick={exportActivityXlsx}
+                disabled={!activityView?.entries.length}
+                style={btn(dark ? "#0b1220" : "#0b5fff", "#ffffff")}
+              >
+                Activity XLSX
+              </button>
+            </div>
+          </div>
+          {activityStatus && <div style={{ fontSize: 12, color: theme.subtext, marginBottom: 8 }}>{activityStatus}</div>}
+          {activityView && (
+            <div style={{ overflowX: "auto" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+                <thead>
+                  <tr style={{ textAlign: "left", color: theme.subtext }}>
+                    {["Time", "Block", "Dir", "Token", "Amount", "Counterparty", "Tx"].map((h) => (
+                      <th key={h} style={{ padding: "8px 12px" }}>
+                        {h}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {activityView.entries.length === 0 && (
+                    <tr>
+                      <td colSpan={7} style={{ padding: 12, color: theme.subtext }}>
+                        No transfers in blocks {activityView.from}–{activityView.to}.
+                      </td>
+                    </tr>
+                  )}
+                  {activityView.entries.map((e) => (
+                    <tr key={`${e.txHash}|${e.logIndex}`} style={{ borderTop: `1px solid ${theme.border}` }}>
+                      <td style={{ padding: "8px 12px", fontSize: 12 }}>{e.time ? e.time.slice(0, 19).replace("T", " ") : "-"}</td>
+                      <td style={{ padding: "8px 12px" }}>{explorerA("block", e.block, e.block)}</td>
+                      <td
+                        style={{
+                          padding: "8px 12px",
+                          color: e.direction === "in" ? theme.success : e.direction === "out" ? theme.danger : theme.subtext,
+                        }}
+                      >
+                        {e.direction}
+                      </td>
+                      <td style={{ padding: "8px 12px" }}>{e.symbol}</td>
+                      <td style={{ padding: "8px 12px" }} title={e.amount}>
+                        {(e.direction === "out" ? "-" : "") + fmtBalance(e.amount)}
+                      </td>
+                      <td style={{ padding: "8px 12px", ...mono }}>
+                        {explorerA("address", e.counterparty, e.counterparty)}
+                        {(infoOf({ wallet: e.counterparty }).label || primaryName(e.counterparty)) && (
+                          <div style={{ fontSize: 11, color: theme.subtext }}>
+                            {infoOf({ wallet: e.counterparty }).label || primaryName(e.counterparty)}
+                          </div>
+                        )}
+                      </td>
+                      <td style={{ padding: "8px 12px", ...mono }}>
+                        {explorerA("tx", e.txHash, `${e.txHash.slice(0, 10)}…`)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </section>
+
+        {/* Native flows */}
+        <section style={card({ marginTop: 16 })}>
+          <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", marginBottom: 8 }}>
+            <h2 style={{ margin: 0, fontSize: 16 }}>Native flows</h2>
+            <select
+              style={inputStyle}
+              value={nativeSel.chain}
+              onChange={(e) => setNativeSel((s) => ({ ...s, chain: e.target.value }))}
+            >
+              <option value="">— chain —</option>
+              {chains.map((ch) => (
+                <option key={ch.id} value={ch.id}>
+                  {ch.id}
+                </option>
+              ))}
+            </select>
+            <select
+              style={inputStyle}
+              value={nativeSel.method}
+              title="trace_block / debug_traceBlockByNumber see internal transfers; balance diff works on any archive node"
+              onChange={(e) => setNativeSel((s) => ({ ...s, method: e.target.value }))}
+            >
+              {NATIVE_FLOW_METHODS.map((m) => (
+                <option key={m.id} value={m.id}>
+                  {m.label}
+                </option>
+              ))}
+            </select>
+            <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+              <span style={label}>Blocks per page</span>
+              <input
+                style={{ ...inputStyle, width: 90 }}
+                value={nativeSel.blocks}
+                onChange={(e) => setNativeSel((s) => ({ ...s, blocks: Number(e.target.value) || DEFAULT_NATIVE_FLOW_BLOCKS }))}
+              />
+            </label>
+            <button onClick={() => loadNativeFlow("newer")} disabled={nativeBusy} style={btn(theme.accent)}>
+              {nativeView ? "Load newer" : "Load"}
+            </button>
+            <button
+              onClick={() => loadNativeFlow("older")}
+              disabled={nativeBusy || !nativeView || nativeView.from <= 1}
+              style={btn(theme.panel, theme.text)}
+            >
+              Load older
+            </button>
+            <div style={{ marginLeft: "auto", display: "flex", gap: 8, flexWrap: "wrap" }}>
+              <button
+                onClick={exportNativeFlowCsv}
+                disabled={!nativeView?.entries.length}
+                style={btn(dark ? "#0b1220" : "#111827", "#ffffff")}
+              >
+                Flows CSV
+              </button>
+              <button
+                onClick={exportNativeFlowXlsx}
+                disabled={!nativeView}
+                style={btn(dark ? "#0b1220" : "#0b5fff", "#ffffff")}
+              >
+                Ledger XLSX
+              </button>
+            </div>
           </div>
+          {nativeStatus && <div style={{ fontSize: 12, color: theme.subtext, marginBottom: 8 }}>{nativeStatus}</div>}
+          {nativeView && (
+            <div style={{ overflowX: "auto" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13, marginBottom: 12 }}>
+                <thead>
+                  <tr style={{ textAlign: "left", color: theme.subtext }}>
+                    {["Wallet", "In", "Out", "Fees", "Net", "Entries"].map((h) => (
+                      <th key={h} style={{ padding: "8px 12px" }}>
+                        {h}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {nativeLedger(nativeView.entries, native.wallets, native.ch.decimals ?? 18).map((l) => (
+                    <tr key={l.wallet} style={{ borderTop: `1px solid ${theme.border}` }}>
+                      <td style={{ padding: "8px 12px", ...mono }}>
+                        {l.wallet}
+                        {infoOf({ wallet: l.wallet }).label && (
+                          <div style={{ fontSize: 11, color: theme.subtext }}>{infoOf({ wallet: l.wallet }).label}</div>
+                        )}
+                      </td>
+                      <td style={{ padding: "8px 12px", color: theme.success }}>{fmtBalance(l.inflow)}</td>
+                      <td style={{ padding: "8px 12px", color: theme.danger }}>{fmtBalance(l.outflow)}</td>
+                      <td style={{ padding: "8px 12px" }}>{fmtBalance(l.fees)}</td>
+                      <td style={{ padding: "8px 12px", fontWeight: 600 }} title={toExact(l.net)}>
+                        {fmtBalance(l.net)} {native.ch.symbol}
+                      </td>
+                      <td style={{ padding: "8px 12px" }}>{l.count}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+                <thead>
+                  <tr style={{ textAlign: "left", color: theme.subtext }}>
+                    {["Time", "Block", "Wallet", "Dir", "Kind", "Amount", "Counterparty", "Tx"].map((h) => (
+                      <th key={h} style={{ padding: "8px 12px" }}>
+                        {h}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {nativeView.entries.length === 0 && (
+                    <tr>
+                      <td colSpan={8} style={{ padding: 12, color: theme.subtext }}>
+                        No native flows in blocks {nativeView.from}–{nativeView.to}.
+                      </td>
+                    </tr>
+                  )}
+                  {nativeView.entries.map((e) => (
+                    <tr key={`${e.seq}`} style={{ borderTop: `1px solid ${theme.border}` }}>
+                      <td style={{ padding: "8px 12px", fontSize: 12 }}>{e.time ? e.time.slice(0, 19).replace("T", " ") : "-"}</td>
+                      <td style={{ padding: "8px 12px" }}>{explorerA("block", e.block, e.block, native.ch)}</td>
+                      <td style={{ padding: "8px 12px", ...mono }}>
+                        {infoOf({ wallet: e.wallet }).label || `${e.wallet.slice(0, 10)}…`}
+                      </td>
+                      <td
+                        style={{ padding: "8px 12px", color: e.direction === "in" ? theme.success : theme.danger }}
+                      >
+                        {e.direction}
+                      </td>
+                      <td style={{ padding: "8px 12px" }}>{e.kind}</td>
+                      <td style={{ padding: "8px 12px" }} title={e.amount}>
+                        {(e.direction === "out" ? "-" : "") + fmtBalance(e.amount)}
+                      </td>
+                      <td style={{ padding: "8px 12px", ...mono }}>
+                        {e.counterparty ? explorerA("address", e.counterparty, e.counterparty, native.ch) : "-"}
+                      </td>
+                      <td style={{ padding: "8px 12px", ...mono }}>
+                        {e.txHash
+                          ? e.txHash
+                              .split(" ")
+                              .map((h) => <div key={h}>{explorerA("tx", h, `${h.slice(0, 10)}…`, native.ch)}</div>)
+                          : "-"}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
         </section>
 
+        {/* Import dialog */}
+        {importDlg && (
+          <div
+            style={{
+              position: "fixed",
+              inset: 0,
+              background: "rgba(0,0,0,0.5)",
+              display: "flex",
+              alignItems: "flex-start",
+              justifyContent: "center",
+              padding: 24,
+              overflowY: "auto",
+              zIndex: 50,
+            }}
+          >
+            <div style={card({ width: "min(1000px, 100%)" })}>
+              <h2 style={{ margin: 0, fontSize: 16, marginBottom: 12 }}>Import from {importDlg.fileName}</h2>
+              <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", marginBottom: 12 }}>
+                <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                  <span style={label}>Sheet</span>
+                  <select
+                    style={inputStyle}
+                    value={importDlg.sheetName}
+                    onChange={(e) => openImportSheet(importDlg, e.target.value)}
+                  >
+                    {importDlg.wb.SheetNames.map((n) => (
+                      <option key={n} value={n}>
+                        {n}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                  <span style={label}>Import as</span>
+                  <select
+                    style={inputStyle}
+                    value={importDlg.kind}
+                    onChange={(e) => openImportSheet(importDlg, importDlg.sheetName, e.target.value)}
+                  >
+                    <option value="wallets">wallets</option>
+                    <option value="tokens">tokens</option>
+                  </select>
+                </label>
+                <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 13 }}>
+                  <input
+                    type="checkbox"
+                    checked={importDlg.hasHeader}
+                    onChange={(e) => setImportDlg((d) => ({ ...d, hasHeader: e.target.checked }))}
+                  />
+                  first row is a header
+                </label>
+                {importDlg.kind === "tokens" && (
+                  <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                    <span style={label}>Chain (when not in a column)</span>
+                    <select
+                      style={inputStyle}
+                      value={importDlg.defaultChain}
+                      onChange={(e) => setImportDlg((d) => ({ ...d, defaultChain: e.target.value }))}
+                    >
+                      <option value="">—</option>
+                      {chains.map((ch) => (
+                        <option key={ch.id} value={ch.id}>
+                          {ch.id}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+              </div>
+
+              <div style={{ display: "flex", gap: 12, flexWrap: "wrap", marginBottom: 12 }}>
+                {IMPORT_FIELDS[importDlg.kind].map((f) => (
+                  <label key={f.id} style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+                    <span style={label}>
+                      {f.label}
+                      {f.required ? " *" : ""}
+                    </span>
+                    <select
+                      style={inputStyle}
+                      value={importDlg.mapping[f.id] ?? ""}
+                      onChange={(e) =>
+                        setImportDlg((d) => ({
+                          ...d,
+                          mapping: { ...d.mapping, [f.id]: e.target.value === "" ? undefined : Number(e.target.value) },
+                        }))
+                      }
+                    >
+                      <option value="">— not mapped —</option>
+                      {(importDlg.table.cells[0] || []).map((h, c) => (
+                        <option key={c} value={c}>
+                          {columnName(importDlg.table, c)}
+                          {importDlg.hasHeader && h ? ` · ${h}` : ""}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+
+              {/* Preview: first rows with mapped columns highlighted */}
+              <div style={{ overflowX: "auto", marginBottom: 12 }}>
+                <table style={{ borderCollapse: "collapse", fontSize: 12 }}>
+                  <thead>
+                    <tr style={{ color: theme.subtext }}>
+                      <th />
+                      {(importDlg.table.cells[0] || []).map((_, c) => {
+                        const field = IMPORT_FIELDS[importDlg.kind].find((f) => importDlg.mapping[f.id] === c);
+                        return (
+                          <th key={c} style={{ padding: "4px 8px", textAlign: "left", color: field ? theme.accent : undefined }}>
+                            {columnName(importDlg.table, c)}
+                            {field ? ` → ${field.label}` : ""}
+                          </th>
+                        );
+                      })}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {importDlg.table.cells.slice(0, 8).map((row, r) => (
+                      <tr
+                        key={r}
+                        style={{
+                          borderTop: `1px solid ${theme.border}`,
+                          fontWeight: importDlg.hasHeader && r === 0 ? 700 : 400,
+                        }}
+                      >
+                        <td style={{ padding: "4px 8px", color: theme.subtext }}>{importDlg.table.origin.r + r + 1}</td>
+                        {row.map((v, c) => (
+                          <td key={c} style={{ padding: "4px 8px", maxWidth: 260, overflow: "hidden", textOverflow: "ellipsis" }}>
+                            {v}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div style={{ fontSize: 12, color: theme.subtext, marginTop: 4 }}>
+                  {importDlg.table.cells.length} rows in sheet
+                </div>
+              </div>
+
+              {/* Dry run */}
+              {importPlan && (
+                <div style={{ marginBottom: 12, fontSize: 13 }}>
+                  <div style={{ marginBottom: 6 }}>
+                    <b>{importPlan.summary.added}</b> new · <b>{importPlan.summary.duplicate}</b> duplicate ·{" "}
+                    <b style={{ color: importPlan.summary.invalid.length ? theme.danger : undefined }}>
+                      {importPlan.summary.invalid.length}
+                    </b>{" "}
+                    invalid · <b>{importPlan.summary.fixed.length}</b> checksum-fixed
+                  </div>
+                  {importPlan.summary.invalid.slice(0, 50).map((x, i) => (
+                    <div key={`i${i}`} style={{ fontSize: 12, color: theme.danger }}>
+                      {x.ref}: "{x.value}" — {x.reason}
+                    </div>
+                  ))}
+                  {importPlan.summary.fixed.slice(0, 50).map((x, i) => (
+                    <div key={`f${i}`} style={{ fontSize: 12, color: theme.subtext }}>
+                      {x.ref}: {x.from} → {x.to}
+                    </div>
+                  ))}
+                  {importPlan.summary.invalid.length + importPlan.summary.fixed.length > 100 && (
+                    <div style={{ fontSize: 12, color: theme.subtext }}>… (first 50 of each shown)</div>
+                  )}
+                </div>
+              )}
+
+              <div style={{ display: "flex", gap: 8 }}>
+                <button onClick={applyImport} disabled={!importPlan?.summary.added} style={btn(theme.accent)}>
+                  Import {importPlan?.summary.added || 0} {importDlg.kind}
+                </button>
+                <button onClick={() => setImportDlg(null)} style={btn(theme.panel, theme.text)}>
+                  Cancel
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
         <div style={{ color: theme.subtext, fontSize: 12, marginTop: 12 }}>
-          Tip: Some RPCs block browser CORS. Use public CORS-enabled RPCs or a small proxy.
+          Tip: Some RPCs block browser CORS. Use public CORS-enabled RPCs, or run <code>npm run proxy</code> and tick "use proxy" on the chain.
         </div>
       </div>
     </div>
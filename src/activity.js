@@ -0,0 +1,133 @@
+import { ethers } from "ethers";
+import { fromRaw, toExact } from "./amounts.js";
+import { createLimiter, request } from "./engine.js";
+import { TRANSFER_TOPIC, addressTopic, getLogsPaged, tokenMetadata } from "./logs.js";
+
+/*
+Activity: ERC-20 Transfer in/out untuk 1 wallet di 1 chain (token yang di-track saja)
+- scan mundur per range block (eth_getLogs), "newer" menambah block baru di atas
+- hasil scan di-cache per chain|wallet|tokens selama sesi (range yang sudah discan tidak diulang)
+*/
+
+export const DEFAULT_ACTIVITY_BLOCKS = 10000;
+
+const cache = new Map(); // key -> { from, to, entries } (entries newest first)
+const blockTimes = new Map(); // chainId|block -> unix seconds
+
+export function activityKey(chainId, wallet, tokens) {
+  const addrs = tokens.map((t) => t.address.toLowerCase()).sort();
+  return `${chainId}|${wallet.toLowerCase()}|${addrs.join(",")}`;
+}
+
+export function cachedActivity(key) {
+  return cache.get(key) || null;
+}
+
+const newestFirst = (a, b) => b.block - a.block || b.logIndex - a.logIndex;
+
+// Transfer logs touching `wallet` in [from, to]; a self-transfer matches both queries -> "self"
+async function scanRange(provider, wallet, tokens, from, to, opts) {
+  const me = addressTopic(wallet);
+  const address = tokens.map((t) => t.address);
+  const byId = new Map();
+  for (const [dir, topics] of [
+    ["in", [TRANSFER_TOPIC, null, me]],
+    ["out", [TRANSFER_TOPIC, me]],
+  ]) {
+    const logs = await getLogsPaged(provider, { address, topics }, from, to, opts);
+    for (const l of logs) {
+      if (l.topics.length !== 3) continue; // ERC-721 (tokenId indexed)
+      const id = `${l.transactionHash}|${l.index}`;
+      if (byId.has(id)) {
+        byId.get(id).direction = "self";
+        continue;
+      }
+      const fromAddr = ethers.getAddress(ethers.dataSlice(l.topics[1], 12));
+      const toAddr = ethers.getAddress(ethers.dataSlice(l.topics[2], 12));
+      byId.set(id, {
+        block: l.blockNumber,
+        logIndex: l.index,
+        txHash: l.transactionHash,
+        contract: ethers.getAddress(l.address),
+        direction: dir,
+        counterparty: dir === "in" ? fromAddr : toAddr,
+        raw: l.data && l.data !== "0x" ? BigInt(ethers.dataSlice(l.data, 0, 32)).toString() : "0",
+      });
+    }
+  }
+  return Array.from(byId.values());
+}
+
+// block timestamps (cached per chain, shared with nativeflow.js); sets e.time on each entry
+export async function stampTimes(provider, chainId, entries, opts) {
+  const limit = createLimiter(4);
+  const missing = Array.from(new Set(entries.map((e) => e.block))).filter((b) => !blockTimes.has(`${chainId}|${b}`));
+  await Promise.all(
+    missing.map((b) =>
+      limit(async () => {
+        const blk = await request(() => provider.getBlock(b), opts);
+        if (blk) blockTimes.set(`${chainId}|${b}`, blk.timestamp);
+      })
+    )
+  );
+  for (const e of entries) {
+    const t = blockTimes.get(`${chainId}|${e.block}`);
+    e.time = t == null ? "" : new Date(t * 1000).toISOString();
+  }
+}
+
+/*
+Scan one more page and merge it into the cache.
+mode: "newer" (first load / up to `blocks` after the newest scanned) | "older" (the `blocks` before the oldest scanned)
+tokens: [{ address, symbol, decimals }] (missing symbol/decimals are read from the contract)
+opts: { blocks, chunk, onProgress(done, total), signal, timeoutMs, retries }
+returns { from, to, entries } with entries newest first:
+  { block, logIndex, txHash, contract, symbol, decimals, direction, counterparty, raw, amount, time }
+*/
+export async function scanActivity(provider, chainId, wallet, tokens, mode, opts = {}) {
+  const key = activityKey(chainId, wallet, tokens);
+  const prev = cache.get(key);
+  const blocks = Math.max(1, Number(opts.blocks) || DEFAULT_ACTIVITY_BLOCKS);
+  let from;
+  let to;
+  if (mode === "older" && prev) {
+    if (prev.from === 0) return prev;
+    to = prev.from - 1;
+    from = Math.max(0, to - blocks + 1);
+  } else {
+    const latest = await request(() => provider.getBlockNumber(), opts);
+    if (prev && prev.to >= latest) return prev;
+    // after a long gap the rest is left for the next "newer" page; the cached range stays contiguous
+    to = prev ? Math.min(latest, prev.to + blocks) : latest;
+    from = prev ? prev.to + 1 : Math.max(0, latest - blocks + 1);
+  }
+
+  const meta = new Map(tokens.map((t) => [t.address.toLowerCase(), { symbol: t.symbol, decimals: t.decimals }]));
+  const unknown = tokens.filter((t) => !t.symbol || t.decimals == null).map((t) => t.address);
+  if (unknown.length) {
+    for (const m of await tokenMetadata(provider, unknown)) {
+      const cur = meta.get(m.address.toLowerCase());
+      meta.set(m.address.toLowerCase(), {
+        symbol: cur.symbol || m.symbol || m.address.slice(0, 6),
+        decimals: cur.decimals ?? m.decimals ?? 18,
+      });
+    }
+  }
+
+  const found = await scanRange(provider, wallet, tokens, from, to, opts);
+  for (const e of found) {
+    const m = meta.get(e.contract.toLowerCase()) || {};
+    e.symbol = m.symbol || e.contract.slice(0, 6);
+    e.decimals = m.decimals ?? 18;
+    e.amount = toExact(fromRaw(e.raw, e.decimals));
+  }
+  await stampTimes(provider, chainId, found, opts);
+
+  const next = {
+    from: prev ? Math.min(prev.from, from) : from,
+    to: prev ? Math.max(prev.to, to) : to,
+    entries: [...(prev?.entries || []), ...found].sort(newestFirst),
+  };
+  cache.set(key, next);
+  return next;
+}
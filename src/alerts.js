@@ -0,0 +1,142 @@
+import { cmp, dec, sign, sub, toExact, toNumber } from "./amounts.js";
+import { rowKey } from "./history.js";
+
+/*
+Balance alert rules
+rule: { id, enabled, target: "wallet"|"tag", wallet, tag, asset, kind, threshold, cooldownMin }
+- asset kosong = semua asset; cocok ke symbol atau contract
+- kind: above | below | changePct | appeared | disappeared
+- row error / chain gagal = balance tidak diketahui (bukan 0): rule tidak dicek, baseline lama dipakai
+*/
+
+export const ALERT_KINDS = [
+  { id: "above", label: "balance above" },
+  { id: "below", label: "balance below" },
+  { id: "changePct", label: "change > % between refreshes" },
+  { id: "appeared", label: "token appears" },
+  { id: "disappeared", label: "token disappears" },
+];
+
+export const DEFAULT_COOLDOWN_MIN = 60;
+
+export function newRule() {
+  return {
+    id: `rule-${Date.now().toString(36)}`,
+    enabled: true,
+    target: "wallet",
+    wallet: "",
+    tag: "",
+    asset: "",
+    kind: "below",
+    threshold: "",
+    cooldownMin: DEFAULT_COOLDOWN_MIN,
+  };
+}
+
+// infoOf(row) -> wallet entry { label, tags, group }
+export function ruleMatches(rule, r, infoOf) {
+  if (!r.wallet) return false;
+  if (rule.target === "tag") {
+    if (!rule.tag || !infoOf(r).tags.includes(rule.tag)) return false;
+  } else if (!rule.wallet || rule.wallet.toLowerCase() !== String(r.wallet).toLowerCase()) {
+    return false;
+  }
+  const a = (rule.asset || "").trim().toLowerCase();
+  return !a || a === String(r.asset).toLowerCase() || a === String(r.contract).toLowerCase();
+}
+
+// exact balance of a row (Dec) or null for error / missing rows
+const amount = (r) => (r && !r.error ? dec(r.balance) : null);
+const held = (r) => sign(amount(r)) > 0;
+
+function check(rule, prev, cur) {
+  const t = dec(rule.threshold);
+  const a = amount(cur);
+  switch (rule.kind) {
+    case "above":
+      return a && t && cmp(a, t) > 0 ? `balance ${toExact(a)} > ${toExact(t)}` : null;
+    case "below":
+      return a && t && cmp(a, t) < 0 ? `balance ${toExact(a)} < ${toExact(t)}` : null;
+    case "changePct": {
+      const p = amount(prev);
+      if (!held(prev) || !a || !t) return null;
+      const pct = (toNumber(sub(a, p)) / toNumber(p)) * 100;
+      return Math.abs(pct) > toNumber(t)
+        ? `changed ${pct.toFixed(2)}% (${toExact(p)} -> ${toExact(a)})`
+        : null;
+    }
+    case "appeared":
+      return held(cur) && !held(prev) ? `appeared with balance ${cur.balance}` : null;
+    case "disappeared":
+      return held(prev) && !held(cur) ? `disappeared (was ${prev.balance})` : null;
+    default:
+      return null;
+  }
+}
+
+// chains whose whole read failed: their rows are missing, not gone
+const failedChains = (rows) => new Set(rows.filter((r) => !r.wallet && r.error).map((r) => r.chain));
+
+/*
+Compare two refreshes against all enabled rules.
+Every tracked wallet/asset has a row in every run (0 when nothing is held), so a missing row is unknown, not 0:
+its chain failed, or the wallet/asset was added or removed in between. Error rows are unknown too; rules skip them.
+lastFired: { "ruleId|rowKey": epochMs } (cooldown state, returned updated)
+returns { events: [{ rule, row, prev, message, ts }], lastFired, baseline }
+baseline: prevRows for the next call (current rows, with the last known row kept for unknown ones)
+*/
+export function evaluateAlerts(rules, prevRows, rows, infoOf, lastFired = {}, now = Date.now()) {
+  const prevMap = new Map(prevRows.filter((r) => r.wallet).map((r) => [rowKey(r), r]));
+  const curMap = new Map(rows.filter((r) => r.wallet).map((r) => [rowKey(r), r]));
+  const curFailed = failedChains(rows);
+  const keys = new Set([...prevMap.keys(), ...curMap.keys()]);
+  const fired = { ...lastFired };
+  const events = [];
+
+  const pairs = [];
+  const baseline = rows.filter((r) => !r.wallet);
+  for (const key of keys) {
+    const cur = curMap.get(key);
+    const prev = prevMap.get(key);
+    if (!cur || cur.error) {
+      // keep the last known row; a row missing from a chain that did answer is no longer tracked
+      if (cur || curFailed.has(prev.chain)) baseline.push(prev || cur);
+      continue;
+    }
+    baseline.push(cur);
+    pairs.push({ key, cur, prev, prevUnknown: !prev || !!prev.error });
+  }
+
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+    const cooldownMs = Math.max(0, Number(rule.cooldownMin ?? DEFAULT_COOLDOWN_MIN)) * 60_000;
+    const needsPrev = rule.kind !== "above" && rule.kind !== "below";
+    for (const { key, cur, prev, prevUnknown } of pairs) {
+      if (needsPrev && prevUnknown) continue;
+      const row = cur || prev;
+      if (!ruleMatches(rule, row, infoOf)) continue;
+      const message = check(rule, prev, cur);
+      if (!message) continue;
+      const fk = `${rule.id}|${key}`;
+      if (fired[fk] && now - fired[fk] < cooldownMs) continue;
+      fired[fk] = now;
+      events.push({ rule, row, prev, message, ts: new Date(now).toISOString() });
+    }
+  }
+  return { events, lastFired: fired, baseline };
+}
+
+export async function notifyBrowser(title, body) {
+  if (typeof Notification === "undefined") return;
+  if (Notification.permission === "default") await Notification.requestPermission();
+  if (Notification.permission === "granted") new Notification(title, { body });
+}
+
+export async function postWebhook(url, payload) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+  if (!res.ok) throw new Error(`webhook HTTP ${res.status}`);
+}
@@ -0,0 +1,174 @@
+/*
+Exact decimal amounts on BigInt
+- Dec = { v: bigint, d: number }  ->  nilai = v / 10^d
+- rows menyimpan balance sebagai string desimal exact + raw uint256 (string)
+- dipakai untuk total, delta, sorting, alert threshold (tanpa float)
+*/
+
+const TEN = 10n;
+
+function pow10(n) {
+  return TEN ** BigInt(n);
+}
+
+function align(a, b) {
+  if (a.d === b.d) return [a.v, b.v, a.d];
+  if (a.d > b.d) return [a.v, b.v * pow10(a.d - b.d), a.d];
+  return [a.v * pow10(b.d - a.d), b.v, b.d];
+}
+
+// drop trailing zero decimals (1.500 -> 1.5)
+function normalize(a) {
+  let { v, d } = a;
+  while (d > 0 && v % TEN === 0n) {
+    v /= TEN;
+    d--;
+  }
+  return { v, d };
+}
+
+/*
+Anything -> Dec (null for empty / invalid).
+Accepts Dec, bigint (integer), exact strings ("12.5", "-0.001", "1e-7") and numbers.
+*/
+export function dec(x) {
+  if (x === null || x === undefined || x === "") return null;
+  if (typeof x === "object" && typeof x.v === "bigint") return x;
+  if (typeof x === "bigint") return { v: x, d: 0 };
+  if (typeof x === "number" && !Number.isFinite(x)) return null;
+  const m = String(x)
+    .trim()
+    .replace(/,/g, "")
+    .match(/^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i);
+  if (!m || (!m[2] && !m[3])) return null;
+  const frac = m[3] || "";
+  let v = BigInt((m[2] || "0") + frac);
+  let d = frac.length;
+  const exp = Number(m[4] || 0);
+  if (exp > 0) {
+    if (exp >= d) {
+      v *= pow10(exp - d);
+      d = 0;
+    } else d -= exp;
+  } else d -= exp;
+  if (m[1] === "-") v = -v;
+  return normalize({ v, d });
+}
+
+// raw uint256 + token decimals -> Dec
+export function fromRaw(raw, decimals) {
+  return normalize({ v: BigInt(raw), d: Number(decimals ?? 18) });
+}
+
+export function add(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  const [x, y, d] = align(a, b);
+  return normalize({ v: x + y, d });
+}
+
+export function sub(a, b) {
+  return add(a, b && { v: -b.v, d: b.d });
+}
+
+export function mul(a, b) {
+  if (!a || !b) return null;
+  return normalize({ v: a.v * b.v, d: a.d + b.d });
+}
+
+export function cmp(a, b) {
+  const [x, y] = align(a || { v: 0n, d: 0 }, b || { v: 0n, d: 0 });
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+export function sign(a) {
+  return !a || a.v === 0n ? 0 : a.v > 0n ? 1 : -1;
+}
+
+// round half away from zero to `digits` decimals
+export function round(a, digits) {
+  if (!a || a.d <= digits) return a;
+  const f = pow10(a.d - digits);
+  const neg = a.v < 0n;
+  const abs = neg ? -a.v : a.v;
+  let q = abs / f;
+  if ((abs % f) * 2n >= f) q += 1n;
+  return { v: neg ? -q : q, d: digits };
+}
+
+// exact plain string, no exponent ("-0.000000000000000001")
+export function toExact(a) {
+  if (!a) return "";
+  const neg = a.v < 0n;
+  const s = (neg ? -a.v : a.v).toString().padStart(a.d + 1, "0");
+  const int = a.d ? s.slice(0, -a.d) : s;
+  const frac = a.d ? s.slice(-a.d).replace(/0+$/, "") : "";
+  return (neg ? "-" : "") + int + (frac ? `.${frac}` : "");
+}
+
+export function toNumber(a) {
+  return a ? Number(toExact(a)) : null;
+}
+
+// locale separators, resolved once
+let seps = null;
+function separators() {
+  if (seps) return seps;
+  seps = { group: ",", decimal: "." };
+  try {
+    for (const p of new Intl.NumberFormat().formatToParts(1000.5)) {
+      if (p.type === "group") seps.group = p.value;
+      if (p.type === "decimal") seps.decimal = p.value;
+    }
+  } catch {}
+  return seps;
+}
+
+function group(intStr) {
+  return intStr.replace(/\B(?=(\d{3})+(?!\d))/g, separators().group);
+}
+
+// fixed: exactly `digits` decimals (padded)
+function fixed(a, digits) {
+  const r = round(a, digits);
+  const neg = r.v < 0n;
+  const s = (neg ? -r.v : r.v).toString().padStart(r.d + 1, "0");
+  const int = r.d ? s.slice(0, -r.d) : s;
+  const frac = (r.d ? s.slice(-r.d) : "").padEnd(digits, "0");
+  return (neg && r.v !== 0n ? "-" : "") + group(int) + (digits ? separators().decimal + frac : "");
+}
+
+export const PRECISION_MODES = [
+  { id: "fixed", label: "fixed" },
+  { id: "full", label: "full" },
+  { id: "compact", label: "compact (K/M/B)" },
+];
+
+/*
+Display formatting.
+opts: { mode: "fixed" | "full" | "compact", digits }
+*/
+export function formatAmount(x, { mode = "fixed", digits = 4 } = {}) {
+  const a = dec(x);
+  if (!a) return "-";
+  if (mode === "full") {
+    const [int, frac] = toExact(a).split(".");
+    const neg = int.startsWith("-");
+    return (neg ? "-" : "") + group(neg ? int.slice(1) : int) + (frac ? separators().decimal + frac : "");
+  }
+  if (mode === "compact") {
+    const abs = a.v < 0n ? { v: -a.v, d: a.d } : a;
+    for (const [exp, suffix] of [
+      [12, "T"],
+      [9, "B"],
+      [6, "M"],
+      [3, "K"],
+    ]) {
+      if (cmp(abs, { v: pow10(exp), d: 0 }) >= 0) {
+        return fixed({ v: a.v, d: a.d + exp }, 2) + suffix;
+      }
+    }
+    return fixed(a, digits);
+  }
+  return fixed(a, digits);
+}
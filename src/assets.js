@@ -0,0 +1,148 @@
+import { ethers } from "ethers";
+import { add, cmp, dec } from "./amounts.js";
+import { assetType } from "./table.js";
+
+/*
+Canonical asset map: kontrak di chain berbeda -> 1 asset logis ("USDC", "ETH", ...)
+- built-in (BUILTIN_ASSETS) pakai EVM chainId numerik, jadi cocok apa pun id chain di config
+- map user (workspace assetMap: [{ id, members: "ethereum:0x…, 137:native" }]) pakai id chain dari config
+  atau chainId numerik, dan menang atas built-in
+- member: { chain | chainId, contract } (contract "native" = coin chain itu)
+- consolidate(): total per wallet x asset logis lintas chain + breakdown per chain
+*/
+
+export const BUILTIN_ASSETS = [
+  {
+    id: "ETH",
+    members: [1, 10, 42161, 8453, 59144, 324, 11155111].map((chainId) => ({ chainId, contract: "native" })),
+  },
+  {
+    id: "WETH",
+    members: [
+      { chainId: 1, contract: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2" },
+      { chainId: 10, contract: "0x4200000000000000000000000000000000000006" },
+      { chainId: 8453, contract: "0x4200000000000000000000000000000000000006" },
+      { chainId: 42161, contract: "0x82aF49447D8a07e3bd95BD0d56f35241523fBab1" },
+      { chainId: 137, contract: "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619" },
+    ],
+  },
+  {
+    id: "USDC",
+    members: [
+      { chainId: 1, contract: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48" },
+      { chainId: 137, contract: "0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359" },
+      { chainId: 137, contract: "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174" }, // USDC.e
+      { chainId: 42161, contract: "0xaf88d065e77c8cC2239327C5EDb3A432268e5831" },
+      { chainId: 42161, contract: "0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8" }, // USDC.e
+      { chainId: 10, contract: "0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85" },
+      { chainId: 10, contract: "0x7F5c764cBc14f9669B88837ca1490cCa17c31607" }, // USDC.e
+      { chainId: 8453, contract: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913" },
+    ],
+  },
+  {
+    id: "USDT",
+    members: [
+      { chainId: 1, contract: "0xdAC17F958D2ee523a2206206994597C13D831ec7" },
+      { chainId: 137, contract: "0xc2132D05D31c914a87C6611C10748AEb04B58e8F" },
+      { chainId: 42161, contract: "0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9" },
+      { chainId: 10, contract: "0x94b008aA00579c1307B0EF2c499aD98a8ce58e58" },
+    ],
+  },
+  {
+    id: "DAI",
+    members: [
+      { chainId: 1, contract: "0x6B175474E89094C44Da98b954EedeAC495271d0F" },
+      { chainId: 137, contract: "0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063" },
+      { chainId: 42161, contract: "0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1" },
+      { chainId: 10, contract: "0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1" },
+    ],
+  },
+  {
+    id: "WBTC",
+    members: [
+      { chainId: 1, contract: "0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599" },
+      { chainId: 137, contract: "0x1BFD67037B42Cf73acF2047067bd4F2C47D9BfD6" },
+      { chainId: 42161, contract: "0x2f2a2543B76A4166549F7aaB2e75Bef0aefC5B0f" },
+    ],
+  },
+];
+
+const contractKey = (c) => String(c || "native").toLowerCase();
+
+/*
+"ethereum:0xA0b8…, polygon:native, 137:0x3c49…" -> { members, bad: [part] }
+a numeric chain is an EVM chainId, anything else a chain id from the config
+*/
+export function parseMembers(text) {
+  const members = [];
+  const bad = [];
+  for (const part of String(text || "").split(/[\s,;]+/).filter(Boolean)) {
+    const i = part.lastIndexOf(":");
+    const chain = part.slice(0, i).trim();
+    const contract = part.slice(i + 1).trim();
+    const ok = i > 0 && (contract.toLowerCase() === "native" || ethers.isAddress(contract));
+    if (!ok) {
+      bad.push(part);
+      continue;
+    }
+    const c = contract.toLowerCase() === "native" ? "native" : ethers.getAddress(contract);
+    members.push(/^\d+$/.test(chain) ? { chainId: Number(chain), contract: c } : { chain, contract: c });
+  }
+  return { members, bad };
+}
+
+export function membersText(members) {
+  return (members || []).map((m) => `${m.chain ?? m.chainId}:${m.contract}`).join(", ");
+}
+
+// built-in entry -> editable user entry (to extend or override it)
+export function builtinCopy(id) {
+  const a = BUILTIN_ASSETS.find((x) => x.id === id);
+  return a ? { id: a.id, members: membersText(a.members) } : null;
+}
+
+/*
+Lookup "chain id|contract" -> asset id, for the configured chains.
+userMap: [{ id, members: text }] (invalid members ignored); chains: workspace chains (id + numeric chainId)
+*/
+export function assetIndex(userMap, chains, useBuiltin = true) {
+  const index = new Map();
+  const put = (asset, m) => {
+    const targets = m.chain != null ? [m.chain] : chains.filter((c) => Number(c.chainId) === m.chainId).map((c) => c.id);
+    for (const chain of targets) index.set(`${chain}|${contractKey(m.contract)}`, asset.id);
+  };
+  if (useBuiltin) for (const a of BUILTIN_ASSETS) a.members.forEach((m) => put(a, m));
+  // user entries last: they override a built-in mapping of the same contract
+  for (const a of userMap || []) if (a.id) parseMembers(a.members).members.forEach((m) => put(a, m));
+  return index;
+}
+
+/*
+Each wallet's holdings per logical asset across chains.
+Fungible rows only (native, tokens, position underlying); unmapped contracts stay their own group.
+returns [{ wallet, asset, mapped, balance: Dec, value: Dec | null, parts: [row] }] (per wallet, highest value first)
+*/
+export function consolidate(rows, index, valueOf) {
+  const groups = new Map();
+  for (const r of rows) {
+    if (!r.wallet || r.error || r.balance == null) continue;
+    if (!["native", "erc20", "underlying"].includes(assetType(r))) continue;
+    const mapped = index.get(`${r.chain}|${contractKey(r.contract)}`);
+    const asset = mapped || `${r.asset.replace(/ \([^)]*\)$/, "")} (${r.chain})`;
+    const key = `${r.wallet}|${mapped ? asset : `${r.chain}|${contractKey(r.contract)}`}`;
+    if (!groups.has(key)) groups.set(key, { wallet: r.wallet, asset, mapped: !!mapped, balance: null, value: null, parts: [] });
+    const g = groups.get(key);
+    g.balance = add(g.balance, dec(r.balance));
+    g.value = add(g.value, valueOf(r));
+    g.parts.push(r);
+  }
+  const order = new Map();
+  for (const r of rows) if (r.wallet && !order.has(r.wallet)) order.set(r.wallet, order.size);
+  return Array.from(groups.values()).sort(
+    (a, b) =>
+      order.get(a.wallet) - order.get(b.wallet) ||
+      cmp(b.value || dec(0), a.value || dec(0)) ||
+      b.mapped - a.mapped ||
+      a.asset.localeCompare(b.asset)
+  );
+}
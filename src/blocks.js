@@ -0,0 +1,85 @@
+import { request } from "./engine.js";
+
+/*
+Point-in-time reads
+- mode "block": sama nomor block di tiap chain
+- mode "time" : per chain dicari block terakhir dengan timestamp <= waktu (binary search getBlock)
+- semua read (native + balanceOf + multicall) pakai blockTag itu
+*/
+
+export const POINT_IN_TIME_MODES = [
+  { id: "latest", label: "latest" },
+  { id: "block", label: "at block" },
+  { id: "time", label: "at time (UTC)" },
+];
+
+// RPC errors that mean "this node has no state for that block" (pruned / non-archive)
+export function isArchiveError(e) {
+  const msg = `${e?.shortMessage || ""} ${e?.message || ""} ${e?.error?.message || ""} ${e?.info?.error?.message || ""}`.toLowerCase();
+  return /missing trie node|header not found|state.*not available|historical state|state histor|pruned|archive|old data not available/.test(
+    msg
+  );
+}
+
+export function archiveErrorText(block) {
+  return `no archive data for block ${block ?? "?"} (RPC is not an archive node)`;
+}
+
+async function blockInfo(provider, tag, opts) {
+  const b = await request(() => provider.getBlock(tag), opts);
+  if (!b) throw new Error(`block ${tag} not found`);
+  return { number: b.number, timestamp: b.timestamp };
+}
+
+/*
+Last block with timestamp <= `ts` (unix seconds).
+opts: { timeoutMs, retries, signal } (per getBlock)
+returns { number, timestamp }
+*/
+export async function blockAtTimestamp(provider, ts, opts = {}) {
+  const latest = await blockInfo(provider, "latest", opts);
+  if (ts >= latest.timestamp) return latest;
+  let lo = await blockInfo(provider, 0, opts);
+  if (ts < lo.timestamp) throw new Error(`time is before the first block (${new Date(lo.timestamp * 1000).toISOString()})`);
+  let hi = latest;
+  // invariant: lo.timestamp <= ts < hi.timestamp
+  while (hi.number - lo.number > 1) {
+    const mid = await blockInfo(provider, Math.floor((lo.number + hi.number) / 2), opts);
+    if (mid.timestamp <= ts) lo = mid;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/*
+pointInTime: { mode, block, time } (workspace setting; time = "YYYY-MM-DDTHH:mm[:ss]" in UTC)
+returns { number, timestamp } or null for "latest"
+*/
+export async function resolvePointInTime(provider, pointInTime, opts = {}) {
+  const pit = pointInTime || {};
+  if (pit.mode === "block") {
+    const n = Number(pit.block);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`invalid block number "${pit.block}"`);
+    return blockInfo(provider, n, opts);
+  }
+  if (pit.mode === "time") {
+    const ms = pointInTimeMs(pit);
+    if (ms == null) throw new Error(`invalid time "${pit.time}"`);
+    return blockAtTimestamp(provider, Math.floor(ms / 1000), opts);
+  }
+  return null;
+}
+
+// time field (UTC, no zone suffix) -> epoch ms, null when empty/invalid
+export function pointInTimeMs(pit) {
+  if (!pit?.time) return null;
+  const ms = new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(pit.time) ? pit.time : `${pit.time}Z`).getTime();
+  return Number.isFinite(ms) ? ms : null;
+}
+
+// short label for the UI ("" when reading latest)
+export function pointInTimeLabel(pit) {
+  if (pit?.mode === "block" && /^\d+$/.test(String(pit.block ?? "").trim())) return `block ${Number(pit.block)}`;
+  if (pit?.mode === "time" && pointInTimeMs(pit) != null) return `${new Date(pointInTimeMs(pit)).toISOString()}`;
+  return "";
+}
@@ -0,0 +1,262 @@
+import { ethers } from "ethers";
+
+/*
+Built-in registry of common EVM networks + RPC helpers
+- chainId dipakai untuk verifikasi eth_chainId
+- rpcs: urutan = prioritas, sisanya fallback
+*/
+
+export const CHAIN_REGISTRY = [
+  {
+    id: "ethereum",
+    name: "Ethereum",
+    chainId: 1,
+    symbol: "ETH",
+    decimals: 18,
+    explorer: "https://etherscan.io",
+    rpcs: [
+      "https://ethereum-rpc.publicnode.com",
+      "https://eth.llamarpc.com",
+      "https://rpc.ankr.com/eth",
+      "https://cloudflare-eth.com",
+    ],
+  },
+  {
+    id: "polygon",
+    name: "Polygon PoS",
+    chainId: 137,
+    symbol: "MATIC",
+    decimals: 18,
+    explorer: "https://polygonscan.com",
+    rpcs: [
+      "https://polygon-bor-rpc.publicnode.com",
+      "https://polygon-rpc.com",
+      "https://rpc.ankr.com/polygon",
+    ],
+  },
+  {
+    id: "bsc",
+    name: "BNB Smart Chain",
+    chainId: 56,
+    symbol: "BNB",
+    decimals: 18,
+    explorer: "https://bscscan.com",
+    rpcs: [
+      "https://bsc-rpc.publicnode.com",
+      "https://bsc-dataseed.bnbchain.org",
+      "https://rpc.ankr.com/bsc",
+    ],
+  },
+  {
+    id: "arbitrum",
+    name: "Arbitrum One",
+    chainId: 42161,
+    symbol: "ETH",
+    decimals: 18,
+    explorer: "https://arbiscan.io",
+    rpcs: ["https://arbitrum-one-rpc.publicnode.com", "https://arb1.arbitrum.io/rpc"],
+  },
+  {
+    id: "optimism",
+    name: "OP Mainnet",
+    chainId: 10,
+    symbol: "ETH",
+    decimals: 18,
+    explorer: "https://optimistic.etherscan.io",
+    rpcs: ["https://optimism-rpc.publicnode.com", "https://mainnet.optimism.io"],
+  },
+  {
+    id: "base",
+    name: "Base",
+    chainId: 8453,
+    symbol: "ETH",
+    decimals: 18,
+    explorer: "https://basescan.org",
+    rpcs: ["https://base-rpc.publicnode.com", "https://mainnet.base.org"],
+  },
+  {
+    id: "avalanche",
+    name: "Avalanche C-Chain",
+    chainId: 43114,
+    symbol: "AVAX",
+    decimals: 18,
+    explorer: "https://snowtrace.io",
+    rpcs: [
+      "https://avalanche-c-chain-rpc.publicnode.com",
+      "https://api.avax.network/ext/bc/C/rpc",
+    ],
+  },
+  {
+    id: "gnosis",
+    name: "Gnosis",
+    chainId: 100,
+    symbol: "xDAI",
+    decimals: 18,
+    explorer: "https://gnosisscan.io",
+    rpcs: ["https://gnosis-rpc.publicnode.com", "https://rpc.gnosischain.com"],
+  },
+  {
+    id: "linea",
+    name: "Linea",
+    chainId: 59144,
+    symbol: "ETH",
+    decimals: 18,
+    explorer: "https://lineascan.build",
+    rpcs: ["https://linea-rpc.publicnode.com", "https://rpc.linea.build"],
+  },
+  {
+    id: "fantom",
+    name: "Fantom Opera",
+    chainId: 250,
+    symbol: "FTM",
+    decimals: 18,
+    explorer: "https://ftmscan.com",
+    rpcs: ["https://fantom-rpc.publicnode.com", "https://rpc.ftm.tools"],
+  },
+  {
+    id: "zksync",
+    name: "zkSync Era",
+    chainId: 324,
+    symbol: "ETH",
+    decimals: 18,
+    explorer: "https://explorer.zksync.io",
+    rpcs: ["https://mainnet.era.zksync.io"],
+  },
+  {
+    id: "sepolia",
+    name: "Sepolia (testnet)",
+    chainId: 11155111,
+    symbol: "ETH",
+    decimals: 18,
+    explorer: "https://sepolia.etherscan.io",
+    rpcs: ["https://ethereum-sepolia-rpc.publicnode.com", "https://rpc.sepolia.org"],
+  },
+];
+
+export const RPC_TIMEOUT_MS = 8000;
+
+// app chain entry from a registry key: { id, rpc, rpcs (fallbacks), symbol, chainId, decimals, explorer }
+export function chainFromRegistry(id) {
+  const r = CHAIN_REGISTRY.find((c) => c.id === id);
+  if (!r) return null;
+  const [rpc, ...rpcs] = r.rpcs;
+  return {
+    id: r.id,
+    rpc,
+    rpcs,
+    symbol: r.symbol,
+    chainId: r.chainId,
+    decimals: r.decimals,
+    explorer: r.explorer,
+  };
+}
+
+// primary + fallbacks, trimmed and de-duplicated
+export function chainRpcs(ch) {
+  const all = [ch.rpc, ...(ch.rpcs || [])].map((u) => (u || "").trim()).filter(Boolean);
+  return Array.from(new Set(all));
+}
+
+export const DEFAULT_PROXY_URL = "http://127.0.0.1:8787";
+
+// chain routed through the read-only proxy (server/rpc-proxy.js); the proxy does the upstream fallback
+export function proxiedChain(ch, proxyUrl = DEFAULT_PROXY_URL) {
+  const base = (proxyUrl || DEFAULT_PROXY_URL).trim().replace(/\/+$/, "");
+  return { ...ch, rpc: `${base}/rpc/${encodeURIComponent(ch.id)}`, rpcs: [] };
+}
+
+export function rpcHost(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url || "";
+  }
+}
+
+export function explorerLink(ch, kind, value) {
+  if (!ch?.explorer || !value) return null;
+  return `${ch.explorer.replace(/\/+$/, "")}/${kind}/${value}`;
+}
+
+// ----- RPC health (per url, module-wide) -----
+const health = new Map(); // url -> { ok, failedAt, error }
+const HEALTH_COOLDOWN_MS = 60_000;
+
+export function markRpc(url, ok, error) {
+  health.set(url, ok ? { ok: true } : { ok: false, failedAt: Date.now(), error });
+}
+
+// healthy (or unknown) endpoints first, recently failed ones last
+export function orderByHealth(urls) {
+  const now = Date.now();
+  const bad = (u) => {
+    const h = health.get(u);
+    return h && !h.ok && now - h.failedAt < HEALTH_COOLDOWN_MS ? 1 : 0;
+  };
+  return [...urls].sort((a, b) => bad(a) - bad(b));
+}
+
+// raw eth_chainId with timeout; returns { chainId, ms }
+export async function probeRpc(url, timeoutMs = RPC_TIMEOUT_MS) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+  const t0 = Date.now();
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "eth_chainId", params: [] }),
+      signal: ctrl.signal,
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const body = await res.json();
+    if (body.error) throw new Error(body.error.message || "rpc error");
+    return { chainId: Number(BigInt(body.result)), ms: Date.now() - t0 };
+  } catch (e) {
+    if (e.name === "AbortError") throw new Error(`timeout after ${timeoutMs}ms`);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// check one url against the expected chainId (if any); never throws
+export async function verifyRpc(url, expectedChainId, timeoutMs = RPC_TIMEOUT_MS) {
+  try {
+    const { chainId, ms } = await probeRpc(url, timeoutMs);
+    if (expectedChainId && chainId !== Number(expectedChainId)) {
+      const error = `chainId mismatch: expected ${expectedChainId}, got ${chainId}`;
+      markRpc(url, false, error);
+      return { url, ok: false, chainId, ms, error };
+    }
+    markRpc(url, true);
+    return { url, ok: true, chainId, ms };
+  } catch (e) {
+    markRpc(url, false, e.message);
+    return { url, ok: false, error: e.message || String(e) };
+  }
+}
+
+// provider bound to a verified chainId (no background network detection)
+export function makeProvider(url, chainId, timeoutMs = RPC_TIMEOUT_MS) {
+  const req = new ethers.FetchRequest(url);
+  req.timeout = timeoutMs;
+  return new ethers.JsonRpcProvider(req, ethers.Network.from(chainId), { staticNetwork: true });
+}
+
+/*
+Yield providers for a chain, healthiest endpoint first.
+Each endpoint is verified (eth_chainId) before it is handed out;
+failures are collected so the caller can report all of them.
+*/
+export async function* providersFor(ch, failures = [], { timeoutMs = RPC_TIMEOUT_MS, signal } = {}) {
+  for (const url of orderByHealth(chainRpcs(ch))) {
+    if (signal?.aborted) return;
+    const v = await verifyRpc(url, ch.chainId, timeoutMs);
+    if (!v.ok) {
+      failures.push(`${url}: ${v.error}`);
+      continue;
+    }
+    yield { url, chainId: v.chainId, provider: makeProvider(url, v.chainId, timeoutMs) };
+  }
+}
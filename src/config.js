@@ -0,0 +1,462 @@
+import { ethers } from "ethers";
+import { isEnsName } from "./ens.js";
+import { PRICE_SOURCE_TYPES } from "./prices.js";
+import { POINT_IN_TIME_MODES } from "./blocks.js";
+import { PRECISION_MODES } from "./amounts.js";
+import { NFT_STANDARDS } from "./nfts.js";
+import { getAdapter } from "./positions.js";
+import { membersText, parseMembers } from "./assets.js";
+import { mergeWallets, normalizeWallet } from "./wallets.js";
+import { ALERT_KINDS, DEFAULT_COOLDOWN_MIN } from "./alerts.js";
+
+/*
+Config file (JSON, versioned) untuk share setup antar orang
+- isi: chains (+ RPC), tokens + NFT collections + posisi DeFi per chain, wallets (+ label/tags/group), ignored tokens,
+  price sources, alert rules, asset map (asset logis lintas chain), settings (interval, timeout, retries, currency, tampilan, proxy URL, gas check)
+- TIDAK ikut: hasil fetch, harga terakhir, alert log, webhook URL (bisa berisi secret)
+- link share: #config=<base64url JSON> atau ?config=<url ke file JSON>
+*/
+
+export const CONFIG_KIND = "evm-tracker-config";
+export const CONFIG_VERSION = 1;
+
+const SETTING_KEYS = ["intervalSec", "fetchTimeoutSec", "fetchRetries", "currency", "displayPrecision", "pointInTime", "proxyUrl", "gasCheck", "historyRetention", "builtinAssets"];
+const CHAIN_NUMBER_KEYS = ["chainId", "decimals", "batchSize", "concurrency", "discoverBlocks", "logChunk", "gasUnits"];
+
+// workspace -> plain JSON object
+export function exportConfig(ws) {
+  return {
+    kind: CONFIG_KIND,
+    version: CONFIG_VERSION,
+    exportedAt: new Date().toISOString(),
+    chains: ws.chains,
+    tokens: ws.tokens,
+    collections: ws.collections,
+    positions: ws.positions,
+    wallets: ws.wallets.map(({ address, label, tags, group }) => ({ address, label, tags, group })),
+    ignoredTokens: ws.ignoredTokens,
+    priceSources: ws.priceSources,
+    alertRules: ws.alertRules,
+    assetMap: ws.assetMap,
+    settings: Object.fromEntries(SETTING_KEYS.map((k) => [k, ws[k]])),
+  };
+}
+
+const isObj = (v) => v && typeof v === "object" && !Array.isArray(v);
+const isUrl = (v) => /^(https?|wss?):\/\/\S+$/i.test(String(v || "").trim());
+
+function checkChain(c) {
+  if (!isObj(c)) return { error: "not an object" };
+  const id = String(c.id ?? "").trim();
+  if (!id) return { error: "missing id" };
+  const rpcs = Array.isArray(c.rpcs) ? c.rpcs.map(String) : [];
+  const bad = [c.rpc, ...rpcs].filter((u) => u && !isUrl(u));
+  if (bad.length) return { error: `invalid RPC URL ${bad[0]}` };
+  if (c.ws && !/^wss?:\/\/\S+$/i.test(String(c.ws).trim())) return { error: `invalid WebSocket URL ${c.ws}` };
+  const out = { id, rpc: String(c.rpc || ""), rpcs, symbol: String(c.symbol || "") };
+  if (c.ws) out.ws = String(c.ws).trim();
+  for (const k of CHAIN_NUMBER_KEYS) {
+    if (c[k] === undefined || c[k] === null || c[k] === "") continue;
+    const n = Number(c[k]);
+    if (!Number.isInteger(n) || n < 0) return { error: `${k} must be a non-negative integer` };
+    out[k] = n;
+  }
+  if (out.chainId === undefined) out.chainId = null;
+  if (c.useProxy) out.useProxy = true;
+  if (c.explorer) {
+    if (!/^https?:\/\//i.test(c.explorer)) return { error: `invalid explorer URL ${c.explorer}` };
+    out.explorer = String(c.explorer);
+  }
+  return { value: out };
+}
+
+function checkToken(t) {
+  if (!isObj(t)) return { error: "not an object" };
+  if (!ethers.isAddress(t.address)) return { error: `invalid address ${t.address}` };
+  const out = { address: ethers.getAddress(t.address), symbol: String(t.symbol || "") };
+  if (t.decimals !== undefined && t.decimals !== null && t.decimals !== "") {
+    const n = Number(t.decimals);
+    if (!Number.isInteger(n) || n < 0 || n > 77) return { error: `invalid decimals ${t.decimals}` };
+    out.decimals = n;
+  }
+  return { value: out };
+}
+
+function checkCollection(c) {
+  if (!isObj(c)) return { error: "not an object" };
+  if (!ethers.isAddress(c.address)) return { error: `invalid address ${c.address}` };
+  if (!NFT_STANDARDS.some((s) => s.id === c.standard)) return { error: `unknown standard ${c.standard}` };
+  return {
+    value: {
+      address: ethers.getAddress(c.address),
+      standard: c.standard,
+      name: String(c.name || ""),
+      tokenIds: String(c.tokenIds || ""),
+    },
+  };
+}
+
+function checkPosition(p) {
+  if (!isObj(p)) return { error: "not an object" };
+  const adapter = getAdapter(p.adapter);
+  if (!adapter) return { error: `unknown adapter ${p.adapter}` };
+  if (!ethers.isAddress(p.address)) return { error: `invalid address ${p.address}` };
+  const out = { adapter: adapter.id, address: ethers.getAddress(p.address), label: String(p.label || "") };
+  for (const f of adapter.fields) if (p[f.id]) out[f.id] = String(p[f.id]);
+  return { value: out };
+}
+
+function checkAsset(a) {
+  if (!isObj(a)) return { error: "not an object" };
+  const id = String(a.id ?? "").trim();
+  if (!id) return { error: "missing id" };
+  const text = Array.isArray(a.members) ? membersText(a.members) : String(a.members || "");
+  const { bad } = parseMembers(text);
+  if (bad.length) return { error: `invalid member ${bad[0]} (use chain:0x… or chain:native)` };
+  return { value: { id, members: text } };
+}
+
+function checkWallet(w) {
+  const n = normalizeWallet(w);
+  const a = String(n.address).trim();
+  if (!a) return { skip: true }; // empty row from "add wallet", exported as is
+  if (!ethers.isAddress(a) && !isEnsName(a)) return { error: `invalid address or ENS name ${a}` };
+  return { value: { address: a, label: String(n.label), tags: n.tags.map(String), group: String(n.group) } };
+}
+
+const isNum = (v) => v !== "" && v !== null && v !== undefined && Number.isFinite(Number(v));
+
+// key "chain|contract" (see prices.js priceKey), fields per source type
+function checkPriceSource(key, src) {
+  const [chain, contract, ...rest] = String(key).split("|");
+  if (!chain || rest.length || !(contract === "native" || ethers.isAddress(contract))) {
+    return { error: "key must be chain|0x… or chain|native" };
+  }
+  if (!isObj(src) || !PRICE_SOURCE_TYPES.some((t) => t.id === src.type)) return { error: `unknown source type ${src?.type}` };
+  const out = { type: src.type };
+  switch (src.type) {
+    case "manual":
+      if (src.price !== "" && src.price != null && !(isNum(src.price) && Number(src.price) >= 0)) {
+        return { error: `invalid price ${src.price}` };
+      }
+      out.price = src.price == null ? "" : String(src.price);
+      break;
+    case "chainlink":
+      if (!ethers.isAddress(src.feed)) return { error: `invalid feed address ${src.feed}` };
+      out.feed = ethers.getAddress(src.feed);
+      break;
+    case "uniswapV2":
+    case "uniswapV3":
+      if (!ethers.isAddress(src.pool)) return { error: `invalid pool address ${src.pool}` };
+      if (src.token && !ethers.isAddress(src.token)) return { error: `invalid token address ${src.token}` };
+      if (src.quotePrice && !(isNum(src.quotePrice) && Number(src.quotePrice) > 0)) {
+        return { error: `invalid quotePrice ${src.quotePrice}` };
+      }
+      out.pool = ethers.getAddress(src.pool);
+      if (src.token) out.token = ethers.getAddress(src.token);
+      if (src.quotePrice) out.quotePrice = String(src.quotePrice);
+      break;
+    case "http":
+      if (!/^https?:\/\/\S+$/i.test(String(src.url || "").trim())) return { error: `invalid URL ${src.url}` };
+      out.url = String(src.url).trim();
+      out.path = String(src.path || "");
+      break;
+  }
+  return { value: out };
+}
+
+function checkAlertRule(r) {
+  if (!isObj(r)) return { error: "not an object" };
+  const id = String(r.id ?? "").trim();
+  if (!id) return { error: "missing id" };
+  if (!ALERT_KINDS.some((k) => k.id === r.kind)) return { error: `unknown kind ${r.kind}` };
+  const target = r.target ?? "wallet";
+  if (target === "wallet") {
+    if (!ethers.isAddress(r.wallet)) return { error: `invalid wallet address ${r.wallet}` };
+  } else if (target === "tag") {
+    if (!String(r.tag ?? "").trim()) return { error: "missing tag" };
+  } else {
+    return { error: `unknown target ${target}` };
+  }
+  const needsThreshold = ["above", "below", "changePct"].includes(r.kind);
+  if (needsThreshold && !(isNum(r.threshold) && Number(r.threshold) >= 0)) return { error: `invalid threshold ${r.threshold}` };
+  const cooldown = r.cooldownMin ?? DEFAULT_COOLDOWN_MIN;
+  if (!(isNum(cooldown) && Number(cooldown) >= 0)) return { error: `invalid cooldownMin ${r.cooldownMin}` };
+  return {
+    value: {
+      id,
+      enabled: r.enabled !== false,
+      target,
+      wallet: target === "wallet" ? ethers.getAddress(r.wallet) : "",
+      tag: target === "tag" ? String(r.tag).trim() : "",
+      asset: String(r.asset ?? "").trim(),
+      kind: r.kind,
+      threshold: needsThreshold ? String(r.threshold).trim() : "",
+      cooldownMin: Number(cooldown),
+    },
+  };
+}
+
+function checkSetting(k, v) {
+  switch (k) {
+    case "intervalSec":
+    case "fetchTimeoutSec":
+    case "fetchRetries":
+      return Number.isFinite(Number(v)) && Number(v) >= 0 ? { value: Number(v) } : { error: "must be a number >= 0" };
+    case "currency":
+      return typeof v === "string" && v.trim() ? { value: v.trim() } : { error: "must be a string" };
+    case "displayPrecision":
+      return isObj(v) && PRECISION_MODES.some((m) => m.id === v.mode)
+        ? { value: { mode: v.mode, digits: Math.min(18, Math.max(0, Number(v.digits) || 0)) } }
+        : { error: "unknown precision mode" };
+    case "gasCheck":
+      return isObj(v) && Number(v.minTxs) >= 1
+        ? { value: { enabled: !!v.enabled, minTxs: Math.floor(Number(v.minTxs)) } }
+        : { error: "minTxs must be >= 1" };
+    case "historyRetention": {
+      const count = Number(v?.maxCount);
+      const days = Number(v?.maxDays);
+      return isObj(v) && Number.isInteger(count) && count >= 0 && Number.isInteger(days) && days >= 0
+        ? { value: { maxCount: count, maxDays: days } }
+        : { error: "maxCount and maxDays must be integers >= 0" };
+    }
+    case "builtinAssets":
+      return { value: !!v };
+    case "proxyUrl":
+      return v === "" || /^https?:\/\/\S+$/i.test(String(v).trim()) ? { value: String(v).trim() } : { error: "must be an http(s) URL" };
+    case "pointInTime":
+      return isObj(v) && POINT_IN_TIME_MODES.some((m) => m.id === v.mode)
+        ? { value: { mode: v.mode, block: String(v.block ?? ""), time: String(v.time ?? "") } }
+        : { error: "unknown point-in-time mode" };
+    default:
+      return { error: "unknown setting" };
+  }
+}
+
+/*
+Validate a parsed config file.
+returns { config, errors: [{ path, message }] }
+- config = null when the file is unusable (not a config / newer version)
+- invalid entries are dropped and reported, the rest is kept
+- blank wallet rows (empty address) are dropped silently
+*/
+export function parseConfig(data) {
+  const errors = [];
+  const err = (path, message) => errors.push({ path, message });
+  if (!isObj(data) || data.kind !== CONFIG_KIND) {
+    err("kind", `not an ${CONFIG_KIND} file`);
+    return { config: null, errors };
+  }
+  const version = Number(data.version);
+  if (!Number.isInteger(version) || version < 1) {
+    err("version", "missing or invalid version");
+    return { config: null, errors };
+  }
+  if (version > CONFIG_VERSION) {
+    err("version", `file version ${version} is newer than supported (${CONFIG_VERSION})`);
+    return { config: null, errors };
+  }
+
+  const list = (key, check) => {
+    if (data[key] === undefined) return undefined;
+    if (!Array.isArray(data[key])) {
+      err(key, "must be an array");
+      return undefined;
+    }
+    const out = [];
+    data[key].forEach((item, i) => {
+      const r = check(item);
+      if (r.error) err(`${key}[${i}]`, r.error);
+      else if (!r.skip) out.push(r.value);
+    });
+    return out;
+  };
+
+  const config = { version };
+  config.chains = list("chains", checkChain);
+  if (config.chains) {
+    const seen = new Set();
+    config.chains = config.chains.filter((c) => {
+      if (!seen.has(c.id)) return seen.add(c.id);
+      err(`chains.${c.id}`, "duplicate chain id, later entry dropped");
+      return false;
+    });
+  }
+  config.wallets = list("wallets", checkWallet);
+
+  // { chainId: [entry] } sections
+  const perChain = (key, check) => {
+    if (data[key] === undefined) return undefined;
+    if (!isObj(data[key])) {
+      err(key, `must be an object { chainId: [${key}] }`);
+      return undefined;
+    }
+    const out = {};
+    for (const [chainId, arr] of Object.entries(data[key])) {
+      if (!Array.isArray(arr)) {
+        err(`${key}.${chainId}`, "must be an array");
+        continue;
+      }
+      out[chainId] = [];
+      arr.forEach((x, i) => {
+        const r = check(x);
+        if (r.error) err(`${key}.${chainId}[${i}]`, r.error);
+        else out[chainId].push(r.value);
+      });
+    }
+    return out;
+  };
+  config.tokens = perChain("tokens", checkToken);
+  config.collections = perChain("collections", checkCollection);
+  config.positions = perChain("positions", checkPosition);
+
+  if (data.ignoredTokens !== undefined) {
+    if (!isObj(data.ignoredTokens)) err("ignoredTokens", "must be an object");
+    else {
+      config.ignoredTokens = Object.fromEntries(
+        Object.entries(data.ignoredTokens).map(([k, v]) => [
+          k,
+          (Array.isArray(v) ? v : []).filter((a) => ethers.isAddress(a)).map((a) => a.toLowerCase()),
+        ])
+      );
+    }
+  }
+
+  if (data.priceSources !== undefined) {
+    if (!isObj(data.priceSources)) err("priceSources", "must be an object");
+    else {
+      config.priceSources = {};
+      for (const [k, src] of Object.entries(data.priceSources)) {
+        const r = checkPriceSource(k, src);
+        if (r.error) err(`priceSources.${k}`, r.error);
+        else config.priceSources[k] = r.value;
+      }
+    }
+  }
+
+  config.assetMap = list("assetMap", checkAsset);
+  config.alertRules = list("alertRules", checkAlertRule);
+
+  if (data.settings !== undefined) {
+    if (!isObj(data.settings)) err("settings", "must be an object");
+    else {
+      config.settings = {};
+      for (const [k, v] of Object.entries(data.settings)) {
+        if (v === undefined || v === null) continue;
+        const r = checkSetting(k, v);
+        if (r.error) err(`settings.${k}`, r.error);
+        else config.settings[k] = r.value;
+      }
+    }
+  }
+  return { config, errors };
+}
+
+// union of two token (or collection / position) lists by address (existing entries win)
+function mergeTokenList(cur = [], inc = []) {
+  const seen = new Set(cur.map((t) => t.address.toLowerCase()));
+  return [...cur, ...inc.filter((t) => !seen.has(t.address.toLowerCase()))];
+}
+
+/*
+Apply a parsed config to a workspace.
+mode "replace": sections in the file replace the workspace ones (missing sections -> base/default)
+mode "merge"  : chains by id (file wins, RPC lists unioned), tokens/wallets/rules unioned, settings from the file
+returns the new workspace data (rows/prices/logs of `ws` are kept in merge mode, cleared in replace mode)
+*/
+export function applyConfig(ws, config, mode, base) {
+  const s = config.settings || {};
+  if (mode === "replace") {
+    return {
+      ...base,
+      ...s,
+      chains: config.chains ?? base.chains,
+      tokens: config.tokens ?? base.tokens,
+      collections: config.collections ?? base.collections,
+      positions: config.positions ?? base.positions,
+      wallets: config.wallets ?? base.wallets,
+      ignoredTokens: config.ignoredTokens ?? base.ignoredTokens,
+      priceSources: config.priceSources ?? base.priceSources,
+      alertRules: config.alertRules ?? base.alertRules,
+      assetMap: config.assetMap ?? base.assetMap,
+    };
+  }
+
+  const chains = ws.chains.map((c) => {
+    const inc = (config.chains || []).find((x) => x.id === c.id);
+    if (!inc) return c;
+    const rpcs = Array.from(new Set([...(inc.rpcs || []), c.rpc, ...(c.rpcs || [])].filter((u) => u && u !== inc.rpc)));
+    return { ...c, ...inc, rpc: inc.rpc || c.rpc, rpcs };
+  });
+  for (const inc of config.chains || []) if (!chains.some((c) => c.id === inc.id)) chains.push(inc);
+
+  const tokens = { ...ws.tokens };
+  for (const [k, list] of Object.entries(config.tokens || {})) tokens[k] = mergeTokenList(tokens[k], list);
+  const collections = { ...ws.collections };
+  for (const [k, list] of Object.entries(config.collections || {})) collections[k] = mergeTokenList(collections[k], list);
+  const positions = { ...ws.positions };
+  for (const [k, list] of Object.entries(config.positions || {})) positions[k] = mergeTokenList(positions[k], list);
+  const ignoredTokens = { ...ws.ignoredTokens };
+  for (const [k, list] of Object.entries(config.ignoredTokens || {})) {
+    ignoredTokens[k] = Array.from(new Set([...(ignoredTokens[k] || []), ...list]));
+  }
+  const ruleIds = new Set(ws.alertRules.map((r) => r.id));
+  // same logical asset in both: members unioned
+  const assetMap = ws.assetMap.map((a) => {
+    const inc = (config.assetMap || []).find((x) => x.id === a.id);
+    if (!inc) return a;
+    const members = parseMembers(`${a.members}, ${inc.members}`).members;
+    const unique = new Map(members.map((m) => [membersText([m]).toLowerCase(), m]));
+    return { ...a, members: membersText(Array.from(unique.values())) };
+  });
+  for (const inc of config.assetMap || []) if (!assetMap.some((a) => a.id === inc.id)) assetMap.push(inc);
+
+  return {
+    ...ws,
+    ...s,
+    chains,
+    tokens,
+    collections,
+    positions,
+    wallets: mergeWallets(ws.wallets, config.wallets || []),
+    ignoredTokens,
+    priceSources: { ...ws.priceSources, ...(config.priceSources || {}) },
+    alertRules: [...ws.alertRules, ...(config.alertRules || []).filter((r) => !ruleIds.has(r.id))],
+    assetMap,
+  };
+}
+
+// ----- share links -----
+function toBase64Url(text) {
+  let bin = "";
+  for (const b of new TextEncoder().encode(text)) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(s) {
+  const bin = atob(s.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(bin, (c) => c.charCodeAt(0)));
+}
+
+// link that opens this config read-only (config in the hash, never sent to a server)
+export function shareLink(config, baseUrl) {
+  return `${baseUrl}#config=${toBase64Url(JSON.stringify(config))}`;
+}
+
+/*
+Config referenced by the current URL, if any.
+- #config=<base64url JSON>
+- ?config=<https URL of a JSON file>
+returns { source, data } | null (throws on a broken link)
+*/
+export async function configFromLocation(loc) {
+  const hash = new URLSearchParams(String(loc.hash || "").replace(/^#/, "")).get("config");
+  if (hash) return { source: "link", data: JSON.parse(fromBase64Url(hash)) };
+  const url = new URLSearchParams(loc.search || "").get("config");
+  if (url) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`config HTTP ${res.status}`);
+    return { source: url, data: await res.json() };
+  }
+  return null;
+}
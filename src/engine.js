@@ -0,0 +1,102 @@
+/*
+Fetch engine primitives
+- limiter  : max N tasks jalan bersamaan (per chain)
+- timeout  : per request
+- retry    : exponential backoff + jitter
+- semua bisa dibatalkan lewat AbortSignal
+*/
+
+export const DEFAULT_CONCURRENCY = 4;
+export const DEFAULT_TIMEOUT_SEC = 15;
+export const DEFAULT_RETRIES = 2;
+
+export class AbortedError extends Error {
+  constructor() {
+    super("cancelled");
+    this.name = "AbortedError";
+  }
+}
+
+export function throwIfAborted(signal) {
+  if (signal?.aborted) throw new AbortedError();
+}
+
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new AbortedError());
+    const t = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(t);
+      reject(new AbortedError());
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// reject after `ms` or on abort, whichever comes first (the request itself keeps running)
+export function withTimeout(promise, ms, signal) {
+  if (!ms && !signal) return promise;
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new AbortedError());
+    const t = ms ? setTimeout(() => done(reject, new Error(`timeout after ${ms}ms`)), ms) : null;
+    const onAbort = () => done(reject, new AbortedError());
+    function done(fn, v) {
+      if (t) clearTimeout(t);
+      signal?.removeEventListener("abort", onAbort);
+      fn(v);
+    }
+    signal?.addEventListener("abort", onAbort, { once: true });
+    promise.then(
+      (v) => done(resolve, v),
+      (e) => done(reject, e)
+    );
+  });
+}
+
+/*
+fn(attempt) is retried on failure: 0.5s, 1s, 2s, ... (+ jitter).
+Contract reverts are not retried, they will not change.
+*/
+export async function withRetry(fn, { retries = DEFAULT_RETRIES, baseDelayMs = 500, signal } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    throwIfAborted(signal);
+    try {
+      return await fn(attempt);
+    } catch (e) {
+      if (e instanceof AbortedError || attempt >= retries || e?.code === "CALL_EXCEPTION") throw e;
+      await sleep(baseDelayMs * 2 ** attempt * (0.75 + Math.random() * 0.5), signal);
+    }
+  }
+}
+
+// limit(fn) -> runs fn when one of the `n` slots is free
+export function createLimiter(n = DEFAULT_CONCURRENCY) {
+  const max = Math.max(1, Number(n) || DEFAULT_CONCURRENCY);
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= max || !queue.length) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+  return (fn) =>
+    new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      next();
+    });
+}
+
+// one request: timeout + retry + abort
+export function request(fn, { timeoutMs, retries, signal } = {}) {
+  return withRetry(() => withTimeout(Promise.resolve().then(fn), timeoutMs, signal), { retries, signal });
+}
@@ -0,0 +1,53 @@
+import { ethers } from "ethers";
+import { chainFromRegistry, providersFor } from "./chains.js";
+
+/*
+ENS helpers
+- forward: name -> address (provider.resolveName, incl. CCIP-read resolvers)
+- reverse: banyak address sekaligus lewat ReverseRecords.getNames (mainnet)
+ENS registry ada di Ethereum mainnet -> pakai chain workspace dengan chainId 1,
+kalau tidak ada pakai RPC Ethereum dari registry.
+*/
+
+const REVERSE_RECORDS = "0x3671aE578E63FdF66ad4F3E12CC0c0d71Ac7510C";
+const REVERSE_RECORDS_ABI = ["function getNames(address[] addresses) view returns (string[] r)"];
+
+// "vitalik.eth", "name.base.eth", "foo.xyz" -> true; hex addresses -> false
+export function isEnsName(v) {
+  const s = String(v || "").trim().toLowerCase();
+  if (!s || s.startsWith("0x")) return false;
+  return /^([a-z0-9_-]+\.)+[a-z0-9-]{2,}$/.test(s);
+}
+
+export function ensChain(chains) {
+  return chains.find((c) => Number(c.chainId) === 1) || chainFromRegistry("ethereum");
+}
+
+// first healthy mainnet provider (null if every endpoint failed)
+export async function ensProvider(chains) {
+  for await (const { provider } of providersFor(ensChain(chains))) return provider;
+  return null;
+}
+
+// name -> checksummed address or null
+export async function resolveEns(provider, name) {
+  const addr = await provider.resolveName(String(name).trim());
+  return addr ? ethers.getAddress(addr) : null;
+}
+
+/*
+Reverse names for many addresses (forward-verified by the contract).
+returns { lowercaseAddress: name | null }
+*/
+export async function reverseNames(provider, addresses, batch = 100) {
+  const rr = new ethers.Contract(REVERSE_RECORDS, REVERSE_RECORDS_ABI, provider);
+  const out = {};
+  for (let i = 0; i < addresses.length; i += batch) {
+    const part = addresses.slice(i, i + batch);
+    const names = await rr.getNames(part);
+    part.forEach((a, j) => {
+      out[a.toLowerCase()] = names[j] || null;
+    });
+  }
+  return out;
+}
@@ -0,0 +1,76 @@
+import { dec, round, toExact } from "./amounts.js";
+import { assetType } from "./table.js";
+
+/*
+Export helpers bersama (App.jsx + CLI)
+- CSV: header plain, setiap value di-quote
+- exact strings: balance apa adanya, value dibulatkan 2 desimal
+- balanceHeader/balanceRecord: kolom export balance yang sama di app dan CLI
+*/
+
+const csvCell = (v) => `"${String(v ?? "").replace(/"/g, '""')}"`;
+export function toCsv(header, records) {
+  return header.join(",") + "\n" + records.map((rec) => rec.map(csvCell).join(",")).join("\n");
+}
+
+export function fileStamp() {
+  return new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+}
+
+export const exact = (x) => (x == null ? "" : toExact(dec(x)));
+export const exact2 = (x) => (x == null ? "" : toExact(round(dec(x), 2)));
+
+export function balanceHeader(currency) {
+  return [
+    "chain",
+    "wallet",
+    "label",
+    "tags",
+    "group",
+    "asset",
+    "asset_type",
+    "contract",
+    "decimals",
+    "balance",
+    "raw",
+    "token_ids",
+    "position",
+    `price_${currency}`,
+    `value_${currency}`,
+    `wallet_total_${currency}`,
+    "block",
+    "block_time",
+    "confirmed_block",
+    "gas_status",
+    "gas_top_up",
+    "error",
+  ];
+}
+
+// ctx: { infoOf(row), priceFor(row), valueOf(row), walletTotal: Map(wallet -> Dec) }
+export function balanceRecord(r, { infoOf, priceFor, valueOf, walletTotal }) {
+  return [
+    r.chain,
+    r.wallet,
+    infoOf(r).label,
+    infoOf(r).tags.join(", "),
+    infoOf(r).group,
+    r.asset,
+    r.wallet ? assetType(r) : "",
+    r.contract,
+    r.decimals ?? "",
+    exact(r.balance),
+    r.raw ?? "",
+    r.tokenIds ?? "",
+    r.parent ?? "",
+    priceFor(r) ?? "",
+    exact2(valueOf(r)),
+    exact2(walletTotal.get(r.wallet)),
+    r.block ?? "",
+    r.blockTime ?? "",
+    r.confirmedBlock ?? "",
+    r.gasStatus ?? "",
+    r.gasStatus && r.gasStatus !== "ok" ? r.gasShortfall : "",
+    r.error ?? "",
+  ];
+}
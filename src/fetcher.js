@@ -0,0 +1,499 @@
+import { ethers } from "ethers";
+import { chainRpcs, markRpc, providersFor } from "./chains.js";
+import { collectionMeta, ownedIdsText, parseTokenIds, readCollection } from "./nfts.js";
+import { fromRaw, toExact } from "./amounts.js";
+import { archiveErrorText, isArchiveError, resolvePointInTime } from "./blocks.js";
+import { adapterContext, getAdapter } from "./positions.js";
+import { ensProvider, isEnsName, resolveEns } from "./ens.js";
+import { priceKey, resolvePrice } from "./prices.js";
+import { AbortedError, DEFAULT_CONCURRENCY, DEFAULT_TIMEOUT_SEC, createLimiter, request, throwIfAborted } from "./engine.js";
+import { feePerGas, gasFields } from "./gas.js";
+import { DEFAULT_BATCH_SIZE, ethBalanceCall, hasMulticall, multicall } from "./multicall.js";
+
+/*
+Fetch balances tanpa React (dipakai App.jsx dan CLI cli/snapshot.js)
+- wallet (hex / ENS) -> targets, lalu per chain: rotasi RPC, Multicall3 atau per-call, NFT, posisi
+- harga dari price source per chain + gas readiness di native rows
+- semua state lewat objek `run`:
+  {
+    opts: { signal, timeoutMs, retries },      engine.js request()
+    pointInTime, gas,                         null = latest / tanpa gas check
+    tokens, collections, positions,           section workspace { chainId: [entry] }
+    priceSources, currency,
+    emit(ch, rows, walletCount), resetChain(ch), chainDone()   progress hooks
+  }
+  fetchChain() menambah limit (concurrency per chain) + blockTag
+*/
+
+export const ERC20_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+  "function balanceOf(address) view returns (uint256)",
+];
+const erc20Iface = new ethers.Interface(ERC20_ABI);
+
+export const errText = (e) => e?.shortMessage || e?.message || String(e);
+
+// every ENS entry -> Map(lowercaseName -> address | null); chains with their RPCs as used for reads
+export async function resolveEnsWallets(wallets, chains) {
+  const names = Array.from(new Set(wallets.map((w) => w.address.trim()).filter(isEnsName)));
+  const map = new Map();
+  if (!names.length) return map;
+  const provider = await ensProvider(chains);
+  for (const n of names) {
+    try {
+      map.set(n.toLowerCase(), provider ? await resolveEns(provider, n) : null);
+    } catch {
+      map.set(n.toLowerCase(), null);
+    }
+  }
+  return map;
+}
+
+// wallet entries -> { list: [checksum], bad: [{ wallet, error }] }, once per fetch
+export function walletTargets(wallets, nameMap) {
+  const list = new Set();
+  const bad = [];
+  for (const { address } of wallets) {
+    const w = address.trim();
+    if (!w) continue;
+    if (isEnsName(w)) {
+      const a = nameMap.get(w.toLowerCase());
+      if (a) list.add(a);
+      else bad.push({ wallet: w, error: "ENS name not resolved" });
+      continue;
+    }
+    try {
+      list.add(ethers.getAddress(w));
+    } catch {
+      bad.push({ wallet: w, error: "invalid address" });
+    }
+  }
+  return { list: Array.from(list), bad };
+}
+
+export function badWalletRows(ch, targets) {
+  return targets.bad.map((b) => ({
+    chain: ch.id,
+    wallet: b.wallet,
+    asset: ch.symbol || "native",
+    contract: "native",
+    balance: null,
+    error: b.error,
+  }));
+}
+
+// ----- Row builders (res: { ok, value } | { ok: false, error }) -----
+export function nativeRow(ch, wallet, res) {
+  return {
+    chain: ch.id,
+    wallet,
+    asset: ch.symbol || "native",
+    contract: "native",
+    balance: res.ok ? toExact(fromRaw(res.value, ch.decimals ?? 18)) : null,
+    ...(res.ok ? { raw: res.value.toString(), decimals: ch.decimals ?? 18 } : {}),
+    ...(res.ok ? {} : { error: `native error: ${res.error}` }),
+  };
+}
+export function tokenRow(ch, wallet, t, meta, res) {
+  if (!res.ok) {
+    return {
+      chain: ch.id,
+      wallet,
+      asset: t.symbol || t.address.slice(0, 6),
+      contract: t.address,
+      balance: null,
+      error: `token error: ${res.error}`,
+    };
+  }
+  return {
+    chain: ch.id,
+    wallet,
+    asset: meta.symbol,
+    contract: t.address,
+    balance: toExact(fromRaw(res.value, meta.decimals)),
+    raw: res.value.toString(),
+    decimals: meta.decimals,
+  };
+}
+export function nftRow(ch, wallet, c, meta, res) {
+  const base = { chain: ch.id, wallet, asset: meta.name, contract: c.address, assetType: c.standard };
+  if (!res.ok) return { ...base, balance: null, error: `nft error: ${res.error}` };
+  const count = res.value.count.toString();
+  return { ...base, balance: count, raw: count, decimals: 0, tokenIds: ownedIdsText(c, res.value) };
+}
+// position row + one row per underlying asset (parent = position contract)
+export function positionRows(ch, wallet, p, res) {
+  const adapter = getAdapter(p.adapter);
+  const base = { chain: ch.id, wallet, contract: p.address, assetType: "position", adapter: p.adapter };
+  if (!res.ok) return [{ ...base, asset: p.label || adapter?.label || p.adapter, balance: null, error: `position error: ${res.error}` }];
+  const v = res.value;
+  const amount = (raw, decimals) => ({ balance: toExact(fromRaw(raw, decimals)), raw: raw.toString(), decimals });
+  return [
+    { ...base, asset: p.label || v.symbol, ...amount(v.raw, v.decimals) },
+    ...v.underlying.map((u) => ({
+      chain: ch.id,
+      wallet,
+      asset: u.role ? `${u.symbol} (${u.role})` : u.symbol,
+      contract: u.address,
+      parent: p.address,
+      assetType: "underlying",
+      ...amount(u.raw, u.decimals),
+    })),
+  ];
+}
+
+// decimals/symbol once per token per chain (only what is missing)
+export async function tokenMetaFor(ch, provider, tlist, useMulticall, run) {
+  const meta = tlist.map((t) => ({
+    decimals: t.decimals ?? 18,
+    symbol: t.symbol || t.address.slice(0, 6),
+  }));
+  const wanted = [];
+  tlist.forEach((t, i) => {
+    if (!ethers.isAddress(t.address)) return;
+    if (t.decimals === undefined || t.decimals === null) wanted.push([i, "decimals"]);
+    if (!t.symbol) wanted.push([i, "symbol"]);
+  });
+  if (!wanted.length) return meta;
+  const apply = (i, key, value) => {
+    meta[i][key] = key === "decimals" ? Number(value) : value;
+  };
+  if (useMulticall) {
+    const calls = wanted.map(([i, fn]) => ({ target: tlist[i].address, iface: erc20Iface, fn }));
+    const res = await multicall(provider, calls, { batchSize: ch.batchSize || DEFAULT_BATCH_SIZE, ...run.opts });
+    res.forEach((r, k) => r.ok && apply(wanted[k][0], wanted[k][1], r.value));
+  } else {
+    await Promise.all(
+      wanted.map(([i, fn]) =>
+        run.limit(() =>
+          request(() => new ethers.Contract(tlist[i].address, ERC20_ABI, provider)[fn](), run.opts)
+            .then((v) => apply(i, fn, v))
+            .catch((e) => {
+              if (e instanceof AbortedError) throw e;
+            })
+        )
+      )
+    );
+  }
+  return meta;
+}
+
+// One RPC call per wallet/token (chains without Multicall3); wallets run in parallel
+async function fetchWalletSequential(ch, provider, w, tlist, meta, run) {
+  const overrides = run.blockTag == null ? {} : { blockTag: run.blockTag };
+  const call = (fn) =>
+    request(fn, run.opts).then(
+      (value) => ({ ok: true, value }),
+      (e) => {
+        if (e instanceof AbortedError) throw e;
+        return { ok: false, error: errText(e) };
+      }
+    );
+  const out = [nativeRow(ch, w, await call(() => provider.getBalance(w, run.blockTag)))];
+  for (let i = 0; i < tlist.length; i++) {
+    const t = tlist[i];
+    const res = ethers.isAddress(t.address)
+      ? await call(() => new ethers.Contract(t.address, ERC20_ABI, provider).balanceOf(w, overrides))
+      : { ok: false, error: "invalid token address" };
+    out.push(tokenRow(ch, w, t, meta[i], res));
+  }
+  return out;
+}
+
+// aggregate3 for a group of wallets: [native, token0, token1, ...] per wallet
+async function fetchWalletGroupMulticall(ch, provider, group, tlist, meta, run) {
+  const calls = [];
+  for (const w of group) {
+    calls.push(ethBalanceCall(w));
+    for (const t of tlist) {
+      if (ethers.isAddress(t.address)) {
+        calls.push({ target: t.address, iface: erc20Iface, fn: "balanceOf", args: [w] });
+      }
+    }
+  }
+  const res = await multicall(provider, calls, {
+    batchSize: ch.batchSize || DEFAULT_BATCH_SIZE,
+    blockTag: run.blockTag,
+    ...run.opts,
+  });
+
+  const out = [];
+  let k = 0;
+  for (const w of group) {
+    out.push(nativeRow(ch, w, res[k++]));
+    tlist.forEach((t, i) => {
+      const r = ethers.isAddress(t.address) ? res[k++] : { ok: false, error: "invalid token address" };
+      out.push(tokenRow(ch, w, t, meta[i], r));
+    });
+  }
+  return out;
+}
+
+// NFT collections: metadata once per collection, then every wallet (through the chain limiter)
+async function fetchCollections(ch, provider, list, run) {
+  const clist = (run.collections[ch.id] || [])
+    .filter((c) => ethers.isAddress(c.address))
+    .map((c) => ({ ...c, ids: parseTokenIds(c.tokenIds) }));
+  if (!clist.length || !list.length) return [];
+  const opts = { ...run.opts, blockTag: run.blockTag };
+  const metas = await Promise.all(clist.map((c) => run.limit(() => collectionMeta(provider, c, opts))));
+  const parts = await Promise.all(
+    list.map((w) =>
+      run.limit(async () => {
+        const out = [];
+        for (let i = 0; i < clist.length; i++) {
+          const res = await readCollection(provider, clist[i], metas[i], w, opts).then(
+            (value) => ({ ok: true, value }),
+            (e) => {
+              if (e instanceof AbortedError) throw e;
+              return { ok: false, error: errText(e) };
+            }
+          );
+          out.push(nftRow(ch, w, clist[i], metas[i], res));
+        }
+        run.emit(ch, out, 0);
+        return out;
+      })
+    )
+  );
+  return parts.flat();
+}
+
+// DeFi positions: every wallet x position through its adapter (positions.js registry)
+async function fetchPositions(ch, provider, list, run) {
+  const plist = (run.positions[ch.id] || []).filter((p) => ethers.isAddress(p.address));
+  if (!plist.length || !list.length) return [];
+  const opts = { ...run.opts, blockTag: run.blockTag };
+  const tokenCache = new Map();
+  const parts = await Promise.all(
+    list.map((w) =>
+      run.limit(async () => {
+        const out = [];
+        for (const p of plist) {
+          const adapter = getAdapter(p.adapter);
+          const res = adapter
+            ? await adapter.read(adapterContext(provider, p, w, opts, tokenCache)).then(
+                (value) => ({ ok: true, value }),
+                (e) => {
+                  if (e instanceof AbortedError) throw e;
+                  return { ok: false, error: errText(e) };
+                }
+              )
+            : { ok: false, error: `unknown adapter "${p.adapter}"` };
+          out.push(...positionRows(ch, w, p, res));
+        }
+        run.emit(ch, out, 0);
+        return out;
+      })
+    )
+  );
+  return parts.flat();
+}
+
+// all wallets of one chain through one provider; rows are emitted as groups finish
+async function fetchChainWith(ch, provider, targets, run) {
+  const tlist = (run.tokens[ch.id] || []).filter((t) => t.address);
+  // batchSize 0 = multicall off for this chain
+  // Multicall3 must exist at the block being read
+  const useMulticall = ch.batchSize !== 0 && (await hasMulticall(provider, undefined, run.blockTag));
+  const meta = await tokenMetaFor(ch, provider, tlist, useMulticall, run);
+
+  const perGroup = useMulticall
+    ? Math.max(1, Math.floor((ch.batchSize || DEFAULT_BATCH_SIZE) / (1 + tlist.length)))
+    : 1;
+  const groups = [];
+  for (let i = 0; i < targets.list.length; i += perGroup) groups.push(targets.list.slice(i, i + perGroup));
+
+  const parts = await Promise.all(
+    groups.map((group) =>
+      run.limit(async () => {
+        const rowsOut = useMulticall
+          ? await fetchWalletGroupMulticall(ch, provider, group, tlist, meta, run)
+          : (await Promise.all(group.map((w) => fetchWalletSequential(ch, provider, w, tlist, meta, run)))).flat();
+        run.emit(ch, rowsOut, group.length);
+        return rowsOut;
+      })
+    )
+  );
+  const nftRows = await fetchCollections(ch, provider, targets.list, run);
+  const posRows = await fetchPositions(ch, provider, targets.list, run);
+  return [...badWalletRows(ch, targets), ...parts.flat(), ...nftRows, ...posRows];
+}
+
+/*
+Some wallet/asset pairs of one chain (live re-reads), through the same multicall / limiter path as a full run.
+pairs: [{ wallet, contract: "native" | address }]
+run: { opts, limit, blockTag, tokens } (tokens[ch.id] gives symbol/decimals; missing ones are read)
+returns one balance row per pair
+*/
+export async function fetchPairs(ch, provider, pairs, run) {
+  const known = new Map((run.tokens[ch.id] || []).map((t) => [t.address.toLowerCase(), t]));
+  const tlist = [];
+  for (const p of pairs) {
+    const k = p.contract.toLowerCase();
+    if (p.contract === "native" || tlist.some((t) => t.address.toLowerCase() === k)) continue;
+    tlist.push(known.get(k) || { address: p.contract });
+  }
+  const useMulticall = ch.batchSize !== 0 && (await hasMulticall(provider, undefined, run.blockTag));
+  const meta = await tokenMetaFor(ch, provider, tlist, useMulticall, run);
+  const tokenOf = (p) => tlist.findIndex((t) => t.address.toLowerCase() === p.contract.toLowerCase());
+
+  let res;
+  if (useMulticall) {
+    const calls = pairs.map((p) =>
+      p.contract === "native"
+        ? ethBalanceCall(p.wallet)
+        : { target: p.contract, iface: erc20Iface, fn: "balanceOf", args: [p.wallet] }
+    );
+    res = await multicall(provider, calls, { batchSize: ch.batchSize || DEFAULT_BATCH_SIZE, blockTag: run.blockTag, ...run.opts });
+  } else {
+    const overrides = run.blockTag == null ? {} : { blockTag: run.blockTag };
+    res = await Promise.all(
+      pairs.map((p) =>
+        run.limit(() =>
+          request(
+            () =>
+              p.contract === "native"
+                ? provider.getBalance(p.wallet, run.blockTag)
+                : new ethers.Contract(p.contract, ERC20_ABI, provider).balanceOf(p.wallet, overrides),
+            run.opts
+          ).then(
+            (value) => ({ ok: true, value }),
+            (e) => {
+              if (e instanceof AbortedError) throw e;
+              return { ok: false, error: errText(e) };
+            }
+          )
+        )
+      )
+    );
+  }
+  return pairs.map((p, k) => {
+    if (p.contract === "native") return nativeRow(ch, p.wallet, res[k]);
+    const i = tokenOf(p);
+    return tokenRow(ch, p.wallet, tlist[i], meta[i], res[k]);
+  });
+}
+
+// rotate through the chain's RPCs until one answers with usable data
+export async function fetchChain(ch, targets, run, newPrices) {
+  const badWallets = new Set(targets.bad.map((b) => b.wallet));
+  const failures = [];
+  let chainRows = null;
+  let chainProvider = null;
+  let at = null; // { number, timestamp } in point-in-time mode, same on every RPC of the chain
+  let noArchive = 0;
+  for await (const { url, provider } of providersFor(ch, failures, run.opts)) {
+    if (run.pointInTime) {
+      try {
+        at = at || (await resolvePointInTime(provider, run.pointInTime, run.opts));
+        // cheap read at that block: a pruned node fails here instead of on every balance
+        await request(() => provider.getBalance(ethers.ZeroAddress, at.number), run.opts);
+      } catch (e) {
+        if (e instanceof AbortedError) throw e;
+        // not an RPC health problem, just a pruned node -> try the next one
+        if (isArchiveError(e)) noArchive++;
+        failures.push(`${url}: ${isArchiveError(e) ? archiveErrorText(at?.number) : errText(e)}`);
+        continue;
+      }
+    }
+    // latest mode: block the balances are (at least) confirmed at
+    const head = at ? null : await request(() => provider.getBlockNumber(), run.opts).catch((e) => {
+      if (e instanceof AbortedError) throw e;
+      return null;
+    });
+    chainProvider = provider;
+    run.resetChain(ch);
+    const limit = createLimiter(ch.concurrency || DEFAULT_CONCURRENCY);
+    const part = await fetchChainWith(ch, provider, targets, { ...run, limit, blockTag: at?.number });
+    // every read failed -> endpoint is probably broken, rotate to the next one
+    const reads = part.filter((r) => !badWallets.has(r.wallet));
+    const broken = reads.length > 0 && reads.every((r) => r.error);
+    const stamp = at
+      ? { block: at.number, blockTime: new Date(at.timestamp * 1000).toISOString() }
+      : head == null
+        ? {}
+        : { confirmedBlock: head };
+    chainRows = part.map((r) => ({
+      ...r,
+      ...(at && r.error && isArchiveError({ message: r.error }) ? { error: archiveErrorText(at.number) } : {}),
+      ...stamp,
+      rpc: url,
+    }));
+    if (!broken) break;
+    markRpc(url, false, reads[0].error);
+    failures.push(`${url}: ${reads[0].error}`);
+  }
+  throwIfAborted(run.opts.signal);
+  run.chainDone();
+  if (!chainRows) {
+    const what = noArchive && noArchive === failures.length ? "archive node needed" : "RPC connect error";
+    return [{ chain: ch.id, error: `${what}: ${failures.join(" | ")}` }];
+  }
+  await resolveChainPrices(ch, chainProvider, chainRows, newPrices, run);
+  return run.gas ? stampGas(ch, chainProvider, chainRows, run) : chainRows;
+}
+
+// gas readiness: fee data once per chain, status fields on the native rows
+export async function stampGas(ch, provider, chainRows, run) {
+  const isNative = (r) => r.wallet && r.contract === "native";
+  try {
+    const fee = await feePerGas(provider, run.opts);
+    return chainRows.map((r) =>
+      isNative(r) ? { ...r, ...gasFields(r, fee, ch.gasUnits, run.gas.minTxs, ch.decimals ?? 18) } : r
+    );
+  } catch (e) {
+    if (e instanceof AbortedError) throw e;
+    return chainRows.map((r) => (isNative(r) ? { ...r, gasError: `fee data: ${errText(e)}` } : r));
+  }
+}
+
+// resolve configured (non-manual) sources for one chain; provider = the one that answered
+export async function resolveChainPrices(ch, provider, chainRows, into, run) {
+  for (const [key, src] of Object.entries(run.priceSources || {})) {
+    if (!key.startsWith(`${ch.id}|`) || src.type === "manual") continue;
+    const contract = key.slice(ch.id.length + 1);
+    const sample = chainRows.find((r) => priceKey(r.chain, r.contract) === key);
+    try {
+      const price = await resolvePrice(src, {
+        provider,
+        contract: contract === "native" ? null : contract,
+        symbol: sample?.asset || "",
+        currency: run.currency,
+        opts: run.opts,
+      });
+      into[key] = { price, at: new Date().toISOString() };
+    } catch (e) {
+      if (e instanceof AbortedError) throw e;
+      into[key] = { price: null, error: e.shortMessage || e.message || String(e) };
+    }
+  }
+}
+
+/*
+One complete run without progress reporting (CLI, scripts).
+ws: workspace data (chains already through proxiedChain when they use the proxy)
+returns { rows, prices, targets } (rows in chain order, like the app)
+*/
+export async function fetchBalances(ws, { signal, pointInTime = null } = {}) {
+  const run = {
+    opts: { signal, timeoutMs: (ws.fetchTimeoutSec || DEFAULT_TIMEOUT_SEC) * 1000, retries: ws.fetchRetries },
+    pointInTime,
+    gas: ws.gasCheck?.enabled && !pointInTime ? ws.gasCheck : null,
+    tokens: ws.tokens || {},
+    collections: ws.collections || {},
+    positions: ws.positions || {},
+    priceSources: ws.priceSources || {},
+    currency: ws.currency,
+    emit() {},
+    resetChain() {},
+    chainDone() {},
+  };
+  const targets = walletTargets(ws.wallets, await resolveEnsWallets(ws.wallets, ws.chains));
+  throwIfAborted(signal);
+  const active = ws.chains.filter((ch) => chainRpcs(ch).length && ch.id);
+  const prices = {};
+  const perChain = await Promise.all(active.map((ch) => fetchChain(ch, targets, run, prices)));
+  return { rows: perChain.flat(), prices, targets };
+}
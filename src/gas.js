@@ -0,0 +1,82 @@
+import { add, dec, fromRaw, toExact } from "./amounts.js";
+import { request } from "./engine.js";
+
+/*
+Gas readiness: cukup native coin untuk bayar tx?
+- biaya 1 tx = gas units (per chain, default 100k) x maxFeePerGas (atau gasPrice) dari getFeeData()
+- ok    : bisa bayar >= minTxs tx
+- low   : bisa bayar >= 1 tx tapi < minTxs
+- empty : tidak cukup untuk 1 tx
+- shortfall = minTxs x biaya - balance (yang perlu di-top-up)
+*/
+
+export const DEFAULT_GAS_UNITS = 100000;
+export const DEFAULT_MIN_TXS = 5;
+
+export const GAS_STATUSES = [
+  { id: "ok", label: "OK" },
+  { id: "low", label: "low" },
+  { id: "empty", label: "empty" },
+];
+
+/*
+Current fee per gas unit (wei) for one chain.
+returns { feePerGas: bigint, source: "maxFeePerGas" | "gasPrice" }
+*/
+export async function feePerGas(provider, opts = {}) {
+  const fd = await request(() => provider.getFeeData(), opts);
+  if (fd.maxFeePerGas != null) return { feePerGas: fd.maxFeePerGas, source: "maxFeePerGas" };
+  if (fd.gasPrice != null) return { feePerGas: fd.gasPrice, source: "gasPrice" };
+  throw new Error("RPC returned no fee data");
+}
+
+// balance/cost in wei -> { status, txs, shortfall } (all bigint but status)
+export function gasStatus(balance, costPerTx, minTxs = DEFAULT_MIN_TXS) {
+  const min = BigInt(Math.max(1, Math.floor(Number(minTxs) || DEFAULT_MIN_TXS)));
+  if (costPerTx <= 0n) return { status: "ok", txs: null, shortfall: 0n };
+  const txs = balance / costPerTx;
+  const need = min * costPerTx - balance;
+  return {
+    status: txs >= min ? "ok" : txs >= 1n ? "low" : "empty",
+    txs,
+    shortfall: need > 0n ? need : 0n,
+  };
+}
+
+/*
+Gas fields for a native balance row (row.raw in wei).
+fee: { feePerGas } from feePerGas(), units = expected gas per tx
+returns { gasStatus, gasTxs, gasCost, gasShortfall } (exact decimal strings) or {} when the row has no balance
+*/
+export function gasFields(row, fee, units, minTxs, decimals = 18) {
+  if (row.error || row.raw == null) return {};
+  const cost = BigInt(units || DEFAULT_GAS_UNITS) * fee.feePerGas;
+  const g = gasStatus(BigInt(row.raw), cost, minTxs);
+  return {
+    gasStatus: g.status,
+    gasTxs: g.txs == null ? "" : g.txs.toString(),
+    gasCost: toExact(fromRaw(cost, decimals)),
+    gasShortfall: toExact(fromRaw(g.shortfall, decimals)),
+  };
+}
+
+/*
+Per chain summary of native rows with gas fields.
+returns [{ chain, counts: { ok, low, empty }, need, shortfall: Dec | null, cost }]
+*/
+export function gasSummary(rows) {
+  const byChain = new Map();
+  for (const r of rows) {
+    if (!r.gasStatus) continue;
+    if (!byChain.has(r.chain)) {
+      byChain.set(r.chain, { chain: r.chain, counts: { ok: 0, low: 0, empty: 0 }, need: 0, shortfall: null, cost: r.gasCost });
+    }
+    const s = byChain.get(r.chain);
+    s.counts[r.gasStatus]++;
+    if (r.gasStatus !== "ok") {
+      s.need++;
+      s.shortfall = add(s.shortfall, dec(r.gasShortfall));
+    }
+  }
+  return Array.from(byChain.values());
+}
@@ -0,0 +1,155 @@
+import { dec, toNumber } from "./amounts.js";
+
+/*
+Balance history (IndexedDB)
+- 1 snapshot per refresh: { id, workspace, ts, rows }
+- rowKey = chain|wallet|contract -> dipakai untuk delta & chart
+- retention per workspace (max jumlah / max umur), di-prune setiap save
+- app hanya memuat metadata { id, ts } (index workspace+ts, key cursor); rows dibaca per snapshot saat perlu
+*/
+
+const DB_NAME = "evm_tracker";
+const DB_VERSION = 2;
+const STORE = "snapshots";
+const BY_TIME = "workspace_ts"; // [workspace, ts]
+
+// 0 = no limit
+export const DEFAULT_RETENTION = { maxCount: 500, maxDays: 90 };
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      const store = db.objectStoreNames.contains(STORE)
+        ? req.transaction.objectStore(STORE)
+        : db.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+      if (!store.indexNames.contains("workspace")) store.createIndex("workspace", "workspace");
+      if (!store.indexNames.contains(BY_TIME)) store.createIndex(BY_TIME, ["workspace", "ts"]);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      dbPromise = null;
+      reject(req.error);
+    };
+  });
+  return dbPromise;
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function tx(mode, fn) {
+  const db = await openDb();
+  const t = db.transaction(STORE, mode);
+  const result = await fn(t.objectStore(STORE));
+  await new Promise((resolve, reject) => {
+    t.oncomplete = resolve;
+    t.onerror = () => reject(t.error);
+    t.onabort = () => reject(t.error);
+  });
+  return result;
+}
+
+export function rowKey(r) {
+  // underlying rows of a position carry the position contract in `parent`
+  return `${r.chain}|${r.wallet}|${r.parent ? `${r.parent}>` : ""}${r.contract}`;
+}
+
+const workspaceRange = (workspace) => IDBKeyRange.bound([workspace, ""], [workspace, "\uffff"]);
+
+// walk a cursor over one workspace's snapshots, oldest first; visit(cursor) per entry
+function walk(store, workspace, keysOnly, visit) {
+  return new Promise((resolve, reject) => {
+    const index = store.index(BY_TIME);
+    const req = keysOnly ? index.openKeyCursor(workspaceRange(workspace)) : index.openCursor(workspaceRange(workspace));
+    req.onsuccess = () => {
+      const c = req.result;
+      if (!c) return resolve();
+      visit(c);
+      c.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// new snapshot, then the workspace is pruned to `retention`; returns the new id
+export async function saveSnapshot(workspace, ts, rows, retention = DEFAULT_RETENTION) {
+  const id = await tx("readwrite", (store) => request(store.add({ workspace, ts, rows })));
+  await pruneSnapshots(workspace, retention, ts);
+  return id;
+}
+
+// drop the oldest snapshots beyond maxCount and the ones older than maxDays; returns how many were removed
+export async function pruneSnapshots(workspace, { maxCount, maxDays } = DEFAULT_RETENTION, now = new Date().toISOString()) {
+  const meta = await loadSnapshotMeta(workspace);
+  const overflow = maxCount > 0 ? meta.length - maxCount : 0;
+  const cutoff = maxDays > 0 ? new Date(Date.parse(now) - maxDays * 86400000).toISOString() : "";
+  const drop = meta.filter((s, i) => i < overflow || s.ts < cutoff);
+  if (drop.length) await tx("readwrite", (store) => Promise.all(drop.map((s) => request(store.delete(s.id)))));
+  return drop.length;
+}
+
+// [{ id, ts }] of a workspace, oldest first, without reading the rows
+export async function loadSnapshotMeta(workspace) {
+  const out = [];
+  await tx("readonly", (store) => walk(store, workspace, true, (c) => out.push({ id: c.primaryKey, ts: c.key[1] })));
+  return out;
+}
+
+// one full snapshot { id, workspace, ts, rows } or null
+export async function loadSnapshot(id) {
+  return (await tx("readonly", (store) => request(store.get(id)))) ?? null;
+}
+
+// all snapshots of a workspace with their rows, oldest first (exports only)
+export async function loadSnapshots(workspace) {
+  const out = [];
+  await tx("readonly", (store) => walk(store, workspace, false, (c) => out.push(c.value)));
+  return out;
+}
+
+export async function clearSnapshots(workspace) {
+  const meta = await loadSnapshotMeta(workspace);
+  return tx("readwrite", (store) => Promise.all(meta.map((s) => request(store.delete(s.id)))));
+}
+
+// latest snapshot taken at or before `ts` (ISO string); null if none
+export function snapshotAt(snaps, ts) {
+  let found = null;
+  for (const s of snaps) {
+    if (s.ts <= ts) found = s;
+    else break;
+  }
+  return found;
+}
+
+// { rowKey: Dec balance } for quick delta lookups
+export function balanceMap(snapshot) {
+  const m = new Map();
+  if (!snapshot) return m;
+  for (const r of snapshot.rows) {
+    if (r.wallet && !r.error && r.balance != null) m.set(rowKey(r), dec(r.balance));
+  }
+  return m;
+}
+
+// [{ ts, balance: number }] for one chain|wallet|contract over a workspace's snapshots (chart only)
+// only that row is kept from each snapshot
+export async function loadSeries(workspace, key) {
+  const out = [];
+  await tx("readonly", (store) =>
+    walk(store, workspace, false, (c) => {
+      const r = c.value.rows.find((x) => rowKey(x) === key);
+      if (r && !r.error && r.balance != null) out.push({ ts: c.value.ts, balance: toNumber(dec(r.balance)) });
+    })
+  );
+  return out;
+}
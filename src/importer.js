@@ -0,0 +1,212 @@
+import { ethers } from "ethers";
+import * as XLSX from "xlsx";
+import { isEnsName } from "./ens.js";
+import { mergeWallets, parseTags, walletKey } from "./wallets.js";
+
+/*
+Spreadsheet import (CSV/XLSX) dengan column mapping
+- pilih sheet, preview, mapping kolom eksplisit (tidak menebak per cell lagi)
+- dry-run dulu: new / duplicate / invalid (+ cell ref) / checksum-fixed, baru di-apply
+- kind "wallets": address, label, tags, group
+- kind "tokens" : token contract, chain, symbol, decimals
+*/
+
+export const IMPORT_FIELDS = {
+  wallets: [
+    { id: "address", label: "address / ENS", required: true },
+    { id: "label", label: "label" },
+    { id: "tags", label: "tags" },
+    { id: "group", label: "group" },
+  ],
+  tokens: [
+    { id: "token", label: "token contract", required: true },
+    { id: "chain", label: "chain" },
+    { id: "symbol", label: "symbol" },
+    { id: "decimals", label: "decimals" },
+  ],
+};
+
+const HEADER_GUESS = {
+  address: /^(wallet|address|addr|ens|account)$/i,
+  label: /^(label|name)$/i,
+  tags: /^tags?$/i,
+  group: /^group$/i,
+  token: /^(token|contract|token.?address|token.?contract)$/i,
+  chain: /^(chain|network|chain.?id)$/i,
+  symbol: /^(symbol|ticker)$/i,
+  decimals: /^decimals?$/i,
+};
+
+const looksLikeAddress = (v) => /^0x[0-9a-f]{40}$/i.test(String(v).trim());
+
+/*
+Sheet -> { cells: [[string]], origin: { r, c } }
+origin = top-left cell of the used range, for A1 references
+*/
+export function sheetTable(sheet) {
+  const ref = sheet["!ref"];
+  const start = ref ? XLSX.utils.decode_range(ref).s : { r: 0, c: 0 };
+  let cells = XLSX.utils
+    .sheet_to_json(sheet, { header: 1, defval: "", raw: false, blankrows: true })
+    .map((row) => row.map((v) => String(v ?? "").trim()));
+  // skip empty rows/columns before the data so row 0 is the header (if any)
+  const skipR = Math.max(0, cells.findIndex((row) => row.some(Boolean)));
+  const firstCol = cells.reduce((m, row) => {
+    const c = row.findIndex(Boolean);
+    return c >= 0 ? Math.min(m, c) : m;
+  }, Infinity);
+  const skipC = firstCol === Infinity ? 0 : firstCol;
+  cells = cells.slice(skipR).map((row) => row.slice(skipC));
+  return { cells, origin: { r: start.r + skipR, c: start.c + skipC } };
+}
+
+export function columnName(table, c) {
+  return XLSX.utils.encode_col(table.origin.c + c);
+}
+
+export function cellRef(table, r, c) {
+  return XLSX.utils.encode_cell({ r: table.origin.r + r, c: table.origin.c + c });
+}
+
+/*
+First guess for the dialog: header row yes/no + field -> column index.
+The address/token column falls back to the column with the most address-like cells.
+*/
+export function guessMapping(table, kind) {
+  const first = table.cells[0] || [];
+  const hasHeader = first.some((v) => v) && !first.some(looksLikeAddress) && !first.some(isEnsName);
+  const mapping = {};
+  if (hasHeader) {
+    for (const f of IMPORT_FIELDS[kind]) {
+      const i = first.findIndex((h) => HEADER_GUESS[f.id].test(h));
+      if (i >= 0) mapping[f.id] = i;
+    }
+  }
+  const key = kind === "wallets" ? "address" : "token";
+  if (mapping[key] === undefined) {
+    const width = Math.max(0, ...table.cells.map((r) => r.length));
+    let best = -1;
+    let bestCount = 0;
+    for (let c = 0; c < width; c++) {
+      const n = table.cells.filter((r) => looksLikeAddress(r[c] || "") || (kind === "wallets" && isEnsName(r[c] || ""))).length;
+      if (n > bestCount) [best, bestCount] = [c, n];
+    }
+    if (best >= 0) mapping[key] = best;
+  }
+  return { hasHeader, mapping };
+}
+
+// address cell -> { value, fixed } | { error }
+function checkAddress(raw, allowEns) {
+  const s = raw.trim();
+  if (allowEns && isEnsName(s)) return { value: s.toLowerCase(), fixed: false };
+  if (!/^0x[0-9a-fA-F]{40}$/.test(s)) return { error: "not an address" };
+  try {
+    const value = ethers.getAddress(s);
+    return { value, fixed: value !== s };
+  } catch {
+    return { error: "bad checksum" };
+  }
+}
+
+function dataRows(table, hasHeader) {
+  return table.cells.map((row, r) => ({ row, r })).slice(hasHeader ? 1 : 0);
+}
+
+/*
+Dry run of a wallet import.
+returns { entries, summary: { added, duplicate, invalid: [{ ref, value, reason }], fixed: [{ ref, from, to }] } }
+entries = only the new wallets (ready for mergeWallets)
+*/
+export function planWalletImport(table, { hasHeader, mapping }, existing) {
+  const out = { entries: [], summary: { added: 0, duplicate: 0, invalid: [], fixed: [] } };
+  if (mapping.address === undefined) return out;
+  const seen = new Set(existing.map((w) => walletKey(w.address)));
+  const get = (row, f) => (mapping[f] === undefined ? "" : row[mapping[f]] || "");
+  for (const { row, r } of dataRows(table, hasHeader)) {
+    const raw = get(row, "address");
+    if (!raw) continue;
+    const ref = cellRef(table, r, mapping.address);
+    const a = checkAddress(raw, true);
+    if (a.error) {
+      out.summary.invalid.push({ ref, value: raw, reason: a.error });
+      continue;
+    }
+    if (a.fixed) out.summary.fixed.push({ ref, from: raw, to: a.value });
+    if (seen.has(walletKey(a.value))) {
+      out.summary.duplicate++;
+      continue;
+    }
+    seen.add(walletKey(a.value));
+    out.entries.push({ address: a.value, label: get(row, "label"), tags: parseTags(get(row, "tags")), group: get(row, "group") });
+    out.summary.added++;
+  }
+  return out;
+}
+
+// chain cell -> chain id ("ethereum", "Ethereum" or "1")
+function matchChain(chains, v) {
+  const s = String(v).trim().toLowerCase();
+  return chains.find((c) => c.id.toLowerCase() === s || String(c.chainId ?? "") === s)?.id || null;
+}
+
+/*
+Dry run of a token import.
+defaultChain is used when no chain column is mapped (or the cell is empty).
+returns { tokens: { chainId: [token] }, summary } (same summary shape as wallets)
+*/
+export function planTokenImport(table, { hasHeader, mapping }, existing, chains, defaultChain) {
+  const out = { tokens: {}, summary: { added: 0, duplicate: 0, invalid: [], fixed: [] } };
+  if (mapping.token === undefined) return out;
+  const seen = new Set(
+    Object.entries(existing).flatMap(([ch, list]) => list.map((t) => `${ch}|${t.address.toLowerCase()}`))
+  );
+  const get = (row, f) => (mapping[f] === undefined ? "" : row[mapping[f]] || "");
+  for (const { row, r } of dataRows(table, hasHeader)) {
+    const raw = get(row, "token");
+    if (!raw) continue;
+    const ref = cellRef(table, r, mapping.token);
+    const a = checkAddress(raw, false);
+    if (a.error) {
+      out.summary.invalid.push({ ref, value: raw, reason: a.error });
+      continue;
+    }
+    const chainCell = get(row, "chain");
+    const chainId = chainCell ? matchChain(chains, chainCell) : defaultChain;
+    if (!chainId) {
+      const at = mapping.chain === undefined ? ref : cellRef(table, r, mapping.chain);
+      out.summary.invalid.push({ ref: at, value: chainCell, reason: chainCell ? "unknown chain" : "no chain" });
+      continue;
+    }
+    const dec = get(row, "decimals");
+    if (dec && !/^\d+$/.test(dec)) {
+      out.summary.invalid.push({ ref: cellRef(table, r, mapping.decimals), value: dec, reason: "invalid decimals" });
+      continue;
+    }
+    if (a.fixed) out.summary.fixed.push({ ref, from: raw, to: a.value });
+    const key = `${chainId}|${a.value.toLowerCase()}`;
+    if (seen.has(key)) {
+      out.summary.duplicate++;
+      continue;
+    }
+    seen.add(key);
+    (out.tokens[chainId] ||= []).push({
+      address: a.value,
+      symbol: get(row, "symbol"),
+      decimals: dec ? Number(dec) : null,
+    });
+    out.summary.added++;
+  }
+  return out;
+}
+
+// apply helpers (same merge rules as the rest of the app)
+export function applyWalletImport(prev, plan) {
+  return mergeWallets(prev, plan.entries);
+}
+
+export function applyTokenImport(prev, plan) {
+  const next = { ...prev };
+  for (const [ch, list] of Object.entries(plan.tokens)) next[ch] = [...(next[ch] || []), ...list];
+  return next;
+}
@@ -0,0 +1,146 @@
+import { ethers } from "ethers";
+import { TRANSFER_TOPIC, addressTopic } from "./logs.js";
+
+/*
+Live mode lewat WebSocket (eth_subscribe), pengganti polling per interval
+- newHeads -> block terbaru per chain
+- logs Transfer dari/ke wallet yang di-track, khusus token yang di-track -> re-read wallet/asset itu saja
+- native: tx di block baru dari/ke wallet yang di-track -> re-read native wallet itu saja
+- socket putus -> reconnect dengan backoff (1s, 2s, 4s, ... max 30s)
+- node tanpa eth_subscribe -> state "unsupported", chain itu kembali ke polling
+*/
+
+export const LIVE_BACKOFF_MS = { base: 1000, max: 30000 };
+export const LIVE_NATIVE_MS = 15000; // native balances change without logs: blocks since the last look are scanned at most this often
+export const LIVE_NATIVE_MAX_BLOCKS = 32; // a longer gap re-reads every wallet's native balance instead
+export const LIVE_DEBOUNCE_MS = 500; // collect events before re-reading
+
+export function isWsUrl(url) {
+  return /^wss?:\/\/\S+$/i.test(String(url || "").trim());
+}
+
+export function backoffDelay(attempt) {
+  // +-20% jitter so sockets dropped together do not reconnect together
+  const ms = LIVE_BACKOFF_MS.base * 2 ** Math.min(attempt, 20) * (0.8 + Math.random() * 0.4);
+  return Math.round(Math.min(LIVE_BACKOFF_MS.max, ms));
+}
+
+/*
+Wallet/token pairs touched by one Transfer log.
+wallets: Map(lowercase address -> wallet as shown in the rows)
+returns [{ wallet, contract, block }]
+*/
+export function affectedPairs(log, wallets) {
+  if (!log?.topics || log.topics.length !== 3 || log.topics[0] !== TRANSFER_TOPIC) return [];
+  const block = Number(BigInt(log.blockNumber));
+  const contract = ethers.getAddress(log.address);
+  const out = [];
+  for (const t of [log.topics[1], log.topics[2]]) {
+    const w = wallets.get(ethers.dataSlice(t, 12).toLowerCase());
+    if (w && !out.some((p) => p.wallet === w)) out.push({ wallet: w, contract, block });
+  }
+  return out;
+}
+
+/*
+Wallets that sent or received a transaction in `block` (ethers Block read with prefetched transactions).
+Native coin moved by a contract call (internal transfer) is not visible here; the next full refresh reads it.
+wallets: Map(lowercase address -> wallet as shown in the rows)
+returns [wallet]
+*/
+export function touchedWallets(block, wallets) {
+  const out = new Set();
+  for (const tx of block?.prefetchedTransactions || []) {
+    for (const a of [tx.from, tx.to]) {
+      const w = a && wallets.get(a.toLowerCase());
+      if (w) out.add(w);
+    }
+  }
+  return Array.from(out);
+}
+
+/*
+One chain's live connection.
+opts: {
+  wallets: [address], tokens: [address],
+  onHead(blockNumber), onLog(log), onState(state, info)
+}
+state: "connecting" | "live" | "reconnecting" (info = delay ms) | "unsupported" (info = message) | "closed"
+returns { close() }
+*/
+export function openLive(url, { wallets, tokens, onHead, onLog, onState }) {
+  let ws = null;
+  let attempt = 0;
+  let timer = null;
+  let closed = false;
+  const walletTopics = wallets.map(addressTopic);
+  const requests = [["newHeads"]];
+  if (tokens.length && walletTopics.length) {
+    // one subscription per direction: topic[1] = from, topic[2] = to
+    requests.push(["logs", { address: tokens, topics: [TRANSFER_TOPIC, walletTopics] }]);
+    requests.push(["logs", { address: tokens, topics: [TRANSFER_TOPIC, null, walletTopics] }]);
+  }
+
+  function connect() {
+    onState("connecting");
+    const subs = new Map(); // subscription id -> "newHeads" | "logs"
+    try {
+      ws = new WebSocket(url);
+    } catch (e) {
+      onState("unsupported", e.message);
+      return;
+    }
+    ws.onopen = () => {
+      requests.forEach((params, i) => ws.send(JSON.stringify({ jsonrpc: "2.0", id: i + 1, method: "eth_subscribe", params })));
+    };
+    ws.onmessage = (ev) => {
+      let msg;
+      try {
+        msg = JSON.parse(ev.data);
+      } catch {
+        return;
+      }
+      if (msg.id != null) {
+        if (msg.error) {
+          // no pub/sub on this endpoint: do not retry, the chain polls instead
+          closed = "unsupported";
+          onState("unsupported", msg.error.message || "eth_subscribe failed");
+          ws.close();
+          return;
+        }
+        subs.set(msg.result, requests[msg.id - 1]?.[0]);
+        if (subs.size === requests.length) {
+          attempt = 0;
+          onState("live");
+        }
+        return;
+      }
+      if (msg.method !== "eth_subscription") return;
+      const kind = subs.get(msg.params?.subscription);
+      if (kind === "newHeads") onHead(Number(BigInt(msg.params.result.number)));
+      else if (kind === "logs") onLog(msg.params.result);
+    };
+    ws.onclose = () => {
+      if (closed) {
+        if (closed === "user") onState("closed");
+        return;
+      }
+      const delay = backoffDelay(attempt++);
+      onState("reconnecting", delay);
+      timer = setTimeout(connect, delay);
+    };
+    ws.onerror = () => {
+      // onclose follows and handles the retry
+    };
+  }
+
+  connect();
+  return {
+    close() {
+      closed = "user";
+      clearTimeout(timer);
+      if (ws && ws.readyState <= 1) ws.close();
+      else onState("closed");
+    },
+  };
+}
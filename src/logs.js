@@ -0,0 +1,115 @@
+import { ethers } from "ethers";
+import { hasMulticall, multicall } from "./multicall.js";
+import { AbortedError, request, throwIfAborted } from "./engine.js";
+
+/*
+eth_getLogs helpers
+- paging per block chunk, chunk dikecilkan otomatis kalau RPC menolak range
+- token discovery: Transfer(address,address,uint256) ke wallet yang di-track
+*/
+
+export const TRANSFER_TOPIC = ethers.id("Transfer(address,address,uint256)");
+export const DEFAULT_LOG_CHUNK = 2000;
+export const DEFAULT_DISCOVER_BLOCKS = 50000;
+
+const ERC20_META_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+];
+
+export function addressTopic(addr) {
+  return ethers.zeroPadValue(ethers.getAddress(addr), 32);
+}
+
+// RPCs phrase "range too big" in many ways; these are worth retrying with a smaller chunk
+function isRangeError(e) {
+  const msg = `${e?.shortMessage || ""} ${e?.message || ""} ${e?.error?.message || ""}`.toLowerCase();
+  return /range|too many|limit|exceed|10000|response size|timeout|query returned more/.test(msg);
+}
+
+/*
+Page eth_getLogs over [fromBlock, toBlock].
+filter: { address?, topics? }
+opts: { chunk, onProgress(done, total), signal, timeoutMs }
+Each eth_getLogs has its own timeout; a timeout or range error is answered with a smaller chunk, not a retry.
+returns all logs (ascending block order)
+*/
+export async function getLogsPaged(provider, filter, fromBlock, toBlock, opts = {}) {
+  let chunk = Math.max(1, Number(opts.chunk) || DEFAULT_LOG_CHUNK);
+  const total = toBlock - fromBlock + 1;
+  const out = [];
+  let start = fromBlock;
+  while (start <= toBlock) {
+    throwIfAborted(opts.signal);
+    const end = Math.min(start + chunk - 1, toBlock);
+    try {
+      const logs = await request(() => provider.getLogs({ ...filter, fromBlock: start, toBlock: end }), {
+        timeoutMs: opts.timeoutMs,
+        retries: 0,
+        signal: opts.signal,
+      });
+      out.push(...logs);
+      start = end + 1;
+      opts.onProgress?.(start - fromBlock, total);
+    } catch (e) {
+      if (!(e instanceof AbortedError) && chunk > 1 && isRangeError(e)) {
+        chunk = Math.max(1, Math.floor(chunk / 2));
+        continue;
+      }
+      throw e;
+    }
+  }
+  return out;
+}
+
+/*
+Contracts that sent an ERC-20 Transfer to any of `wallets` in the block range.
+ERC-721 Transfer has the same signature but 4 topics (tokenId indexed) -> skipped.
+opts: as getLogsPaged
+returns [address] (checksummed, unique)
+*/
+export async function scanReceivedTokens(provider, wallets, fromBlock, toBlock, opts = {}) {
+  const found = new Set();
+  // keep the OR list in topic[2] short; some RPCs cap it
+  for (let i = 0; i < wallets.length; i += 50) {
+    const to = wallets.slice(i, i + 50).map(addressTopic);
+    const logs = await getLogsPaged(
+      provider,
+      { topics: [TRANSFER_TOPIC, null, to] },
+      fromBlock,
+      toBlock,
+      opts
+    );
+    for (const l of logs) {
+      if (l.topics.length === 3) found.add(ethers.getAddress(l.address));
+    }
+  }
+  return Array.from(found);
+}
+
+// symbol()/decimals() for candidate contracts (multicall when available)
+export async function tokenMetadata(provider, addresses) {
+  const iface = new ethers.Interface(ERC20_META_ABI);
+  if (await hasMulticall(provider)) {
+    const calls = addresses.flatMap((a) => [
+      { target: a, iface, fn: "symbol" },
+      { target: a, iface, fn: "decimals" },
+    ]);
+    const res = await multicall(provider, calls);
+    return addresses.map((address, i) => ({
+      address,
+      symbol: res[i * 2].ok ? String(res[i * 2].value) : "",
+      decimals: res[i * 2 + 1].ok ? Number(res[i * 2 + 1].value) : null,
+    }));
+  }
+  const out = [];
+  for (const address of addresses) {
+    const c = new ethers.Contract(address, ERC20_META_ABI, provider);
+    const [symbol, decimals] = await Promise.all([
+      c.symbol().then(String, () => ""),
+      c.decimals().then(Number, () => null),
+    ]);
+    out.push({ address, symbol, decimals });
+  }
+  return out;
+}
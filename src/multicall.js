@@ -0,0 +1,101 @@
+import { ethers } from "ethers";
+import { AbortedError, request } from "./engine.js";
+
+/*
+Multicall3 helpers
+- Same address on almost every EVM chain (https://www.multicall3.com)
+- aggregate3 + allowFailure, so one reverting call doesn't kill the batch
+*/
+
+export const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+export const MULTICALL3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+  "function getEthBalance(address addr) view returns (uint256 balance)",
+];
+
+export const DEFAULT_BATCH_SIZE = 100;
+
+// "Multicall batch" input -> batchSize: "0" = off, a positive number = calls per request (floored),
+// empty or anything else = undefined (DEFAULT_BATCH_SIZE), never a silent 0
+export function parseBatchSize(text) {
+  const s = String(text ?? "").trim();
+  if (s === "0") return 0;
+  const n = Math.floor(Number(s));
+  return s && Number.isFinite(n) && n >= 1 ? n : undefined;
+}
+
+const multicallIface = new ethers.Interface(MULTICALL3_ABI);
+
+// true when Multicall3 is deployed at the canonical address on this chain (at blockTag, default latest)
+export async function hasMulticall(provider, address = MULTICALL3_ADDRESS, blockTag) {
+  try {
+    const code = await provider.getCode(address, blockTag);
+    return !!code && code !== "0x";
+  } catch {
+    return false;
+  }
+}
+
+// call for Multicall3.getEthBalance (native balance through the same batch)
+export function ethBalanceCall(wallet, address = MULTICALL3_ADDRESS) {
+  return { target: address, iface: multicallIface, fn: "getEthBalance", args: [wallet] };
+}
+
+/*
+Run many read calls through aggregate3.
+calls: [{ target, iface, fn, args }]
+opts: { batchSize, address, blockTag, timeoutMs, retries, signal } (each aggregate3 is retried on its own)
+returns (same order): [{ ok: true, value } | { ok: false, error }]
+*/
+export async function multicall(
+  provider,
+  calls,
+  { batchSize = DEFAULT_BATCH_SIZE, address = MULTICALL3_ADDRESS, blockTag, timeoutMs, retries, signal } = {}
+) {
+  const mc = new ethers.Contract(address, MULTICALL3_ABI, provider);
+  const size = Math.max(1, Number(batchSize) || DEFAULT_BATCH_SIZE);
+  const out = new Array(calls.length);
+
+  for (let start = 0; start < calls.length; start += size) {
+    const batch = calls.slice(start, start + size);
+    let results;
+    try {
+      results = await request(
+        () =>
+          mc.aggregate3.staticCall(
+            batch.map((c) => ({
+              target: c.target,
+              allowFailure: true,
+              callData: c.iface.encodeFunctionData(c.fn, c.args || []),
+            })),
+            blockTag == null ? {} : { blockTag }
+          ),
+        { timeoutMs, retries, signal }
+      );
+    } catch (e) {
+      if (e instanceof AbortedError) throw e;
+      // whole batch failed (RPC error, gas limit, ...) -> every call in it gets the error
+      for (let i = 0; i < batch.length; i++) {
+        out[start + i] = { ok: false, error: e.shortMessage || e.message || String(e) };
+      }
+      continue;
+    }
+
+    batch.forEach((c, i) => {
+      const [success, returnData] = results[i];
+      if (!success) {
+        out[start + i] = { ok: false, error: "call reverted" };
+        return;
+      }
+      try {
+        const decoded = c.iface.decodeFunctionResult(c.fn, returnData);
+        out[start + i] = { ok: true, value: decoded[0] };
+      } catch (e) {
+        // e.g. empty returnData from an address with no code
+        out[start + i] = { ok: false, error: e.shortMessage || e.message || String(e) };
+      }
+    });
+  }
+  return out;
+}
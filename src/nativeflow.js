@@ -0,0 +1,291 @@
+import { ethers } from "ethers";
+import { fromRaw, toExact } from "./amounts.js";
+import { createLimiter, request } from "./engine.js";
+import { stampTimes } from "./activity.js";
+
+/*
+Native flows: ETH/MATIC/... masuk/keluar wallet yang di-track (tidak ada log-nya, beda dengan ERC-20)
+- "trace": trace_block (Erigon/Nethermind/OpenEthereum) -> semua value transfer, termasuk internal call
+- "debug": debug_traceBlockByNumber + callTracer (Geth) -> sama, dari call tree
+- "diff" : tanpa trace API -> balance + nonce dibandingkan antar block (bisection), delta per block
+           di-attribute ke tx yang dikirim wallet di block itu (butuh archive node)
+- gas fee tx yang dikirim wallet masuk sebagai "fee" (trace/debug; di "diff" sudah termasuk di delta)
+- hasil di-cache per chain|method|wallets selama sesi, "newer"/"older" seperti Activity
+*/
+
+export const DEFAULT_NATIVE_FLOW_BLOCKS = 500;
+
+export const NATIVE_FLOW_METHODS = [
+  { id: "auto", label: "auto (trace → debug → balance diff)" },
+  { id: "trace", label: "trace_block" },
+  { id: "debug", label: "debug_traceBlockByNumber" },
+  { id: "diff", label: "balance diff" },
+];
+
+const cache = new Map(); // key -> { method, from, to, entries } (entries newest first)
+const detected = new Map(); // chainId -> "trace" | "debug" | "diff"
+
+export function nativeFlowKey(chainId, method, wallets) {
+  const addrs = wallets.map((w) => w.toLowerCase()).sort();
+  return `${chainId}|${method}|${addrs.join(",")}`;
+}
+
+export function cachedNativeFlow(key) {
+  return cache.get(key) || null;
+}
+
+const hex = (n) => ethers.toQuantity(n);
+const big = (v) => (v == null || v === "0x" ? 0n : BigInt(v));
+const newestFirst = (a, b) => b.block - a.block || a.seq - b.seq;
+
+// first method this RPC answers, checked on the latest block (cached per chain for the session)
+export async function detectMethod(provider, chainId, opts = {}) {
+  if (detected.has(chainId)) return detected.get(chainId);
+  const latest = await request(() => provider.getBlockNumber(), opts);
+  const probe = (method, params) =>
+    request(() => provider.send(method, params), { ...opts, retries: 0 }).then(
+      () => true,
+      () => false
+    );
+  let method = "diff";
+  if (await probe("trace_block", [hex(latest)])) method = "trace";
+  else if (await probe("debug_traceBlockByNumber", [hex(latest), { tracer: "callTracer" }])) method = "debug";
+  detected.set(chainId, method);
+  return method;
+}
+
+// one value transfer seen from both sides: an "out" for a tracked sender, an "in" for a tracked receiver
+function pushTransfer(out, tracked, t) {
+  if (t.value <= 0n) return;
+  const from = t.from?.toLowerCase();
+  const to = t.to?.toLowerCase();
+  if (from && from === to) return; // self call, balance unchanged
+  const base = { block: t.block, txHash: t.txHash || "", kind: t.kind, raw: t.value };
+  if (from && tracked.has(from)) out.push({ ...base, wallet: tracked.get(from), direction: "out", counterparty: t.to || "" });
+  if (to && tracked.has(to)) out.push({ ...base, wallet: tracked.get(to), direction: "in", counterparty: t.from || "" });
+}
+
+/*
+trace_block result -> transfers touching tracked wallets.
+Reverted frames (and everything under them) moved nothing; delegatecall/staticcall carry no value.
+returns { transfers, senders: [{ txHash, wallet }] }
+*/
+export function flowsFromTraceBlock(traces, tracked, block) {
+  const transfers = [];
+  const senders = [];
+  const failed = new Set(); // txHash|traceAddress of reverted frames
+  const under = (t) => {
+    const path = t.traceAddress || [];
+    for (let i = 0; i <= path.length; i++) if (failed.has(`${t.transactionHash}|${path.slice(0, i).join(",")}`)) return true;
+    return false;
+  };
+  for (const t of traces || []) {
+    const a = t.action || {};
+    if (t.type !== "reward" && !(t.traceAddress || []).length && a.from && tracked.has(a.from.toLowerCase())) {
+      senders.push({ txHash: t.transactionHash, wallet: tracked.get(a.from.toLowerCase()) });
+    }
+    if (t.error) failed.add(`${t.transactionHash}|${(t.traceAddress || []).join(",")}`);
+    if (under(t)) continue;
+    if (t.type === "call") {
+      if (a.callType === "delegatecall" || a.callType === "staticcall") continue;
+      pushTransfer(transfers, tracked, { block, txHash: t.transactionHash, kind: "call", from: a.from, to: a.to, value: big(a.value) });
+    } else if (t.type === "create") {
+      pushTransfer(transfers, tracked, { block, txHash: t.transactionHash, kind: "create", from: a.from, to: t.result?.address, value: big(a.value) });
+    } else if (t.type === "suicide") {
+      pushTransfer(transfers, tracked, { block, txHash: t.transactionHash, kind: "selfdestruct", from: a.address, to: a.refundAddress, value: big(a.balance) });
+    } else if (t.type === "reward") {
+      pushTransfer(transfers, tracked, { block, txHash: "", kind: "reward", from: null, to: a.author, value: big(a.value) });
+    }
+  }
+  return { transfers, senders };
+}
+
+/*
+debug_traceBlockByNumber (callTracer) result -> same shape as flowsFromTraceBlock.
+txHashes: the block's transaction hashes, for nodes that do not return txHash per trace
+*/
+export function flowsFromCallTracer(results, tracked, block, txHashes = []) {
+  const transfers = [];
+  const senders = [];
+  const walk = (frame, txHash) => {
+    if (!frame || frame.error) return; // reverted: nothing below moved either
+    const type = String(frame.type || "").toUpperCase();
+    if (type === "DELEGATECALL" || type === "STATICCALL") return;
+    const kind = type.startsWith("CREATE") ? "create" : type === "SELFDESTRUCT" ? "selfdestruct" : "call";
+    pushTransfer(transfers, tracked, { block, txHash, kind, from: frame.from, to: frame.to, value: big(frame.value) });
+    for (const c of frame.calls || []) walk(c, txHash);
+  };
+  (results || []).forEach((r, i) => {
+    const txHash = r.txHash || txHashes[i] || "";
+    const top = r.result || r;
+    if (top?.from && tracked.has(top.from.toLowerCase())) senders.push({ txHash, wallet: tracked.get(top.from.toLowerCase()) });
+    walk(top, txHash);
+  });
+  return { transfers, senders };
+}
+
+// gas paid by tracked senders (receipt.fee = gasUsed x effective gas price; L1 data fees of rollups not included)
+async function feeEntries(provider, block, senders, opts) {
+  const seen = new Set();
+  const out = [];
+  for (const s of senders) {
+    if (!s.txHash || seen.has(s.txHash)) continue;
+    seen.add(s.txHash);
+    const receipt = await request(() => provider.getTransactionReceipt(s.txHash), opts);
+    if (!receipt) continue;
+    out.push({ block, txHash: s.txHash, kind: "fee", raw: receipt.fee, wallet: s.wallet, direction: "out", counterparty: "" });
+  }
+  return out;
+}
+
+async function traceRange(provider, method, tracked, from, to, opts) {
+  const limit = createLimiter(opts.concurrency || 4);
+  let done = 0;
+  const perBlock = await Promise.all(
+    Array.from({ length: to - from + 1 }, (_, i) => from + i).map((b) =>
+      limit(async () => {
+        let res;
+        if (method === "trace") {
+          res = flowsFromTraceBlock(await request(() => provider.send("trace_block", [hex(b)]), opts), tracked, b);
+        } else {
+          const [traces, blk] = await Promise.all([
+            request(() => provider.send("debug_traceBlockByNumber", [hex(b), { tracer: "callTracer" }]), opts),
+            request(() => provider.getBlock(b), opts),
+          ]);
+          res = flowsFromCallTracer(traces, tracked, b, blk?.transactions || []);
+        }
+        const fees = await feeEntries(provider, b, res.senders, opts);
+        opts.onProgress?.(++done, to - from + 1);
+        return [...res.transfers, ...fees];
+      })
+    )
+  );
+  return perBlock.flat();
+}
+
+/*
+Blocks in (lo, hi] where the wallet's balance or nonce changed.
+Both ends equal -> nothing in between is assumed (an in + out of the same amount without a sent tx is missed).
+state: Map block -> { balance, nonce }, filled as it goes
+*/
+async function changedBlocks(provider, wallet, lo, hi, state, opts) {
+  const read = async (b) => {
+    if (!state.has(b)) {
+      const [balance, nonce] = await Promise.all([
+        request(() => provider.getBalance(wallet, b), opts),
+        request(() => provider.getTransactionCount(wallet, b), opts),
+      ]);
+      state.set(b, { balance, nonce });
+    }
+    return state.get(b);
+  };
+  const [a, z] = await Promise.all([read(lo), read(hi)]);
+  if (a.balance === z.balance && a.nonce === z.nonce) return [];
+  if (hi - lo === 1) return [hi];
+  const mid = Math.floor((lo + hi) / 2);
+  return [...(await changedBlocks(provider, wallet, lo, mid, state, opts)), ...(await changedBlocks(provider, wallet, mid, hi, state, opts))];
+}
+
+async function diffRange(provider, wallets, from, to, opts) {
+  const lo = Math.max(0, from - 1);
+  const blocks = new Map(); // block -> Promise<block with transactions>
+  const getBlock = (b) => {
+    if (!blocks.has(b)) blocks.set(b, request(() => provider.getBlock(b, true), opts));
+    return blocks.get(b);
+  };
+  const out = [];
+  let done = 0;
+  for (const wallet of wallets) {
+    const state = new Map();
+    for (const b of await changedBlocks(provider, wallet, lo, to, state, opts)) {
+      const delta = state.get(b).balance - state.get(b - 1).balance;
+      if (delta === 0n) continue;
+      const blk = await getBlock(b);
+      const sent = (blk?.prefetchedTransactions || []).filter((tx) => tx.from.toLowerCase() === wallet.toLowerCase());
+      out.push({
+        block: b,
+        txHash: sent.map((tx) => tx.hash).join(" "),
+        kind: sent.length ? "diff (sent tx)" : "diff",
+        raw: delta < 0n ? -delta : delta,
+        wallet,
+        direction: delta < 0n ? "out" : "in",
+        counterparty: sent.length === 1 ? sent[0].to || "" : "",
+      });
+    }
+    opts.onProgress?.(++done, wallets.length);
+  }
+  return out;
+}
+
+/*
+Scan one more page for all `wallets` of a chain and merge it into the cache.
+method: "auto" | "trace" | "debug" | "diff"; mode: "newer" | "older" (same paging as scanActivity)
+opts: { blocks, decimals, concurrency, onProgress(done, total), signal, timeoutMs, retries }
+returns { method, from, to, entries } with entries newest first:
+  { block, txHash, wallet, direction, kind, counterparty, raw, amount, time }
+*/
+export async function scanNativeFlow(provider, chainId, wallets, method, mode, opts = {}) {
+  const key = nativeFlowKey(chainId, method, wallets);
+  const prev = cache.get(key);
+  const used = prev?.method || (method === "auto" ? await detectMethod(provider, chainId, opts) : method);
+  const blocks = Math.max(1, Number(opts.blocks) || DEFAULT_NATIVE_FLOW_BLOCKS);
+  let from;
+  let to;
+  if (mode === "older" && prev) {
+    if (prev.from <= 1) return prev;
+    to = prev.from - 1;
+    from = Math.max(1, to - blocks + 1);
+  } else {
+    const latest = await request(() => provider.getBlockNumber(), opts);
+    if (prev && prev.to >= latest) return prev;
+    to = latest;
+    from = prev ? prev.to + 1 : Math.max(1, latest - blocks + 1);
+  }
+
+  const tracked = new Map(wallets.map((w) => [w.toLowerCase(), w]));
+  const found =
+    used === "diff"
+      ? await diffRange(provider, wallets, from, to, opts)
+      : await traceRange(provider, used, tracked, from, to, opts);
+  const seq = (prev?.entries.length || 0) + 1;
+  found.forEach((e, i) => {
+    e.seq = seq + i;
+    e.raw = e.raw.toString();
+    e.amount = toExact(fromRaw(e.raw, opts.decimals ?? 18));
+  });
+  await stampTimes(provider, chainId, found, opts);
+
+  const next = {
+    method: used,
+    from: prev ? Math.min(prev.from, from) : from,
+    to: prev ? Math.max(prev.to, to) : to,
+    entries: [...(prev?.entries || []), ...found].sort(newestFirst),
+  };
+  cache.set(key, next);
+  return next;
+}
+
+/*
+Per wallet totals of the scanned entries (Dec amounts, see amounts.js).
+net = inflow - outflow - fees
+returns [{ wallet, inflow, outflow, fees, net, count }] in `wallets` order
+*/
+export function nativeLedger(entries, wallets, decimals = 18) {
+  const by = new Map(wallets.map((w) => [w.toLowerCase(), { wallet: w, inflow: 0n, outflow: 0n, fees: 0n, count: 0 }]));
+  for (const e of entries) {
+    const s = by.get(e.wallet.toLowerCase());
+    if (!s) continue;
+    s.count++;
+    if (e.kind === "fee") s.fees += BigInt(e.raw);
+    else if (e.direction === "in") s.inflow += BigInt(e.raw);
+    else s.outflow += BigInt(e.raw);
+  }
+  return Array.from(by.values()).map((s) => ({
+    wallet: s.wallet,
+    inflow: fromRaw(s.inflow, decimals),
+    outflow: fromRaw(s.outflow, decimals),
+    fees: fromRaw(s.fees, decimals),
+    net: fromRaw(s.inflow - s.outflow - s.fees, decimals),
+    count: s.count,
+  }));
+}
@@ -0,0 +1,100 @@
+import { ethers } from "ethers";
+import { request } from "./engine.js";
+
+/*
+NFT collections per chain (di samping tokens)
+- ERC-721 : balanceOf + token ID yang dimiliki kalau kontrak ERC721Enumerable
+- ERC-1155: balanceOfBatch untuk token ID yang dikonfigurasi
+- 1 row per wallet x collection, balance = jumlah NFT (decimals 0)
+*/
+
+export const NFT_STANDARDS = [
+  { id: "erc721", label: "ERC-721" },
+  { id: "erc1155", label: "ERC-1155" },
+];
+
+export const MAX_OWNED_IDS = 200; // tokenOfOwnerByIndex reads per wallet/collection
+const ERC721_ENUMERABLE = "0x780e9d63";
+
+const ERC721_ABI = [
+  "function balanceOf(address owner) view returns (uint256)",
+  "function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)",
+  "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+];
+const ERC1155_ABI = [
+  "function balanceOfBatch(address[] accounts, uint256[] ids) view returns (uint256[])",
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+];
+
+// "1, 2 0x1f 10-12" -> ["1", "2", "31", "10", "11", "12"] (invalid parts dropped, ranges capped at 1000 ids)
+export function parseTokenIds(text) {
+  const out = [];
+  for (const part of String(text || "").split(/[\s,;]+/).filter(Boolean)) {
+    const range = part.match(/^(\d+)-(\d+)$/);
+    try {
+      if (range) {
+        const [a, b] = [BigInt(range[1]), BigInt(range[2])];
+        for (let i = a; i <= b && i - a < 1000n; i++) out.push(i.toString());
+      } else {
+        out.push(BigInt(part).toString());
+      }
+    } catch {
+      // not a number
+    }
+  }
+  return Array.from(new Set(out));
+}
+
+/*
+Name + ERC721Enumerable support, read once per collection per fetch.
+opts: { blockTag, timeoutMs, retries, signal }
+returns { name, enumerable }
+*/
+export async function collectionMeta(provider, c, opts = {}) {
+  const contract = new ethers.Contract(c.address, c.standard === "erc1155" ? ERC1155_ABI : ERC721_ABI, provider);
+  const overrides = opts.blockTag == null ? {} : { blockTag: opts.blockTag };
+  const tryRead = (fn) => request(fn, { ...opts, retries: 0 }).catch(() => null);
+  let name = c.name || "";
+  if (!name) name = (await tryRead(() => contract.name(overrides))) || (await tryRead(() => contract.symbol(overrides))) || "";
+  const enumerable =
+    c.standard === "erc721" && !!(await tryRead(() => contract.supportsInterface(ERC721_ENUMERABLE, overrides)));
+  return { name: name || `${c.address.slice(0, 6)}…`, enumerable };
+}
+
+/*
+Holdings of one wallet in one collection.
+returns { count: bigint, ids: [{ id, amount }], truncated }
+- 721: ids only when enumerable (first MAX_OWNED_IDS), amount always 1
+- 1155: the configured ids with a non-zero balance
+*/
+export async function readCollection(provider, c, meta, wallet, opts = {}) {
+  const overrides = opts.blockTag == null ? {} : { blockTag: opts.blockTag };
+  if (c.standard === "erc1155") {
+    const ids = c.ids || [];
+    if (!ids.length) throw new Error("no token IDs configured");
+    const contract = new ethers.Contract(c.address, ERC1155_ABI, provider);
+    const amounts = await request(() => contract.balanceOfBatch(ids.map(() => wallet), ids, overrides), opts);
+    const held = ids.map((id, i) => ({ id, amount: BigInt(amounts[i]) })).filter((x) => x.amount > 0n);
+    return { count: held.reduce((a, x) => a + x.amount, 0n), ids: held, truncated: false };
+  }
+  const contract = new ethers.Contract(c.address, ERC721_ABI, provider);
+  const count = BigInt(await request(() => contract.balanceOf(wallet, overrides), opts));
+  const ids = [];
+  if (meta.enumerable) {
+    const n = count < BigInt(MAX_OWNED_IDS) ? Number(count) : MAX_OWNED_IDS;
+    for (let i = 0; i < n; i++) {
+      const id = await request(() => contract.tokenOfOwnerByIndex(wallet, i, overrides), opts);
+      ids.push({ id: id.toString(), amount: 1n });
+    }
+  }
+  return { count, ids, truncated: meta.enumerable && count > BigInt(ids.length) };
+}
+
+// "1, 5, 9" (721) / "3×2, 7×1" (1155), "…" when the list was cut
+export function ownedIdsText(c, res) {
+  const list = res.ids.map((x) => (c.standard === "erc1155" ? `${x.id}×${x.amount}` : x.id)).join(", ");
+  return res.truncated ? `${list}, …` : list;
+}
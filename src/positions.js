@@ -0,0 +1,157 @@
+import { ethers } from "ethers";
+import { request } from "./engine.js";
+
+/*
+Position adapters: LP token / vault / staking -> underlying assets
+- adapter = { id, label, fields: [{ id, label, placeholder }], read(ctx) }
+- registerAdapter() menambah adapter baru tanpa menyentuh fetch loop di App
+- read(ctx) -> { symbol, decimals, raw, underlying: [{ address, symbol, decimals, raw, role? }] }
+- ctx: { position, wallet, read(address, abi, fn, ...args), token(address) }
+  (read = timeout + retry + blockTag, token = symbol/decimals, cached per chain fetch)
+*/
+
+const registry = new Map(); // id -> adapter
+
+export function registerAdapter(adapter) {
+  if (!adapter?.id || typeof adapter.read !== "function") throw new Error("position adapter needs an id and read()");
+  registry.set(adapter.id, { fields: [], label: adapter.id, ...adapter });
+}
+
+export function getAdapter(id) {
+  return registry.get(id) || null;
+}
+
+export function listAdapters() {
+  return Array.from(registry.values());
+}
+
+const ERC20_ABI = [
+  "function balanceOf(address owner) view returns (uint256)",
+  "function totalSupply() view returns (uint256)",
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+];
+const UNIV2_PAIR_ABI = [
+  ...ERC20_ABI,
+  "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+];
+const ERC4626_ABI = [
+  ...ERC20_ABI,
+  "function asset() view returns (address)",
+  "function convertToAssets(uint256 shares) view returns (uint256)",
+];
+const isFnName = (s) => /^[A-Za-z_$][\w$]*$/.test(s);
+const viewFn = (name, args = "address account") => [`function ${name}(${args}) view returns (uint256)`];
+const addressFn = (name) => [`function ${name}() view returns (address)`];
+
+/*
+Context for one wallet on one chain.
+opts: { blockTag, timeoutMs, retries, signal }
+tokenCache: Map shared by every position of the chain fetch (address -> Promise<{ address, symbol, decimals }>)
+*/
+export function adapterContext(provider, position, wallet, opts = {}, tokenCache = new Map()) {
+  const overrides = opts.blockTag == null ? {} : { blockTag: opts.blockTag };
+  const read = (address, abi, fn, ...args) =>
+    request(() => new ethers.Contract(address, abi, provider)[fn](...args, overrides), opts);
+  const token = (address) => {
+    const key = address.toLowerCase();
+    if (!tokenCache.has(key)) {
+      const safe = (fn) => read(address, ERC20_ABI, fn).catch(() => null);
+      tokenCache.set(
+        key,
+        Promise.all([safe("symbol"), safe("decimals")]).then(([symbol, decimals]) => ({
+          address: ethers.getAddress(address),
+          symbol: symbol || address.slice(0, 6),
+          decimals: decimals == null ? 18 : Number(decimals),
+        }))
+      );
+    }
+    return tokenCache.get(key);
+  };
+  return { position, wallet, read, token };
+}
+
+// Uniswap V2 (and forks): LP share of the pair reserves
+registerAdapter({
+  id: "uniswapV2",
+  label: "Uniswap V2 LP",
+  async read({ position, wallet, read, token }) {
+    const p = position.address;
+    const [lp, supply, reserves, a0, a1] = await Promise.all([
+      read(p, UNIV2_PAIR_ABI, "balanceOf", wallet),
+      read(p, UNIV2_PAIR_ABI, "totalSupply"),
+      read(p, UNIV2_PAIR_ABI, "getReserves"),
+      read(p, UNIV2_PAIR_ABI, "token0"),
+      read(p, UNIV2_PAIR_ABI, "token1"),
+    ]);
+    const [t0, t1] = await Promise.all([token(a0), token(a1)]);
+    const share = (reserve) => (supply > 0n ? (BigInt(reserve) * lp) / supply : 0n);
+    return {
+      symbol: `${t0.symbol}-${t1.symbol} LP`,
+      decimals: 18,
+      raw: lp,
+      underlying: [
+        { ...t0, raw: share(reserves[0]) },
+        { ...t1, raw: share(reserves[1]) },
+      ],
+    };
+  },
+});
+
+// ERC-4626 vault: shares -> convertToAssets(shares)
+registerAdapter({
+  id: "erc4626",
+  label: "ERC-4626 vault",
+  async read({ position, wallet, read, token }) {
+    const v = position.address;
+    const [shares, assetAddr] = await Promise.all([read(v, ERC4626_ABI, "balanceOf", wallet), read(v, ERC4626_ABI, "asset")]);
+    const [vault, asset, assets] = await Promise.all([token(v), token(assetAddr), read(v, ERC4626_ABI, "convertToAssets", shares)]);
+    return { symbol: vault.symbol, decimals: vault.decimals, raw: shares, underlying: [{ ...asset, raw: assets }] };
+  },
+});
+
+// Generic staking contract: staked balance + pending reward (Synthetix StakingRewards style by default)
+registerAdapter({
+  id: "staking",
+  label: "Staking (staked + earned)",
+  fields: [
+    { id: "stakedFn", label: "staked fn", placeholder: "balanceOf" },
+    { id: "earnedFn", label: "earned fn", placeholder: "earned" },
+    { id: "stakingToken", label: "staking token", placeholder: "0x… (or stakingToken())" },
+    { id: "rewardToken", label: "reward token", placeholder: "0x… (or rewardsToken())" },
+  ],
+  async read({ position, wallet, read, token }) {
+    const s = position.address;
+    const stakedFn = position.stakedFn || "balanceOf";
+    const earnedFn = position.earnedFn || "earned";
+    if (!isFnName(stakedFn) || !isFnName(earnedFn)) throw new Error("invalid function name");
+    const tokenAddr = async (given, fn) => {
+      if (given) {
+        if (!ethers.isAddress(given)) throw new Error(`invalid token address ${given}`);
+        return given;
+      }
+      return read(s, addressFn(fn), fn);
+    };
+    const [stakedAddr, rewardAddr] = await Promise.all([
+      tokenAddr(position.stakingToken, "stakingToken"),
+      tokenAddr(position.rewardToken, "rewardsToken"),
+    ]);
+    const [staked, earned, st, rt] = await Promise.all([
+      read(s, viewFn(stakedFn), stakedFn, wallet),
+      read(s, viewFn(earnedFn), earnedFn, wallet),
+      token(stakedAddr),
+      token(rewardAddr),
+    ]);
+    return {
+      symbol: `staked ${st.symbol}`,
+      decimals: st.decimals,
+      raw: staked,
+      underlying: [
+        { ...st, raw: staked, role: "staked" },
+        { ...rt, raw: earned, role: "earned" },
+      ],
+    };
+  },
+});
@@ -0,0 +1,182 @@
+import { ethers } from "ethers";
+import { add, cmp, dec, mul } from "./amounts.js";
+import { request } from "./engine.js";
+
+/*
+Pluggable price sources (harga per asset dalam 1 fiat currency)
+- manual     : { type, price }
+- chainlink  : { type, feed }                      -> latestRoundData / 10^decimals
+- uniswapV2  : { type, pool, token?, quotePrice? } -> reserves, token = base side (default asset contract)
+- uniswapV3  : { type, pool, token?, quotePrice? } -> slot0.sqrtPriceX96
+- http       : { type, url, path }                 -> GET JSON, {symbol}/{currency}/{contract} in url
+quotePrice = harga fiat dari token lawan di pool (default 1, mis. USDC)
+*/
+
+export const PRICE_SOURCE_TYPES = [
+  { id: "manual", label: "Manual" },
+  { id: "chainlink", label: "Chainlink feed" },
+  { id: "uniswapV2", label: "Uniswap V2 pair" },
+  { id: "uniswapV3", label: "Uniswap V3 pool" },
+  { id: "http", label: "HTTP API" },
+];
+
+const ERC20_DECIMALS_ABI = ["function decimals() view returns (uint8)"];
+const CHAINLINK_ABI = [
+  "function decimals() view returns (uint8)",
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+];
+const UNIV2_PAIR_ABI = [
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)",
+];
+const UNIV3_POOL_ABI = [
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)",
+];
+
+// key shared by price sources and rows: chain|contract (lowercase, "native" for the coin)
+export function priceKey(chain, contract) {
+  return `${chain}|${String(contract || "native").toLowerCase()}`;
+}
+
+export function isOnchainSource(src) {
+  return src && ["chainlink", "uniswapV2", "uniswapV3"].includes(src.type);
+}
+
+async function tokenDecimals(address, provider) {
+  return Number(await new ethers.Contract(address, ERC20_DECIMALS_ABI, provider).decimals());
+}
+
+// which side of the pool is the asset we price
+async function poolSides(pool, src, assetContract, provider) {
+  const [t0, t1] = await Promise.all([pool.token0(), pool.token1()]);
+  const base = (src.token || assetContract || "").toLowerCase();
+  if (!base || base === "native") throw new Error("set the base token (e.g. WETH) for native coin");
+  if (base === t0.toLowerCase()) return { baseIs0: true, t0, t1 };
+  if (base === t1.toLowerCase()) return { baseIs0: false, t0, t1 };
+  throw new Error("asset is not token0/token1 of this pool");
+}
+
+async function chainlinkPrice(src, provider) {
+  const feed = new ethers.Contract(src.feed, CHAINLINK_ABI, provider);
+  const [dec, round] = await Promise.all([feed.decimals(), feed.latestRoundData()]);
+  return Number(ethers.formatUnits(round.answer, dec));
+}
+
+async function uniswapV2Price(src, provider, assetContract) {
+  const pair = new ethers.Contract(src.pool, UNIV2_PAIR_ABI, provider);
+  const { baseIs0, t0, t1 } = await poolSides(pair, src, assetContract, provider);
+  const [[r0, r1], d0, d1] = await Promise.all([
+    pair.getReserves(),
+    tokenDecimals(t0, provider),
+    tokenDecimals(t1, provider),
+  ]);
+  const a0 = Number(ethers.formatUnits(r0, d0));
+  const a1 = Number(ethers.formatUnits(r1, d1));
+  if (!a0 || !a1) throw new Error("empty reserves");
+  return (baseIs0 ? a1 / a0 : a0 / a1) * Number(src.quotePrice || 1);
+}
+
+async function uniswapV3Price(src, provider, assetContract) {
+  const pool = new ethers.Contract(src.pool, UNIV3_POOL_ABI, provider);
+  const { baseIs0, t0, t1 } = await poolSides(pool, src, assetContract, provider);
+  const [slot0, d0, d1] = await Promise.all([
+    pool.slot0(),
+    tokenDecimals(t0, provider),
+    tokenDecimals(t1, provider),
+  ]);
+  const sqrt = Number(slot0.sqrtPriceX96) / 2 ** 96;
+  // token1 per token0, adjusted for decimals
+  const p = sqrt * sqrt * 10 ** (d0 - d1);
+  if (!p) throw new Error("pool not initialized");
+  return (baseIs0 ? p : 1 / p) * Number(src.quotePrice || 1);
+}
+
+async function httpPrice(src, ctx) {
+  const url = String(src.url || "")
+    .replaceAll("{symbol}", encodeURIComponent(ctx.symbol || ""))
+    .replaceAll("{currency}", encodeURIComponent((ctx.currency || "usd").toLowerCase()))
+    .replaceAll("{contract}", encodeURIComponent(ctx.contract || ""));
+  const res = await fetch(url, { signal: ctx.opts?.signal });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  let v = await res.json();
+  const path = String(src.path || "")
+    .replaceAll("{symbol}", ctx.symbol || "")
+    .replaceAll("{currency}", (ctx.currency || "usd").toLowerCase());
+  for (const part of path.split(".").filter(Boolean)) v = v?.[part];
+  const n = Number(v);
+  if (!Number.isFinite(n)) throw new Error(`no number at "${path}"`);
+  return n;
+}
+
+/*
+Resolve one price.
+ctx: { provider, contract, symbol, currency, opts: { timeoutMs, retries, signal } }
+Non-manual sources run through request() (engine.js) like every RPC read: timeout, retry, abort.
+returns number; throws with a readable message on failure
+*/
+export async function resolvePrice(src, ctx) {
+  if (src?.type === "manual") {
+    const n = Number(src.price);
+    if (src.price === "" || src.price == null || !Number.isFinite(n)) throw new Error("no manual price");
+    return n;
+  }
+  return request(() => readPrice(src, ctx), ctx.opts);
+}
+
+function readPrice(src, ctx) {
+  switch (src?.type) {
+    case "chainlink":
+      return chainlinkPrice(src, ctx.provider);
+    case "uniswapV2":
+      return uniswapV2Price(src, ctx.provider, ctx.contract);
+    case "uniswapV3":
+      return uniswapV3Price(src, ctx.provider, ctx.contract);
+    case "http":
+      return httpPrice(src, ctx);
+    default:
+      throw new Error(`unknown price source "${src?.type}"`);
+  }
+}
+
+// price of a row: manual prices apply live, other sources use the last resolved value (`prices`)
+export function rowPrice(r, priceSources, prices) {
+  if (!r.wallet || r.error) return null;
+  const key = priceKey(r.chain, r.contract);
+  const src = priceSources[key];
+  if (src?.type === "manual") {
+    const n = Number(src.price);
+    return src.price === "" || src.price == null || !Number.isFinite(n) ? null : n;
+  }
+  return src ? prices[key]?.price ?? null : null;
+}
+
+// exact Dec (balance string x price); a position is valued through its underlying rows
+export function rowValue(r, price) {
+  if (r.assetType === "position") return null;
+  return price == null || r.balance == null ? null : mul(dec(r.balance), dec(price));
+}
+
+/*
+Totals per wallet / chain / asset + overall (exact, see amounts.js).
+valueOf(row) -> Dec | null
+*/
+export function portfolioTotals(rows, valueOf) {
+  const byWallet = new Map();
+  const byChain = new Map();
+  const byAsset = new Map();
+  let overall = null;
+  const sum = (m, k, v) => m.set(k, add(m.get(k), v));
+  for (const r of rows) {
+    const v = valueOf(r);
+    if (v == null) continue;
+    sum(byWallet, r.wallet, v);
+    sum(byChain, r.chain, v);
+    sum(byAsset, r.asset, v);
+    overall = add(overall, v);
+  }
+  const sorted = (m) => Array.from(m, ([key, value]) => ({ key, value })).sort((a, b) => cmp(b.value, a.value));
+  return { byWallet: sorted(byWallet), byChain: sorted(byChain), byAsset: sorted(byAsset), overall };
+}
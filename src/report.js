@@ -0,0 +1,203 @@
+// the ES module build: Node resolves plain "xlsx" to the CommonJS file, which has no named XLSX.CFB (CLI)
+import * as XLSX from "xlsx/xlsx.mjs";
+import { pointInTimeLabel } from "./blocks.js";
+import { exact, exact2 } from "./exporters.js";
+import { assetType } from "./table.js";
+
+/*
+XLSX report helpers (untuk finance: angka beneran, bukan teks)
+- tableSheet(): header + records -> sheet dengan number format per kolom, autofilter, lebar kolom
+- buildReport(): workbook summary / balances / errors / consolidated / config (app + CLI)
+- header row dibekukan (freeze pane) setelah workbook ditulis: SheetJS community edition tidak
+  menulis <pane>, jadi XML sheet di-patch langsung di file zip-nya (XLSX.CFB)
+*/
+
+export const NUM_FORMATS = {
+  amount: "#,##0.00######", // balances: at least 2, up to 8 decimals
+  money: "#,##0.00",
+  price: "#,##0.00####",
+  int: "0",
+};
+
+// exact decimal string / number -> number cell value (null = empty cell)
+export function num(x) {
+  if (x === null || x === undefined || x === "") return null;
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+/*
+header: [name]; records: [[value]]
+formats: { columnName: NUM_FORMATS key or format string } (numeric cells of those columns only)
+*/
+export function tableSheet(header, records, formats = {}) {
+  const ws = XLSX.utils.aoa_to_sheet([header, ...records]);
+  header.forEach((name, c) => {
+    const fmt = formats[name];
+    if (!fmt) return;
+    for (let r = 1; r <= records.length; r++) {
+      const cell = ws[XLSX.utils.encode_cell({ r, c })];
+      if (cell && cell.t === "n") cell.z = NUM_FORMATS[fmt] || fmt;
+    }
+  });
+  ws["!autofilter"] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: Math.max(records.length, 1), c: header.length - 1 } }) };
+  // width from the longest shown value (numbers roughly as formatted), capped so long errors do not blow up the layout
+  ws["!cols"] = header.map((name, c) => {
+    const longest = records.reduce((m, rec) => {
+      const v = rec[c];
+      const len = typeof v === "number" ? v.toLocaleString("en-US", { maximumFractionDigits: 8 }).length : String(v ?? "").length;
+      return Math.max(m, len);
+    }, String(name).length);
+    return { wch: Math.min(60, Math.max(8, longest + 2)) };
+  });
+  return ws;
+}
+
+// freeze the first row of every worksheet in a written .xlsx (Uint8Array / ArrayBuffer)
+export function freezeHeaderRows(data) {
+  const zip = XLSX.CFB.read(new Uint8Array(data), { type: "array" });
+  const pane = '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/><selection pane="bottomLeft"/>';
+  zip.FullPaths.forEach((path, i) => {
+    if (!/xl\/worksheets\/sheet\d+\.xml$/.test(path)) return;
+    const entry = zip.FileIndex[i];
+    const xml = new TextDecoder().decode(entry.content);
+    const patched = xml.replace(/<sheetView([^>]*?)\/>/, `<sheetView$1>${pane}</sheetView>`);
+    if (patched !== xml) entry.content = new TextEncoder().encode(patched);
+  });
+  return XLSX.CFB.write(zip, { fileType: "zip", type: "array" });
+}
+
+// workbook -> .xlsx bytes with frozen headers
+export function writeReport(wb) {
+  return freezeHeaderRows(XLSX.write(wb, { bookType: "xlsx", type: "array", compression: true }));
+}
+
+/*
+Finance workbook from one fetch result.
+ctx: {
+  rows, totals (prices.js portfolioTotals), consolidated (assets.js), currency,
+  infoOf(row), priceFor(row), valueOf(row),
+  chains (as read, i.e. through the proxy when used), wallets, tokens, collections, positions,
+  workspace (name), lastUpdated, pointInTime (null = latest)
+}
+*/
+export function buildReport(ctx) {
+  const { rows, totals, consolidated, currency, infoOf, priceFor, valueOf } = ctx;
+  const wb = XLSX.utils.book_new();
+  const sheet = (name, header, records, formats) => XLSX.utils.book_append_sheet(wb, tableSheet(header, records, formats), name);
+  const valueCol = `value_${currency}`;
+  const countBy = (key) => rows.reduce((m, r) => (r.wallet && !r.error ? m.set(r[key], (m.get(r[key]) || 0) + 1) : m), new Map());
+  const [perChain, perAsset, perWallet] = ["chain", "asset", "wallet"].map(countBy);
+
+  sheet(
+    "summary",
+    ["dimension", "key", "label", "rows", valueCol],
+    [
+      ["overall", "all", "", rows.filter((r) => r.wallet && !r.error).length, num(exact2(totals.overall))],
+      ...totals.byChain.map((t) => ["chain", t.key, "", perChain.get(t.key) || 0, num(exact2(t.value))]),
+      ...totals.byAsset.map((t) => ["asset", t.key, "", perAsset.get(t.key) || 0, num(exact2(t.value))]),
+      ...totals.byWallet.map((t) => ["wallet", t.key, infoOf({ wallet: t.key }).label, perWallet.get(t.key) || 0, num(exact2(t.value))]),
+    ],
+    { rows: "int", [valueCol]: "money" }
+  );
+
+  const ok = rows.filter((r) => r.wallet && !r.error && r.balance != null);
+  sheet(
+    "balances",
+    [
+      "chain",
+      "wallet",
+      "label",
+      "tags",
+      "group",
+      "asset",
+      "asset_type",
+      "contract",
+      "position",
+      "token_ids",
+      "decimals",
+      "balance",
+      "balance_exact",
+      "raw",
+      `price_${currency}`,
+      valueCol,
+      "block",
+      "block_time",
+      "confirmed_block",
+      "rpc",
+    ],
+    ok.map((r) => [
+      r.chain,
+      r.wallet,
+      infoOf(r).label,
+      infoOf(r).tags.join(", "),
+      infoOf(r).group,
+      r.asset,
+      assetType(r),
+      r.contract,
+      r.parent ?? "",
+      r.tokenIds ?? "",
+      r.decimals ?? null,
+      num(exact(r.balance)),
+      exact(r.balance),
+      r.raw ?? "",
+      priceFor(r),
+      num(exact2(valueOf(r))),
+      r.block ?? null,
+      r.blockTime ?? "",
+      r.confirmedBlock ?? null,
+      r.rpc ?? "",
+    ]),
+    { decimals: "int", balance: "amount", [`price_${currency}`]: "price", [valueCol]: "money", block: "int", confirmed_block: "int" }
+  );
+
+  sheet(
+    "errors",
+    ["chain", "wallet", "label", "asset", "contract", "error", "rpc"],
+    rows
+      .filter((r) => r.error)
+      .map((r) => [r.chain, r.wallet ?? "", r.wallet ? infoOf(r).label : "", r.asset ?? "", r.contract ?? "", r.error, r.rpc ?? ""])
+  );
+
+  sheet(
+    "consolidated",
+    ["wallet", "label", "asset", "mapped", "chains", "balance", valueCol],
+    consolidated.map((g) => [
+      g.wallet,
+      infoOf(g).label,
+      g.asset,
+      g.mapped ? "yes" : "no",
+      Array.from(new Set(g.parts.map((r) => r.chain))).join(", "),
+      num(exact(g.balance)),
+      num(exact2(g.value)),
+    ]),
+    { balance: "amount", [valueCol]: "money" }
+  );
+
+  // what produced the numbers: run, chains + RPCs + block per chain, tracked contracts, wallets
+  const pit = ctx.pointInTime;
+  const cfg = [
+    ["report", "", "generated_at", new Date().toISOString()],
+    ["report", "", "workspace", ctx.workspace ?? ""],
+    ["report", "", "balances_updated", ctx.lastUpdated ?? ""],
+    ["report", "", "point_in_time", pit ? pointInTimeLabel(pit) || pit.mode : "latest"],
+    ["report", "", "currency", currency],
+  ];
+  for (const ch of ctx.chains) {
+    const chRows = rows.filter((r) => r.chain === ch.id);
+    const blocks = chRows.map((r) => r.block ?? r.confirmedBlock).filter((b) => b != null);
+    cfg.push(
+      ["chain", ch.id, "chain_id", ch.chainId ?? null],
+      ["chain", ch.id, "rpc", ch.rpc || ""],
+      ["chain", ch.id, "fallback_rpcs", (ch.rpcs || []).filter(Boolean).join(", ")],
+      ["chain", ch.id, "block", blocks.length ? Math.max(...blocks) : null],
+      ["chain", ch.id, "rpc_used", Array.from(new Set(chRows.map((r) => r.rpc).filter(Boolean))).join(", ")]
+    );
+    for (const t of ctx.tokens[ch.id] || []) cfg.push(["token", ch.id, t.address, [t.symbol, t.decimals].filter((x) => x != null && x !== "").join(" / ")]);
+    for (const c of ctx.collections[ch.id] || []) cfg.push(["collection", ch.id, c.address, `${c.standard}${c.name ? ` ${c.name}` : ""}`]);
+    for (const p of ctx.positions[ch.id] || []) cfg.push(["position", ch.id, p.address, `${p.adapter}${p.label ? ` ${p.label}` : ""}`]);
+  }
+  for (const w of ctx.wallets) cfg.push(["wallet", "", w.address, [w.label, w.group, w.tags.join(", ")].filter(Boolean).join(" · ")]);
+  sheet("config", ["section", "chain", "key", "value"], cfg, { value: "int" });
+  return wb;
+}
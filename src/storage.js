@@ -0,0 +1,97 @@
+import { chainFromRegistry } from "./chains.js";
+import { normalizeWallet } from "./wallets.js";
+import { DEFAULT_RETENTION } from "./history.js";
+
+/*
+Workspace persistence (localStorage)
+- evm_tracker_workspaces      -> { active, list: [{ id, name }] }
+- evm_tracker_ws_<id>         -> { chains, wallets, tokens, intervalSec, rows, lastUpdated, ...settings }
+*/
+
+const INDEX_KEY = "evm_tracker_workspaces";
+const WS_PREFIX = "evm_tracker_ws_";
+
+export function defaultWorkspace() {
+  return {
+    chains: [chainFromRegistry("ethereum"), chainFromRegistry("polygon")],
+    wallets: [normalizeWallet("0x0000000000000000000000000000000000000000")],
+    tokens: {},
+    positions: {}, // { chainId: [{ adapter, address, label, ...adapter fields }] } see positions.js
+    collections: {}, // { chainId: [{ address, standard: "erc721"|"erc1155", name, tokenIds }] } see nfts.js
+    intervalSec: 0,
+    fetchTimeoutSec: 15, // per request
+    fetchRetries: 2, // retries with backoff per request
+    rows: [],
+    lastUpdated: null,
+    currency: "USD",
+    priceSources: {}, // { priceKey: { type, ... } } see prices.js
+    prices: {}, // last resolved { priceKey: { price, error, at } }
+    ignoredTokens: {}, // { chainId: [lowercase address] } hidden from token discovery
+    alertRules: [], // see alerts.js
+    alertWebhook: "",
+    alertLog: [], // newest first
+    ensNames: {}, // reverse lookup cache { lowercaseAddress: name | null }
+    displayPrecision: { mode: "fixed", digits: 4 }, // see amounts.js formatAmount
+    pointInTime: { mode: "latest", block: "", time: "" }, // see blocks.js
+    gasCheck: { enabled: false, minTxs: 5 }, // gas readiness of native balances, see gas.js
+    historyRetention: { ...DEFAULT_RETENTION }, // snapshots kept per workspace, see history.js
+    assetMap: [], // [{ id, members: "chain:contract, ..." }] logical assets across chains, see assets.js
+    builtinAssets: true, // also use assets.js BUILTIN_ASSETS
+    proxyUrl: "", // read-only RPC proxy for chains with useProxy ("" = chains.js DEFAULT_PROXY_URL)
+  };
+}
+
+export function newWorkspaceId() {
+  return `ws-${Date.now().toString(36)}`;
+}
+
+export function loadIndex() {
+  try {
+    const idx = JSON.parse(localStorage.getItem(INDEX_KEY));
+    if (idx && Array.isArray(idx.list) && idx.list.length) {
+      const active = idx.list.some((w) => w.id === idx.active) ? idx.active : idx.list[0].id;
+      return { active, list: idx.list };
+    }
+  } catch {}
+  return { active: "default", list: [{ id: "default", name: "default" }] };
+}
+
+export function saveIndex(idx) {
+  try {
+    localStorage.setItem(INDEX_KEY, JSON.stringify(idx));
+  } catch {}
+}
+
+// returns null when nothing is stored yet for this id
+export function loadWorkspace(id) {
+  try {
+    const data = JSON.parse(localStorage.getItem(WS_PREFIX + id));
+    if (!data) return null;
+    const ws = { ...defaultWorkspace(), ...data };
+    return { ...ws, wallets: ws.wallets.map(normalizeWallet) };
+  } catch {
+    return null;
+  }
+}
+
+// returns "saved" | "rowsDropped" (quota: config kept, cached rows not) | "failed"
+export function saveWorkspace(id, data) {
+  try {
+    localStorage.setItem(WS_PREFIX + id, JSON.stringify(data));
+    return "saved";
+  } catch {
+    // most likely quota exceeded: keep the config, drop the cached rows
+    try {
+      localStorage.setItem(WS_PREFIX + id, JSON.stringify({ ...data, rows: [] }));
+      return "rowsDropped";
+    } catch {
+      return "failed";
+    }
+  }
+}
+
+export function deleteWorkspace(id) {
+  try {
+    localStorage.removeItem(WS_PREFIX + id);
+  } catch {}
+}
@@ -0,0 +1,113 @@
+import { add, cmp, dec, sign } from "./amounts.js";
+import { NFT_STANDARDS } from "./nfts.js";
+
+/*
+Balances table view: filter, sort (exact untuk angka), pivot wallet x asset
+- dipakai tabel di UI dan export "current view"
+*/
+
+// asset type of a balance row (rows from before NFTs/positions have no assetType)
+export const ASSET_TYPES = [
+  { id: "native", label: "native" },
+  { id: "erc20", label: "ERC-20" },
+  ...NFT_STANDARDS,
+  { id: "position", label: "position" },
+  { id: "underlying", label: "underlying" },
+];
+
+export function assetType(r) {
+  return r.assetType || (r.contract === "native" ? "native" : "erc20");
+}
+
+export const VIRTUAL_MIN_ROWS = 200; // below this the table renders every row
+export const ROW_HEIGHT = 40;
+
+export const DEFAULT_VIEW = {
+  search: "",
+  chain: "",
+  asset: "",
+  type: "", // "" | ASSET_TYPES id
+  hideZero: false,
+  status: "all", // all | ok | errors
+  sort: { key: "", dir: 1 },
+  pivot: false,
+};
+
+/*
+opts: { search, chain, asset, type, hideZero, status }
+textOf(row) -> extra searchable text (label, tags, primary name, ...)
+*/
+export function filterRows(rows, opts, textOf = () => "") {
+  const q = (opts.search || "").trim().toLowerCase();
+  return rows.filter((r) => {
+    if (opts.chain && r.chain !== opts.chain) return false;
+    if (opts.asset && r.asset !== opts.asset) return false;
+    if (opts.type && (!r.wallet || assetType(r) !== opts.type)) return false;
+    if (opts.status === "ok" && r.error) return false;
+    if (opts.status === "errors" && !r.error) return false;
+    if (opts.hideZero && !r.error && sign(dec(r.balance)) === 0) return false;
+    if (!q) return true;
+    const hay = [r.chain, r.wallet, r.asset, r.contract, r.tokenIds, r.error, textOf(r)].join(" ").toLowerCase();
+    return hay.includes(q);
+  });
+}
+
+// numbers, Dec (exact) or text (natural order)
+function compareValues(a, b) {
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  const da = typeof a === "object" ? a : null;
+  const db = typeof b === "object" ? b : null;
+  if (da && db) return cmp(da, db);
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: "base" });
+}
+
+/*
+Stable sort by one column.
+valueOf(row, key) -> comparable value (string | number | Dec | null)
+*/
+export function sortRows(rows, { key, dir }, valueOf) {
+  if (!key) return rows;
+  return rows
+    .map((r, i) => ({ r, i, v: valueOf(r, key) }))
+    .sort((x, y) => {
+      const empty = (v) => v == null || v === "";
+      // empty values stay at the bottom whatever the direction
+      if (empty(x.v) !== empty(y.v)) return empty(x.v) ? 1 : -1;
+      return compareValues(x.v, y.v) * dir || x.i - y.i;
+    })
+    .map((x) => x.r);
+}
+
+/*
+Pivot: wallets as rows, assets (per chain) as columns + per-chain value subtotal.
+valueOf(row) -> Dec | null (fiat value)
+returns {
+  chains: [{ chain, assets: [{ key, asset, contract }] }],
+  rows:   [{ wallet, balances: Map(key -> Dec), chainValue: Map(chain -> Dec), total: Dec | null }]
+}
+*/
+export function pivotRows(rows, valueOf) {
+  const chains = new Map(); // chain -> Map(key -> asset col)
+  const byWallet = new Map();
+  for (const r of rows) {
+    if (!r.wallet || r.error || r.balance == null) continue;
+    // underlying assets of a position get their own column (not merged into the plain token)
+    const key = `${r.chain}|${r.parent ? `${r.parent.toLowerCase()}>` : ""}${String(r.contract).toLowerCase()}`;
+    if (!chains.has(r.chain)) chains.set(r.chain, new Map());
+    if (!chains.get(r.chain).has(key)) chains.get(r.chain).set(key, { key, asset: r.asset, contract: r.contract });
+    if (!byWallet.has(r.wallet)) {
+      byWallet.set(r.wallet, { wallet: r.wallet, balances: new Map(), chainValue: new Map(), total: null });
+    }
+    const w = byWallet.get(r.wallet);
+    w.balances.set(key, add(w.balances.get(key), dec(r.balance)));
+    const v = valueOf(r);
+    if (v) {
+      w.chainValue.set(r.chain, add(w.chainValue.get(r.chain), v));
+      w.total = add(w.total, v);
+    }
+  }
+  return {
+    chains: Array.from(chains, ([chain, cols]) => ({ chain, assets: Array.from(cols.values()) })),
+    rows: Array.from(byWallet.values()),
+  };
+}
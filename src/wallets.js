@@ -0,0 +1,75 @@
+import { ethers } from "ethers";
+
+/*
+Wallet entries: { address, label, tags: [], group, resolved? }
+- address boleh hex atau nama ENS; resolved = hasil resolve terakhir
+- workspace lama menyimpan wallet sebagai string -> normalizeWallet
+*/
+
+export function normalizeWallet(w) {
+  if (typeof w === "string") return { address: w, label: "", tags: [], group: "" };
+  return {
+    ...w,
+    address: w?.address ?? "",
+    label: w?.label ?? "",
+    tags: Array.isArray(w?.tags) ? w.tags : parseTags(w?.tags),
+    group: w?.group ?? "",
+  };
+}
+
+export function parseTags(v) {
+  return Array.from(
+    new Set(
+      String(v ?? "")
+        .split(/[,;|]/)
+        .map((t) => t.trim())
+        .filter(Boolean)
+    )
+  );
+}
+
+// lowercase key so "0xAbC" and "0xabc" meet
+export function walletKey(address) {
+  return String(address || "").toLowerCase();
+}
+
+// checksummed address or null
+export function checksumOrNull(address) {
+  try {
+    return ethers.getAddress(String(address || "").trim());
+  } catch {
+    return null;
+  }
+}
+
+// hex address of an entry (ENS entries use their last resolved address)
+export function walletAddress(w) {
+  return checksumOrNull(w?.address) || checksumOrNull(w?.resolved);
+}
+
+/*
+Merge imported entries into the current list.
+- new address -> appended
+- known address -> empty label/group filled, tags unioned
+*/
+export function mergeWallets(prev, incoming) {
+  const merged = prev.map(normalizeWallet);
+  const index = new Map(merged.map((w, i) => [walletKey(checksumOrNull(w.address) || w.address), i]));
+  for (const inc of incoming.map(normalizeWallet)) {
+    const key = walletKey(checksumOrNull(inc.address) || inc.address);
+    if (!index.has(key)) {
+      index.set(key, merged.length);
+      merged.push(inc);
+      continue;
+    }
+    const i = index.get(key);
+    const cur = merged[i];
+    merged[i] = {
+      ...cur,
+      label: cur.label || inc.label,
+      group: cur.group || inc.group,
+      tags: Array.from(new Set([...cur.tags, ...inc.tags])),
+    };
+  }
+  return merged;
+}
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluateAlerts } from "../src/alerts.js";
+
+/*
+src/alerts.js evaluateAlerts: unknown rows (error, failed chain, no longer tracked) never fire
+*/
+
+const W = "0x1111111111111111111111111111111111111111";
+const USDC = "0x00000000000000000000000000000000000a11ce";
+const DAI = "0x00000000000000000000000000000000000000da";
+const infoOf = () => ({ label: "", tags: [], group: "" });
+const row = (chain, asset, contract, balance, extra = {}) => ({ chain, wallet: W, asset, contract, balance, ...extra });
+const rule = (kind, threshold = "") => ({ id: kind, enabled: true, target: "wallet", wallet: W, asset: "", kind, threshold, cooldownMin: 0 });
+const RULES = [rule("disappeared"), rule("appeared"), rule("below", "1"), rule("changePct", "10")];
+const fired = (res) => res.events.map((e) => `${e.rule.kind} ${e.row.chain}/${e.row.asset}`);
+
+test("balances going to 0 and below a threshold fire", () => {
+  const prev = [row("a", "ETH", "native", "5"), row("a", "USDC", USDC, "100")];
+  const cur = [row("a", "ETH", "native", "0.5"), row("a", "USDC", USDC, "0")];
+  assert.deepEqual(fired(evaluateAlerts(RULES, prev, cur, infoOf, {}, 1)).sort(), [
+    "below a/ETH",
+    "below a/USDC",
+    "changePct a/ETH",
+    "changePct a/USDC",
+    "disappeared a/USDC",
+  ]);
+});
+
+test("error rows and failed chains fire nothing and keep the last good balance", () => {
+  const prev = [row("a", "ETH", "native", "5"), row("b", "ETH", "native", "2")];
+  const cur = [row("a", "ETH", "native", null, { error: "native error: timeout" }), { chain: "b", error: "RPC connect error" }];
+  const res = evaluateAlerts(RULES, prev, cur, infoOf, {}, 1);
+  assert.deepEqual(fired(res), []);
+  const kept = res.baseline.filter((r) => r.wallet).map((r) => `${r.chain}/${r.balance}`);
+  assert.deepEqual(kept.sort(), ["a/5", "b/2"]);
+
+  const next = [row("a", "ETH", "native", "0.5"), row("b", "ETH", "native", "2")];
+  assert.deepEqual(fired(evaluateAlerts(RULES, res.baseline, next, infoOf, {}, 2)).sort(), ["below a/ETH", "changePct a/ETH"]);
+});
+
+test("removing a token from the config does not fire disappeared", () => {
+  const prev = [row("a", "ETH", "native", "5"), row("a", "USDC", USDC, "100")];
+  const cur = [row("a", "ETH", "native", "5")];
+  const res = evaluateAlerts(RULES, prev, cur, infoOf, {}, 1);
+  assert.deepEqual(fired(res), []);
+  assert.deepEqual(res.baseline.map((r) => r.asset), ["ETH"]);
+});
+
+test("adding a token to the config does not fire appeared", () => {
+  const prev = [row("a", "ETH", "native", "5")];
+  const cur = [row("a", "ETH", "native", "5"), row("a", "DAI", DAI, "50")];
+  assert.deepEqual(fired(evaluateAlerts(RULES, prev, cur, infoOf, {}, 1)), []);
+});
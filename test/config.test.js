@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CONFIG_KIND, CONFIG_VERSION, exportConfig, parseConfig } from "../src/config.js";
+
+/*
+src/config.js import validation (node --test, no network)
+*/
+
+const RICH = "0x1111111111111111111111111111111111111111";
+
+test("blank wallet rows are dropped, the file still imports", () => {
+  const { config, errors } = parseConfig({
+    kind: CONFIG_KIND,
+    version: CONFIG_VERSION,
+    wallets: [{ address: RICH, label: "treasury" }, { address: "", label: "" }, { address: "  " }],
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(
+    config.wallets.map((w) => w.address),
+    [RICH]
+  );
+});
+
+test("an exported workspace with a new empty wallet row re-imports", () => {
+  const ws = { chains: [], tokens: {}, wallets: [{ address: RICH, label: "" }, { address: "", label: "" }] };
+  const { config, errors } = parseConfig(JSON.parse(JSON.stringify(exportConfig(ws))));
+  assert.deepEqual(errors, []);
+  assert.equal(config.wallets.length, 1);
+});
+
+test("an invalid wallet address is still reported", () => {
+  const { config, errors } = parseConfig({ kind: CONFIG_KIND, version: CONFIG_VERSION, wallets: [{ address: "0x123" }] });
+  assert.deepEqual(
+    errors.map((e) => e.path),
+    ["wallets[0]"]
+  );
+  assert.deepEqual(config.wallets, []);
+});
@@ -0,0 +1,111 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { DEFAULTS, READ_METHODS, createProxy } from "../server/rpc-proxy.js";
+
+/*
+server/rpc-proxy.js against a stub upstream (node --test, no network)
+- allow-list, per-block cache + TTL, 429 rate limit, /health
+*/
+
+const seen = {}; // method -> upstream calls
+const upstream = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (c) => (body += c));
+  req.on("end", () => {
+    const { id, method } = JSON.parse(body);
+    seen[method] = (seen[method] || 0) + 1;
+    const result = { eth_chainId: "0x7a69", eth_blockNumber: "0x10" }[method] ?? "0x1";
+    res.writeHead(200, { "content-type": "application/json" });
+    res.end(JSON.stringify({ jsonrpc: "2.0", id, result }));
+  });
+});
+
+let proxyServer;
+let base;
+const listen = (server) =>
+  new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`)));
+
+before(async () => {
+  const up = await listen(upstream);
+  const proxy = createProxy({
+    ...DEFAULTS,
+    cacheTtlMs: 100,
+    rateLimit: { windowMs: 60000, max: 20 },
+    upstreams: { local: [up] },
+  });
+  proxyServer = http.createServer((req, res) => proxy.handle(req, res));
+  base = await listen(proxyServer);
+});
+after(() => {
+  proxyServer.close();
+  upstream.close();
+});
+
+let nextId = 1;
+async function rpc(calls) {
+  const res = await fetch(`${base}/rpc/local`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(calls),
+  });
+  return { status: res.status, headers: res.headers, body: await res.json() };
+}
+const call = (method, params = []) => ({ jsonrpc: "2.0", id: nextId++, method, params });
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+test("allow-list: read methods pass, writes are rejected without reaching the upstream", async () => {
+  for (const m of ["eth_getTransactionCount", "trace_block", "debug_traceBlockByNumber"]) {
+    assert.ok(READ_METHODS.includes(m), `${m} is allowed (native flows)`);
+  }
+  const { status, body } = await rpc(call("eth_getTransactionCount", ["0x1111111111111111111111111111111111111111", "0x5"]));
+  assert.equal(status, 200);
+  assert.equal(body.result, "0x1");
+
+  const denied = await rpc(call("eth_sendRawTransaction", ["0xdead"]));
+  assert.equal(denied.body.error.code, -32601);
+  assert.equal(seen.eth_sendRawTransaction, undefined);
+});
+
+test("cache: same call within cacheTtlMs is answered once, then asked again", async () => {
+  const params = ["0x2222222222222222222222222222222222222222", "latest"];
+  const [a, b] = await Promise.all([rpc(call("eth_getBalance", params)), rpc(call("eth_getBalance", params))]);
+  assert.equal(a.body.result, "0x1");
+  assert.equal(b.body.result, "0x1");
+  assert.equal(seen.eth_getBalance, 1);
+
+  await sleep(150);
+  await rpc(call("eth_getBalance", params));
+  assert.equal(seen.eth_getBalance, 2);
+});
+
+test("batch: every call gets its own answer in order", async () => {
+  const { body } = await rpc([call("eth_chainId"), call("eth_blockNumber"), call("eth_sign", [])]);
+  assert.equal(body.length, 3);
+  assert.equal(body[0].result, "0x7a69");
+  assert.equal(body[1].result, "0x10");
+  assert.equal(body[2].error.code, -32601);
+});
+
+test("health: chains and counters", async () => {
+  const res = await fetch(`${base}/health`);
+  const body = await res.json();
+  assert.equal(res.status, 200);
+  assert.equal(body.ok, true);
+  assert.deepEqual(body.chains, ["local"]);
+  assert.ok(body.hits >= 1);
+  assert.ok(body.rejected >= 2);
+});
+
+test("unknown chain is a 404", async () => {
+  const res = await fetch(`${base}/rpc/nope`, { method: "POST", body: "{}" });
+  assert.equal(res.status, 404);
+});
+
+test("rate limit: calls over rateLimit.max get HTTP 429 with retry-after", async () => {
+  const big = Array.from({ length: 25 }, () => call("eth_chainId"));
+  const { status, headers, body } = await rpc(big);
+  assert.equal(status, 429);
+  assert.equal(headers.get("retry-after"), "60");
+  assert.equal(body.error.code, -32005);
+});
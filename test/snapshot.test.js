@@ -0,0 +1,180 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import * as XLSX from "xlsx/xlsx.mjs";
+import { EXIT, SNAPSHOT_KIND } from "../cli/snapshot.js";
+
+/*
+cli/snapshot.js end to end against a stub JSON-RPC node (node --test, no network)
+- exit codes: 0 ok, 1 usage, 2 RPC / chainId failure, 3 alert rule fired
+- .csv / .json / .xlsx outputs
+*/
+
+const CLI = fileURLToPath(new URL("../cli/snapshot.js", import.meta.url));
+const TOKEN = "0x00000000000000000000000000000000000a11ce";
+const RICH = "0x1111111111111111111111111111111111111111";
+const EMPTY = "0x2222222222222222222222222222222222222222";
+
+const word = (n) => BigInt(n).toString(16).padStart(64, "0");
+const abiString = (s) => "0x" + word(32) + word(s.length) + Buffer.from(s).toString("hex").padEnd(64, "0");
+
+// chainId 31337, block 100; RICH holds 5 ETH and 1234.5 USDC, EMPTY nothing; no Multicall3
+function answer({ method, params }) {
+  switch (method) {
+    case "eth_chainId":
+      return "0x7a69";
+    case "net_version":
+      return "31337";
+    case "eth_blockNumber":
+      return "0x64";
+    case "eth_getBalance":
+      return params[0].toLowerCase() === RICH ? "0x" + (5n * 10n ** 18n).toString(16) : "0x0";
+    case "eth_getCode":
+      return "0x";
+    case "eth_gasPrice":
+    case "eth_maxPriorityFeePerGas":
+      return "0x3b9aca00";
+    case "eth_getBlockByNumber":
+      return {
+        number: "0x64",
+        timestamp: "0x65000000",
+        hash: "0x" + "ab".repeat(32),
+        parentHash: "0x" + "00".repeat(32),
+        baseFeePerGas: "0x3b9aca00",
+        gasLimit: "0x1c9c380",
+        gasUsed: "0x0",
+        miner: RICH,
+        difficulty: "0x0",
+        nonce: "0x0000000000000000",
+        extraData: "0x",
+        transactions: [],
+      };
+    case "eth_call": {
+      const { to, data } = params[0];
+      if (to.toLowerCase() !== TOKEN) return "0x";
+      if (data.startsWith("0x313ce567")) return "0x" + word(6); // decimals()
+      if (data.startsWith("0x95d89b41")) return abiString("USDC"); // symbol()
+      if (data.startsWith("0x70a08231")) return "0x" + word(("0x" + data.slice(34)).toLowerCase() === RICH ? 1234500000n : 0n);
+      return "0x";
+    }
+    default:
+      throw new Error(`unsupported ${method}`);
+  }
+}
+function reply(msg) {
+  try {
+    return { jsonrpc: "2.0", id: msg.id, result: answer(msg) };
+  } catch (e) {
+    return { jsonrpc: "2.0", id: msg.id, error: { code: -32601, message: e.message } };
+  }
+}
+const node = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (c) => (body += c));
+  req.on("end", () => {
+    const msg = JSON.parse(body);
+    res.writeHead(200, { "content-type": "application/json" });
+    res.end(JSON.stringify(Array.isArray(msg) ? msg.map(reply) : reply(msg)));
+  });
+});
+
+let rpcUrl;
+let dir;
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "evm-snapshot-"));
+  await new Promise((resolve) => node.listen(0, "127.0.0.1", resolve));
+  rpcUrl = `http://127.0.0.1:${node.address().port}`;
+});
+after(() => {
+  node.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeConfig(name, { chainId = 31337, alertRules = [] } = {}) {
+  const file = path.join(dir, name);
+  const config = {
+    kind: "evm-tracker-config",
+    version: 1,
+    chains: [{ id: "local", chainId, symbol: "ETH", decimals: 18, rpc: rpcUrl, rpcs: [] }],
+    wallets: [
+      { address: RICH, label: "treasury", tags: ["ops"] },
+      { address: EMPTY, label: "hot" },
+    ],
+    tokens: { local: [{ address: TOKEN }] },
+    priceSources: { "local|native": { type: "manual", price: "2000" } },
+    alertRules,
+    settings: { fetchTimeoutSec: 5, fetchRetries: 0 },
+  };
+  fs.writeFileSync(file, JSON.stringify(config));
+  return file;
+}
+
+// the CLI as cron runs it: a child process, result = exit code + output
+function run(args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [CLI, ...args], { timeout: 60000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test("exit 0: balances written as .csv, .json and .xlsx", async () => {
+  const config = writeConfig("ok.json");
+  const out = ["balances.csv", "snapshot.json", "report.xlsx"].map((f) => path.join(dir, f));
+  const { code, stdout } = await run(["--config", config, ...out.flatMap((f) => ["--out", f])]);
+  assert.equal(code, EXIT.ok, stdout);
+  assert.match(stdout, /0 errors, 0 alerts, total 10000 /);
+
+  const csv = fs.readFileSync(out[0], "utf8").split("\n");
+  assert.ok(csv[0].startsWith("chain,wallet,label,"));
+  assert.ok(csv.some((l) => l.includes('"USDC"') && l.includes('"1234.5"')));
+
+  const snap = JSON.parse(fs.readFileSync(out[1], "utf8"));
+  assert.equal(snap.kind, SNAPSHOT_KIND);
+  assert.equal(snap.errors, 0);
+  assert.equal(snap.totals.overall, "10000");
+  assert.equal(snap.rows.filter((r) => r.wallet).length, 4);
+
+  const wb = XLSX.read(fs.readFileSync(out[2]), { type: "buffer" });
+  assert.ok(wb.SheetNames.length > 0);
+});
+
+test("exit 3: a threshold rule fires", async () => {
+  const config = writeConfig("alert.json", {
+    alertRules: [{ id: "low-hot", target: "wallet", wallet: EMPTY, asset: "ETH", kind: "below", threshold: "1" }],
+  });
+  const json = path.join(dir, "alert-snapshot.json");
+  const { code, stdout } = await run(["--config", config, "--out", json]);
+  assert.equal(code, EXIT.alerts, stdout);
+  const snap = JSON.parse(fs.readFileSync(json, "utf8"));
+  assert.deepEqual(
+    snap.alerts.map((a) => [a.rule, a.wallet, a.asset]),
+    [["low-hot", EMPTY, "ETH"]]
+  );
+});
+
+test("exit 2: RPC unreachable", async () => {
+  const config = writeConfig("down.json");
+  const json = path.join(dir, "down-snapshot.json");
+  const { code, stdout } = await run(["--config", config, "--rpc", "local=http://127.0.0.1:9", "--out", json]);
+  assert.equal(code, EXIT.rowErrors, stdout);
+  assert.ok(JSON.parse(fs.readFileSync(json, "utf8")).errors > 0);
+});
+
+test("exit 2: RPC answers with another chainId", async () => {
+  const config = writeConfig("wrong-chain.json", { chainId: 1 });
+  const { code, stdout } = await run(["--config", config, "--quiet"]);
+  assert.equal(code, EXIT.rowErrors, stdout);
+});
+
+test("exit 1: usage errors", async () => {
+  assert.equal((await run([])).code, EXIT.usage);
+  const { code, stderr } = await run(["--config", path.join(dir, "missing.json")]);
+  assert.equal(code, EXIT.usage);
+  assert.match(stderr, /file not found/);
+});